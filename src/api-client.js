@@ -4,6 +4,57 @@
  */
 
 import fetch from 'node-fetch';
+import { RateLimiter } from './rate-limiter.js';
+import { RequestPool } from './request-pool.js';
+import { MatchStore } from './match-store.js';
+import { SyntheticMatchGenerator } from './synthetic-match-generator.js';
+import { ChampionRegistry } from './champion-registry.js';
+import { DEFAULT_LOCALE, getLocaleInfo } from './i18n.js';
+
+// 統計表に載せる最小試合数（カウンター・デュオ・ジャングル対面で共通、これ未満は除外）
+const MIN_MATCHUP_SAMPLE_SIZE = 5;
+// 味方シナジーは組み合わせ数が多く偶然の偏りが出やすいため多めに要求
+const MIN_SYNERGY_SAMPLE_SIZE = 10;
+
+// リトライポリシー初期値
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+/**
+ * APIリクエストエラー（分類付き）
+ */
+export class ApiRequestError extends Error {
+  constructor(message, { status = null, category, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.category = category;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = ['rate_limit', 'server', 'network'].includes(category);
+  }
+
+  /**
+   * HTTPステータスからエラー分類を判定
+   */
+  static categorize(status) {
+    if (status === 429) return 'rate_limit';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not_found';
+    if (status >= 500) return 'server';
+    return 'client';
+  }
+}
+
+// プラットフォーム → match-v5/account-v1 の地域クラスタ
+const REGIONAL_ROUTING = {
+  na1: 'americas', br1: 'americas', la1: 'americas', la2: 'americas',
+  kr: 'asia', jp1: 'asia',
+  euw1: 'europe', eun1: 'europe', tr1: 'europe', ru: 'europe', me1: 'europe',
+  oc1: 'sea', ph2: 'sea', sg2: 'sea', th2: 'sea', tw2: 'sea', vn2: 'sea'
+};
 
 export class ApiClient {
   constructor(config) {
@@ -12,11 +63,13 @@ export class ApiClient {
     this.targetRegion = config.targetRegion;
     this.accountRegion = config.accountRegion;
     this.callCount = 0;
-    this.rateLimitTracker = {
-      requests: [],
-      lastReset: Date.now()
-    };
-    
+    this.rateLimiter = new RateLimiter({ debug: config.debug, ...config.rateLimit });
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...config.retry };
+    this.errors = [];
+    this.regionClients = new Map();
+    // fetch実装（フィクスチャ再生時などに差し替え可能）
+    this.fetch = config.fetch || fetch;
+
     // API エンドポイント定義
     this.endpoints = {
       // Platform Data
@@ -50,49 +103,87 @@ export class ApiClient {
   }
 
   /**
-   * レート制限チェック
+   * 地域クラスタ取得
    */
-  async checkRateLimit() {
-    const now = Date.now();
-    const oneSecondAgo = now - 1000;
-    const twoMinutesAgo = now - (2 * 60 * 1000);
-    
-    // 過去の記録をクリーンアップ
-    this.rateLimitTracker.requests = this.rateLimitTracker.requests.filter(
-      timestamp => timestamp > twoMinutesAgo
-    );
-    
-    const recentRequests = this.rateLimitTracker.requests.filter(
-      timestamp => timestamp > oneSecondAgo
-    ).length;
-    
-    const totalRequests = this.rateLimitTracker.requests.length;
+  static getRegionalRoute(platform) {
+    return REGIONAL_ROUTING[platform.toLowerCase()] || null;
+  }
+
+  /**
+   * プラットフォーム別クライアント取得（レートリミッター・エラー記録は共有）
+   */
+  forRegion(platform) {
+    if (platform === this.targetRegion) return this;
     
-    // レート制限チェック（個人用APIキー: 20req/sec, 100req/2min）
-    if (recentRequests >= 20) {
-      const waitTime = 1100; // 1.1秒待機
-      this.log('warn', `Rate limit approaching, waiting ${waitTime}ms`);
-      await this.sleep(waitTime);
+    if (!this.regionClients.has(platform)) {
+      const client = new ApiClient({
+        ...this.config,
+        targetRegion: platform,
+        accountRegion: ApiClient.getRegionalRoute(platform) || this.accountRegion
+      });
+      client.rateLimiter = this.rateLimiter;
+      client.errors = this.errors;
+      this.regionClients.set(platform, client);
     }
     
-    if (totalRequests >= 100) {
-      const waitTime = 120000; // 2分待機
-      this.log('warn', `2-minute rate limit reached, waiting ${waitTime}ms`);
-      await this.sleep(waitTime);
-      this.rateLimitTracker.requests = [];
-    }
+    return this.regionClients.get(platform);
   }
 
   /**
-   * APIリクエスト実行
+   * レート制限チェック（アプリ・メソッド・ルーティングホスト単位）
+   */
+  async checkRateLimit(url) {
+    await this.rateLimiter.acquire(url);
+  }
+
+  /**
+   * APIリクエスト実行（リトライポリシー適用）
    */
   async makeRequest(url, options = {}) {
-    await this.checkRateLimit();
+    const { maxAttempts } = this.retryPolicy;
     
-    try {
-      this.log('debug', `Making request to: ${url}`);
+    for (let attempt = 1; ; attempt++) {
+      await this.checkRateLimit(url);
       
-      const response = await fetch(url, {
+      try {
+        return await this.executeRequest(url, options);
+        
+      } catch (requestError) {
+        this.recordRequestError(url, requestError, attempt);
+        
+        // 分類済みでない例外（不正なJSON・実装上のエラーなど）は一時的な障害ではないため再試行しない
+        if (!(requestError instanceof ApiRequestError)) {
+          this.log('error', `Request failed (unexpected, attempt ${attempt}/${maxAttempts}): ${url}`, requestError.message);
+          throw requestError;
+        }
+        
+        if (!requestError.retryable || attempt >= maxAttempts) {
+          this.log('error', `Request failed (${requestError.category}, attempt ${attempt}/${maxAttempts}): ${url}`, requestError.message);
+          throw requestError;
+        }
+        
+        // 429はリミッター側でRetry-Afterまで待機するため、ここでは待たない
+        if (requestError.category === 'rate_limit') {
+          this.log('warn', `Rate limited, retrying after ${requestError.retryAfterMs}ms (attempt ${attempt}/${maxAttempts})`);
+          continue;
+        }
+        
+        const delay = this.getBackoffDelay(attempt);
+        this.log('warn', `Request failed (${requestError.category}), retrying in ${delay}ms (attempt ${attempt}/${maxAttempts}): ${url}`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 単発リクエスト実行
+   */
+  async executeRequest(url, options) {
+    this.log('debug', `Making request to: ${url}`);
+    
+    let response;
+    try {
+      response = await this.fetch(url, {
         headers: {
           'X-Riot-Token': this.apiKey,
           'User-Agent': 'FastestLOLCounterFinder/1.0.0',
@@ -100,35 +191,64 @@ export class ApiClient {
         },
         ...options
       });
-      
-      // リクエスト記録
-      this.rateLimitTracker.requests.push(Date.now());
-      this.callCount++;
-      
-      // レスポンスヘッダーの確認
-      this.logRateLimitHeaders(response);
-      
-      if (response.status === 429) {
-        const retryAfter = parseInt(response.headers.get('Retry-After') || '1') * 1000;
-        this.log('warn', `Rate limited, retrying after ${retryAfter}ms`);
-        await this.sleep(retryAfter);
-        return this.makeRequest(url, options); // リトライ
-      }
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
-      }
-      
-      const data = await response.json();
-      this.log('debug', `Request successful: ${url}`);
-      
-      return data;
-      
     } catch (error) {
-      this.log('error', `Request failed: ${url}`, error.message);
-      throw error;
+      // 通信自体の失敗（接続断・タイムアウトなど）のみネットワークエラーとして再試行対象にする
+      throw new ApiRequestError(error.message, { category: 'network' });
+    }
+    
+    this.callCount++;
+    
+    // レスポンスヘッダーの確認・制限値の同期
+    this.logRateLimitHeaders(response);
+    this.rateLimiter.update(url, response.headers);
+    
+    if (response.status === 429) {
+      const retryAfterMs = parseInt(response.headers.get('Retry-After') || '1') * 1000;
+      this.rateLimiter.penalize(url, retryAfterMs, response.headers.get('X-Rate-Limit-Type'));
+      throw new ApiRequestError('HTTP 429: Rate limit exceeded', {
+        status: 429,
+        category: 'rate_limit',
+        retryAfterMs
+      });
+    }
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ApiRequestError(`HTTP ${response.status}: ${errorText}`, {
+        status: response.status,
+        category: ApiRequestError.categorize(response.status)
+      });
     }
+    
+    const data = await response.json();
+    this.log('debug', `Request successful: ${url}`);
+    
+    return data;
+  }
+
+  /**
+   * 指数バックオフ待機時間計算（ジッター付き）
+   */
+  getBackoffDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    
+    // 同時リトライの集中を避けるため 50〜100% の範囲でばらつかせる
+    return Math.round(delay * (0.5 + Math.random() * 0.5));
+  }
+
+  /**
+   * リクエスト失敗の記録
+   */
+  recordRequestError(url, error, attempt) {
+    this.errors.push({
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      category: error.category,
+      status: error.status,
+      url,
+      attempt
+    });
   }
 
   /**
@@ -138,7 +258,7 @@ export class ApiClient {
     try {
       this.log('debug', `Making Data Dragon request: ${url}`);
       
-      const response = await fetch(url);
+      const response = await this.fetch(url);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -177,8 +297,11 @@ export class ApiClient {
       matchData: [],
       highEloPlayers: [],
       rawMatchups: [],
+      rawDuoMatchups: [],
       processedCounters: {},
-      errors: []
+      regionalCounters: {},
+      patchCounters: {},
+      errors: this.errors
     };
     
     try {
@@ -187,41 +310,63 @@ export class ApiClient {
       gameData.metadata.patchVersion = gameData.metadata.version;
       this.log('info', `Latest version: ${gameData.metadata.version}`);
       
-      gameData.champions = await this.getChampionData(gameData.metadata.version);
-      this.log('info', `Fetched ${Object.keys(gameData.champions).length} champions`);
+      // 主ロケール（先頭）の詳細データに、他ロケールの表示名・スキル説明・対策を付与
+      const locales = this.config.locales?.length ? this.config.locales : [DEFAULT_LOCALE];
+      gameData.metadata.locales = locales;
+      gameData.champions = await this.getChampionData(gameData.metadata.version, getLocaleInfo(locales[0]).ddragonLocale);
+      await this.attachLocalizedData(gameData.champions, gameData.metadata.version, locales);
+      this.log('info', `Fetched ${Object.keys(gameData.champions).length} champions (${locales.join(', ')})`);
+      
+      // Phase 2-3: 高ELOプレイヤー・試合履歴収集（地域ごとに並列実行）
+      const regions = this.config.regions?.length ? this.config.regions : [this.targetRegion];
+      gameData.metadata.regions = regions;
+      gameData.metadata.region = regions.join(',');
       
-      // Phase 2: 高ELOプレイヤーデータ収集
       if (this.config.isProd) {
-        gameData.highEloPlayers = await this.getHighEloPlayers();
-        this.log('info', `Found ${gameData.highEloPlayers.length} high ELO players`);
+        // 保存済み試合は取得せず差分のみ
+        const matchStore = new MatchStore(this.config);
+        await matchStore.load();
+        
+        const regionResults = await Promise.all(
+          regions.map(region => this.collectRegionMatches(region, matchStore))
+        );
+        
+        gameData.highEloPlayers = regionResults.flatMap(result => result.players);
+        this.log('info', `Found ${gameData.highEloPlayers.length} high ELO players in ${regions.length} regions`);
         
         // Critical: Fail if no players found
         if (gameData.highEloPlayers.length === 0) {
           throw new Error('Failed to fetch high ELO players - API authentication or network issue');
         }
         
-        // Phase 3: 試合履歴大量収集
-        gameData.matchData = await this.collectRankedMatches(gameData.highEloPlayers);
-        this.log('info', `Collected ${gameData.matchData.length} ranked matches`);
+        const newMatches = regionResults.flatMap(result => result.matches);
+        this.log('info', `Collected ${newMatches.length} new ranked matches`);
+        
+        await matchStore.addMatches(newMatches);
+        await matchStore.prune();
+        
+        // 集計対象: ローリングウィンドウ内の保存済み試合（対象地域のみ）
+        gameData.matchData = matchStore.getWindowMatches()
+          .filter(match => regions.includes(this.getMatchRegion(match)));
+        gameData.metadata.newMatches = newMatches.length;
+        gameData.metadata.matchWindowDays = matchStore.windowDays;
+        this.log('info', `Using ${gameData.matchData.length} matches from the last ${matchStore.windowDays} days`);
         
         // Critical: Fail if no matches collected
         if (gameData.matchData.length === 0) {
           throw new Error('Failed to collect match data - all API requests failed');
         }
-        
-        // Phase 4: 対面データ処理
-        gameData.rawMatchups = this.extractMatchupData(gameData.matchData);
-        this.log('info', `Extracted ${gameData.rawMatchups.length} matchups`);
-        
-        // Phase 5: カウンター関係計算
-        gameData.processedCounters = this.calculateCounterRelationships(gameData.rawMatchups, gameData.champions);
       } else {
-        // 開発モード: サンプルデータ使用
-        this.log('info', 'Development mode: using sample data');
-        gameData.matchData = await this.getSampleMatchData();
-        gameData.processedCounters = this.generateSampleCounters(gameData.champions);
+        // 開発モード: シード付き合成試合を本番と同じ集計経路で処理
+        const generator = new SyntheticMatchGenerator(this.config);
+        gameData.matchData = generator.generateMatches(gameData.champions, gameData.metadata.version, regions);
+        gameData.metadata.synthetic = { seed: generator.seed, matches: gameData.matchData.length };
+        this.log('info', `Development mode: using ${gameData.matchData.length} synthetic matches`);
       }
       
+      // Phase 4-5: 対面抽出・カウンター関係計算
+      this.analyzeMatches(gameData, regions);
+      
       // Phase 6: 最終統計計算
       gameData.championStats = this.calculateFinalStats(gameData.processedCounters, gameData.champions);
       gameData.metadata.totalMatches = gameData.matchData.length;
@@ -242,6 +387,89 @@ export class ApiClient {
     }
   }
 
+  /**
+   * 試合データの集計（対面抽出 → カウンター・デュオ・シナジー・地域別・パッチ別）
+   */
+  analyzeMatches(gameData, regions) {
+    // 試合データの数値championIdはここでData Dragonのidに正規化（以降の集計・出力はidのみ）
+    const registry = new ChampionRegistry(gameData.champions);
+    
+    // Phase 4: 対面データ処理（各試合にパッチを付与）
+    gameData.matchData.forEach(match => {
+      match.metadata.patch = this.getMatchPatch(match);
+    });
+    gameData.rawMatchups = this.extractMatchupData(gameData.matchData, registry);
+    gameData.rawDuoMatchups = this.extractDuoMatchups(gameData.matchData, registry);
+    this.log('info', `Extracted ${gameData.rawMatchups.length} matchups and ${gameData.rawDuoMatchups.length} bot lane duo matchups`);
+    
+    // Phase 5: カウンター関係計算（全地域統合 + 地域別）
+    gameData.processedCounters = this.calculateCounterRelationships(gameData.rawMatchups, gameData.champions);
+    this.calculateDuoRelationships(gameData.rawDuoMatchups, gameData.processedCounters);
+    this.calculateJungleMatchups(gameData.rawMatchups, gameData.processedCounters);
+    this.calculateSynergyRelationships(gameData.matchData, gameData.processedCounters, registry);
+    if (regions.length > 1) {
+      gameData.regionalCounters = this.calculateRegionalCounters(gameData.rawMatchups, gameData.champions, regions);
+    }
+    
+    // Phase 5b: パッチ別統計・パッチ間推移
+    const patchSegments = this.calculatePatchSegments(gameData.rawMatchups, gameData.champions);
+    gameData.patchCounters = patchSegments.patchCounters;
+    gameData.metadata.patches = patchSegments.patches;
+    gameData.metadata.currentPatch = patchSegments.currentPatch;
+    this.attachPatchTrends(gameData.processedCounters, gameData.rawMatchups, patchSegments.patches);
+  }
+
+  /**
+   * 地域別の高ELOプレイヤー・試合収集
+   */
+  async collectRegionMatches(region, matchStore) {
+    const client = this.forRegion(region);
+    
+    const players = await client.getHighEloPlayers();
+    this.log('info', `[${region}] Found ${players.length} high ELO players`);
+    
+    if (players.length === 0) {
+      this.log('warn', `[${region}] No players found, skipping region`);
+      return { players, matches: [] };
+    }
+    
+    const matches = await client.collectRankedMatches(
+      players,
+      this.config.forceUpdate ? null : matchStore
+    );
+    
+    return { players, matches };
+  }
+
+  /**
+   * 試合の地域（プラットフォーム）判定
+   */
+  getMatchRegion(match) {
+    const platformId = match.info?.platformId || match.metadata?.matchId?.split('_')[0] || '';
+    return platformId.toLowerCase();
+  }
+
+  /**
+   * 試合のパッチ判定（info.gameVersion "15.13.687.1234" → "15.13"）
+   */
+  getMatchPatch(match) {
+    if (match.metadata?.patch) return match.metadata.patch;
+    
+    const gameVersion = match.info?.gameVersion;
+    if (!gameVersion) return null;
+    
+    return gameVersion.split('.').slice(0, 2).join('.');
+  }
+
+  /**
+   * パッチ比較（"15.9" < "15.10"）
+   */
+  comparePatches(a, b) {
+    const [aMajor, aMinor] = a.split('.').map(Number);
+    const [bMajor, bMinor] = b.split('.').map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+  }
+
   /**
    * 最新ゲームバージョン取得
    */
@@ -258,8 +486,8 @@ export class ApiClient {
   /**
    * チャンピオンデータ取得
    */
-  async getChampionData(version) {
-    const championUrl = `https://ddragon.leagueoflegends.com/cdn/${version}/data/ja_JP/champion.json`;
+  async getChampionData(version, ddragonLocale = 'ja_JP') {
+    const championUrl = `https://ddragon.leagueoflegends.com/cdn/${version}/data/${ddragonLocale}/champion.json`;
     const championData = await this.makeDdragonRequest(championUrl);
     
     // 詳細データも取得
@@ -272,7 +500,7 @@ export class ApiClient {
       
       const batchPromises = batch.map(async (championKey) => {
         try {
-          const detailUrl = `https://ddragon.leagueoflegends.com/cdn/${version}/data/ja_JP/champion/${championKey}.json`;
+          const detailUrl = `https://ddragon.leagueoflegends.com/cdn/${version}/data/${ddragonLocale}/champion/${championKey}.json`;
           const detailData = await this.makeDdragonRequest(detailUrl);
           return { [championKey]: detailData.data[championKey] };
         } catch (error) {
@@ -293,6 +521,50 @@ export class ApiClient {
     return detailedChampions;
   }
 
+  /**
+   * ロケール別のテキストを付与（champion.localized[locale]: 表示名・称号・スキル説明・対策・ストーリー）
+   * 主ロケールは表示名のみ（他の項目はチャンピオンデータ本体を使用）。
+   * 取得に失敗したロケールは主ロケールのテキストで表示されるため、警告のみで続行
+   */
+  async attachLocalizedData(champions, version, locales) {
+    const [primaryLocale, ...otherLocales] = locales;
+    
+    Object.values(champions).forEach(champion => {
+      champion.localized = { [primaryLocale]: { name: champion.name, title: champion.title } };
+    });
+    
+    for (const locale of otherLocales) {
+      const ddragonLocale = getLocaleInfo(locale).ddragonLocale;
+      try {
+        const localizedChampions = await this.getChampionData(version, ddragonLocale);
+        
+        Object.values(champions).forEach(champion => {
+          const localized = localizedChampions[champion.id];
+          if (localized) {
+            champion.localized[locale] = this.pickLocalizedText(localized);
+          }
+        });
+      } catch (error) {
+        this.log('warn', `Failed to fetch ${ddragonLocale} champion data, falling back to ${primaryLocale}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 詳細データからロケール依存のテキストのみ抽出（数値・画像は主ロケールのデータを共有）
+   */
+  pickLocalizedText(champion) {
+    return {
+      name: champion.name,
+      title: champion.title,
+      partype: champion.partype,
+      lore: champion.lore,
+      passive: champion.passive ? { name: champion.passive.name, description: champion.passive.description } : undefined,
+      spells: champion.spells?.map(spell => ({ name: spell.name, description: spell.description })),
+      enemytips: champion.enemytips
+    };
+  }
+
   /**
    * チャンピオンローテーション取得
    */
@@ -332,6 +604,7 @@ export class ApiClient {
             players.push({
               summonerId: entry.summonerId,
               tier: 'CHALLENGER',
+              region: this.targetRegion,
               rank: entry.rank,
               leaguePoints: entry.leaguePoints,
               puuid: null // 後で取得
@@ -339,7 +612,6 @@ export class ApiClient {
           }
           
           this.log('info', `Found ${topChallengers.length} Challenger players`);
-          await this.sleep(1100);
           
         } catch (error) {
           this.log('error', 'Failed to fetch Challenger data:', error.message);
@@ -360,6 +632,7 @@ export class ApiClient {
             players.push({
               summonerId: entry.summonerId,
               tier: 'GRANDMASTER',
+              region: this.targetRegion,
               rank: entry.rank,
               leaguePoints: entry.leaguePoints,
               puuid: null
@@ -367,7 +640,6 @@ export class ApiClient {
           }
           
           this.log('info', `Found ${topGrandmasters.length} Grandmaster players`);
-          await this.sleep(1100);
           
         } catch (error) {
           this.log('warn', 'Failed to fetch Grandmaster data:', error.message);
@@ -386,6 +658,7 @@ export class ApiClient {
             players.push({
               summonerId: entry.summonerId,
               tier: 'MASTER',
+              region: this.targetRegion,
               rank: entry.rank,
               leaguePoints: entry.leaguePoints,
               puuid: null
@@ -393,7 +666,6 @@ export class ApiClient {
           }
           
           this.log('info', `Found ${topMasters.length} Master players`);
-          await this.sleep(1100);
           
         } catch (error) {
           this.log('warn', 'Failed to fetch Master data:', error.message);
@@ -408,8 +680,6 @@ export class ApiClient {
           );
           players[i].puuid = summonerData.puuid;
           
-          await this.sleep(55); // レート制限対応
-          
         } catch (error) {
           this.log('warn', `Failed to get PUUID for summoner ${players[i].summonerId}:`, error.message);
         }
@@ -424,54 +694,63 @@ export class ApiClient {
   }
   
   /**
-   * 大量ランクマッチ収集
+   * 大量ランクマッチ収集（並列実行・プレイヤー順/試合ID順を維持）
+   * knownMatches に保存済みの試合IDは取得しない
    */
-  async collectRankedMatches(players) {
+  async collectRankedMatches(players, knownMatches = null) {
     const allMatches = [];
     const seenMatchIds = new Set();
     const targetMatches = Math.min(1000, players.length * 10); // 最大1000試合に拡大
+    const pool = new RequestPool({ concurrency: this.config.concurrency });
+    const pendingMatchIds = [];
+    let playerIndex = 0;
     
-    this.log('info', `Collecting up to ${targetMatches} ranked matches from ${players.length} players`);
+    this.log('info', `Collecting up to ${targetMatches} ranked matches from ${players.length} players (concurrency: ${pool.concurrency})`);
     
-    for (const player of players) {
-      if (allMatches.length >= targetMatches) break;
-      
-      try {
-        // 最近のランクマッチID取得（40試合に拡大）
-        const matchIdsUrl = `${this.endpoints.matchIdsByPuuid(player.puuid)}?queue=420&count=40`; // RANKED_SOLO_5x5
-        const matchIds = await this.makeRequest(matchIdsUrl);
+    while (allMatches.length < targetMatches) {
+      // 候補が尽きたら次のプレイヤー群の試合IDをまとめて取得
+      if (pendingMatchIds.length === 0) {
+        if (playerIndex >= players.length) break;
         
-        // 各マッチの詳細取得
-        for (const matchId of matchIds) {
-          if (allMatches.length >= targetMatches) break;
-          if (seenMatchIds.has(matchId)) continue;
-          
-          try {
-            const matchDetail = await this.makeRequest(
-              this.endpoints.matchById(matchId)
-            );
-            
-            // フィルタリング: 有効な試合のみ
-            if (this.isValidMatch(matchDetail)) {
-              allMatches.push(matchDetail);
-              seenMatchIds.add(matchId);
-            }
-            
-            await this.sleep(55); // レート制限対応
-            
-          } catch (error) {
-            this.log('warn', `Failed to fetch match ${matchId}:`, error.message);
-          }
-        }
+        const playerBatch = players.slice(playerIndex, playerIndex + pool.concurrency);
+        playerIndex += playerBatch.length;
         
-        await this.sleep(55);
+        const matchIdLists = await pool.map(
+          playerBatch,
+          // 最近のランクマッチID取得（40試合に拡大）
+          player => this.makeRequest(`${this.endpoints.matchIdsByPuuid(player.puuid)}?queue=420&count=40`), // RANKED_SOLO_5x5
+          (error, player) => this.log('warn', `Failed to fetch matches for player ${player.summonerId}:`, error.message)
+        );
         
-      } catch (error) {
-        this.log('warn', `Failed to fetch matches for player ${player.summonerId}:`, error.message);
+        // プレイヤー順に重複を除いて候補へ追加（送信前に予約して並列取得の重複を防ぐ）
+        matchIdLists.forEach(matchIds => {
+          (matchIds || []).forEach(matchId => {
+            if (seenMatchIds.has(matchId) || knownMatches?.has(matchId)) return;
+            seenMatchIds.add(matchId);
+            pendingMatchIds.push(matchId);
+          });
+        });
+        continue;
       }
+      
+      // 不足分だけ詳細を並列取得
+      const batch = pendingMatchIds.splice(0, targetMatches - allMatches.length);
+      const matchDetails = await pool.map(
+        batch,
+        matchId => this.makeRequest(this.endpoints.matchById(matchId)),
+        (error, matchId) => this.log('warn', `Failed to fetch match ${matchId}:`, error.message)
+      );
+      
+      // フィルタリング: 有効な試合のみ（候補順を維持）
+      matchDetails.forEach(matchDetail => {
+        if (matchDetail && this.isValidMatch(matchDetail)) {
+          allMatches.push(matchDetail);
+        }
+      });
     }
     
-    this.log('info', `Collected ${allMatches.length} valid matches`);
+    const poolStats = pool.getStats();
+    this.log('info', `Collected ${allMatches.length} valid matches (${poolStats.completed} requests, ${poolStats.failed} failed)`);
     return allMatches;
   }
   
@@ -493,74 +772,47 @@ export class ApiClient {
     );
   }
   
-  /**
-   * サンプルマッチデータ取得（開発用）
-   */
-  async getSampleMatchData() {
-    // 開発用の軽量サンプルデータ
-    return [
-      {
-        metadata: { matchId: 'SAMPLE_1' },
-        info: {
-          gameMode: 'CLASSIC',
-          queueId: 420,
-          gameDuration: 1800,
-          participants: [
-            { championId: 266, championName: 'Aatrox', teamPosition: 'TOP', teamId: 100, win: true },
-            { championId: 103, championName: 'Ahri', teamPosition: 'MIDDLE', teamId: 100, win: true },
-            // ... 他8名のサンプル
-          ]
-        }
-      }
-    ];
-  }
-
   /**
    * 対面データ抽出
    */
-  extractMatchupData(matchData) {
+  extractMatchupData(matchData, registry = new ChampionRegistry()) {
     const matchups = [];
     
     matchData.forEach(match => {
       if (!match.info?.participants) return;
       
-      // レーン別グルーピング
-      const laneGroups = {
-        TOP: [],
-        MIDDLE: [],
-        BOTTOM: [],
-        UTILITY: [],
-        JUNGLE: []
-      };
-      
-      match.info.participants.forEach(participant => {
-        const lane = this.determineLane(participant);
-        if (lane) {
-          laneGroups[lane].push(participant);
-        }
-      });
+      const patch = this.getMatchPatch(match);
+      const laneGroups = this.groupParticipantsByLane(match);
       
       // 各レーンの対面を抽出
       Object.entries(laneGroups).forEach(([lane, participants]) => {
         if (participants.length === 2) { // 正常な1vs1
           const [p1, p2] = participants;
           
-          matchups.push({
+          const matchup = {
             matchId: match.metadata.matchId,
+            region: this.getMatchRegion(match),
+            patch: patch,
             lane: lane,
             champion1: {
-              id: p1.championId,
-              name: p1.championName,
+              ...this.resolveParticipantChampion(p1, registry),
               win: p1.win,
               teamId: p1.teamId
             },
             champion2: {
-              id: p2.championId,
-              name: p2.championName,
+              ...this.resolveParticipantChampion(p2, registry),
               win: p2.win,
               teamId: p2.teamId
             }
-          });
+          };
+          
+          // ジャングル対面は序盤の指標も記録
+          if (lane === 'JUNGLE') {
+            matchup.champion1.earlyGame = this.extractEarlyGameContext(p1);
+            matchup.champion2.earlyGame = this.extractEarlyGameContext(p2);
+          }
+          
+          matchups.push(matchup);
         }
       });
     });
@@ -568,6 +820,95 @@ export class ApiClient {
     return matchups;
   }
   
+  /**
+   * ボットレーン2vs2対面抽出（ADC+サポートのペア同士）
+   */
+  extractDuoMatchups(matchData, registry = new ChampionRegistry()) {
+    const duoMatchups = [];
+    
+    matchData.forEach(match => {
+      if (!match.info?.participants) return;
+      
+      const laneGroups = this.groupParticipantsByLane(match);
+      const duos = {};
+      
+      // チームごとにADC・サポートを1名ずつ揃える
+      [...laneGroups.BOTTOM, ...laneGroups.UTILITY].forEach(participant => {
+        const role = laneGroups.BOTTOM.includes(participant) ? 'carry' : 'support';
+        duos[participant.teamId] = duos[participant.teamId] || { carry: [], support: [] };
+        duos[participant.teamId][role].push(participant);
+      });
+      
+      const teams = Object.values(duos).filter(duo => duo.carry.length === 1 && duo.support.length === 1);
+      if (teams.length !== 2) return;
+      
+      const [team1, team2] = teams.map(duo => ({
+        carry: this.resolveParticipantChampion(duo.carry[0], registry),
+        support: this.resolveParticipantChampion(duo.support[0], registry),
+        win: duo.carry[0].win,
+        teamId: duo.carry[0].teamId
+      }));
+      
+      duoMatchups.push({
+        matchId: match.metadata.matchId,
+        region: this.getMatchRegion(match),
+        patch: this.getMatchPatch(match),
+        lane: 'BOTTOM_DUO',
+        team1,
+        team2
+      });
+    });
+    
+    return duoMatchups;
+  }
+  
+  /**
+   * 参加者のチャンピオンをid・表示名に解決（未登録の新チャンピオンは試合データの値をそのまま使う）
+   */
+  resolveParticipantChampion(participant, registry) {
+    const champion = registry.resolve(participant.championId) || registry.resolve(participant.championName);
+    
+    return {
+      id: champion?.id ?? String(participant.championName || participant.championId),
+      name: champion?.name ?? participant.championName
+    };
+  }
+  
+  /**
+   * 参加者のレーン別グルーピング
+   */
+  groupParticipantsByLane(match) {
+    const laneGroups = {
+      TOP: [],
+      MIDDLE: [],
+      BOTTOM: [],
+      UTILITY: [],
+      JUNGLE: []
+    };
+    
+    match.info.participants.forEach(participant => {
+      const lane = this.determineLane(participant);
+      if (lane) {
+        laneGroups[lane].push(participant);
+      }
+    });
+    
+    return laneGroups;
+  }
+  
+  /**
+   * 序盤指標抽出（ジャングル対面用）
+   */
+  extractEarlyGameContext(participant) {
+    const challenges = participant.challenges || {};
+    
+    return {
+      firstBlood: Boolean(participant.firstBloodKill || participant.firstBloodAssist),
+      jungleCsBefore10Minutes: challenges.jungleCsBefore10Minutes ?? null,
+      enemyJungleMonsterKills: challenges.enemyJungleMonsterKills ?? null
+    };
+  }
+  
   /**
    * レーン判定（複数指標による総合判定）
    */
@@ -615,7 +956,8 @@ export class ApiClient {
         counterRelationships: {
           strongCounters: [],
           counters: [],
-          counteredBy: []
+          counteredBy: [],
+          matchups: []
         },
         lanePerformance: {}
       };
@@ -626,26 +968,342 @@ export class ApiClient {
       const key1 = `${matchup.champion1.id}_vs_${matchup.champion2.id}_${matchup.lane}`;
       const key2 = `${matchup.champion2.id}_vs_${matchup.champion1.id}_${matchup.lane}`;
       
-      this.updateMatchupStat(matchupStats, key1, matchup.champion1.win);
-      this.updateMatchupStat(matchupStats, key2, matchup.champion2.win);
+      // キーは集計単位の識別のみに使い、ID・レーンは値側に保持（キー文字列は解析しない）
+      this.updateMatchupStat(matchupStats, key1, matchup.champion1.win, {
+        championId: matchup.champion1.id,
+        vsChampionId: matchup.champion2.id,
+        lane: matchup.lane
+      });
+      this.updateMatchupStat(matchupStats, key2, matchup.champion2.win, {
+        championId: matchup.champion2.id,
+        vsChampionId: matchup.champion1.id,
+        lane: matchup.lane
+      });
       
       // 全体統計更新
       this.updateOverallStats(championStats, matchup.champion1.id, matchup.champion1.win);
       this.updateOverallStats(championStats, matchup.champion2.id, matchup.champion2.win);
+      
+      // レーン別統計更新
+      this.updateLaneStats(championStats, matchup.champion1.id, matchup.lane, matchup.champion1.win);
+      this.updateLaneStats(championStats, matchup.champion2.id, matchup.lane, matchup.champion2.win);
     });
     
+    const totalMatches = new Set(matchups.map(matchup => matchup.matchId)).size;
+    this.finalizeLanePerformance(championStats, totalMatches);
+    
     // カウンター関係判定
     this.processCounterRelationships(matchupStats, championStats);
     
     return championStats;
   }
   
+  /**
+   * 地域別カウンター関係計算
+   */
+  calculateRegionalCounters(matchups, champions, regions) {
+    const regionalCounters = {};
+    
+    regions.forEach(region => {
+      const regionMatchups = matchups.filter(matchup => matchup.region === region);
+      const championStats = this.calculateCounterRelationships(regionMatchups, champions);
+      
+      // 各カウンターに地域を記録
+      Object.values(championStats).forEach(champion => {
+        Object.values(champion.counterRelationships).forEach(counters => {
+          counters.forEach(counter => {
+            counter.region = region;
+          });
+        });
+      });
+      
+      regionalCounters[region] = championStats;
+      this.log('info', `[${region}] Calculated counters from ${regionMatchups.length} matchups`);
+    });
+    
+    return regionalCounters;
+  }
+  
+  /**
+   * ボットレーンのデュオ関係計算（相性の良い相方・敵デュオ別勝率）
+   */
+  calculateDuoRelationships(duoMatchups, championStats) {
+    const partnerStats = new Map();
+    const enemyDuoStats = new Map();
+    
+    duoMatchups.forEach(({ team1, team2 }) => {
+      [[team1, team2], [team2, team1]].forEach(([team, enemy]) => {
+        const enemyDuoKey = `${enemy.carry.id}+${enemy.support.id}`;
+        
+        // 相方との組み合わせ（ADC・サポート双方の視点で記録）
+        this.updateMatchupStat(partnerStats, `${team.carry.id}_with_${team.support.id}`, team.win,
+          { championId: team.carry.id, partnerId: team.support.id });
+        this.updateMatchupStat(partnerStats, `${team.support.id}_with_${team.carry.id}`, team.win,
+          { championId: team.support.id, partnerId: team.carry.id });
+        
+        // 敵デュオとの対面
+        const enemyDuo = { carryId: enemy.carry.id, supportId: enemy.support.id };
+        this.updateMatchupStat(enemyDuoStats, `${team.carry.id}_vs_${enemyDuoKey}`, team.win,
+          { championId: team.carry.id, ...enemyDuo });
+        this.updateMatchupStat(enemyDuoStats, `${team.support.id}_vs_${enemyDuoKey}`, team.win,
+          { championId: team.support.id, ...enemyDuo });
+      });
+    });
+    
+    Object.values(championStats).forEach(champion => {
+      champion.duoRelationships = { partners: [], favorableDuos: [], unfavorableDuos: [] };
+    });
+    
+    partnerStats.forEach(stat => {
+      if (stat.total < MIN_MATCHUP_SAMPLE_SIZE) return;
+      
+      const { championId, partnerId } = stat;
+      const champion = championStats[championId];
+      if (!champion) return;
+      
+      const posterior = this.calculatePosteriorWinRate(stat.wins, stat.total, 0.5);
+      champion.duoRelationships.partners.push({
+        championId: partnerId,
+        championName: championStats[partnerId]?.name || 'Unknown',
+        winRate: posterior.winRate,
+        rawWinRate: stat.wins / stat.total,
+        confidenceInterval: posterior.interval,
+        sampleSize: stat.total
+      });
+    });
+    
+    enemyDuoStats.forEach(stat => {
+      if (stat.total < MIN_MATCHUP_SAMPLE_SIZE) return;
+      
+      const { championId, carryId, supportId } = stat;
+      const champion = championStats[championId];
+      if (!champion) return;
+      
+      const posterior = this.calculatePosteriorWinRate(stat.wins, stat.total, 0.5);
+      const duoData = {
+        carry: { championId: carryId, championName: championStats[carryId]?.name || 'Unknown' },
+        support: { championId: supportId, championName: championStats[supportId]?.name || 'Unknown' },
+        winRate: posterior.winRate,
+        rawWinRate: stat.wins / stat.total,
+        confidenceInterval: posterior.interval,
+        sampleSize: stat.total
+      };
+      
+      if (posterior.winRate >= 0.5) {
+        champion.duoRelationships.favorableDuos.push(duoData);
+      } else {
+        champion.duoRelationships.unfavorableDuos.push(duoData);
+      }
+    });
+    
+    // 区間下限（苦手側は上限）でランク付け
+    Object.values(championStats).forEach(champion => {
+      const { partners, favorableDuos, unfavorableDuos } = champion.duoRelationships;
+      partners.sort((a, b) => b.confidenceInterval.lower - a.confidenceInterval.lower);
+      favorableDuos.sort((a, b) => b.confidenceInterval.lower - a.confidenceInterval.lower);
+      unfavorableDuos.sort((a, b) => a.confidenceInterval.upper - b.confidenceInterval.upper);
+    });
+  }
+  
+  /**
+   * チームシナジー計算（同じチームの味方ペア）
+   * 期待勝率（両者の全体勝率の平均）との差で相性を判定
+   */
+  calculateSynergyRelationships(matchData, championStats, registry = new ChampionRegistry(championStats)) {
+    const MAX_PARTNERS = 10;
+    const pairStats = new Map();
+    
+    matchData.forEach(match => {
+      const teams = {};
+      (match.info?.participants || []).forEach(participant => {
+        teams[participant.teamId] = teams[participant.teamId] || [];
+        teams[participant.teamId].push({
+          ...this.resolveParticipantChampion(participant, registry),
+          win: participant.win
+        });
+      });
+      
+      Object.values(teams).forEach(members => {
+        members.forEach(self => {
+          members.forEach(ally => {
+            if (self === ally) return;
+            this.updateMatchupStat(pairStats, `${self.id}_with_${ally.id}`, self.win,
+              { championId: self.id, allyId: ally.id });
+          });
+        });
+      });
+    });
+    
+    const synergies = {};
+    
+    pairStats.forEach(stat => {
+      if (stat.total < MIN_SYNERGY_SAMPLE_SIZE) return;
+      
+      const { championId, allyId } = stat;
+      const champion = championStats[championId];
+      if (!champion) return;
+      
+      const ownWinRate = champion.overallStats.totalGames > 0 ? champion.overallStats.winRate : 0.5;
+      const allyWinRate = championStats[allyId]?.overallStats.totalGames > 0 ? championStats[allyId].overallStats.winRate : 0.5;
+      const expectedWinRate = (ownWinRate + allyWinRate) / 2;
+      
+      const winRate = stat.wins / stat.total;
+      const posterior = this.calculatePosteriorWinRate(stat.wins, stat.total, expectedWinRate);
+      const significance = this.calculateStatisticalSignificance(winRate, stat.total, expectedWinRate);
+      
+      synergies[championId] = synergies[championId] || [];
+      synergies[championId].push({
+        championId: allyId,
+        championName: championStats[allyId]?.name || 'Unknown',
+        winRate: posterior.winRate,
+        rawWinRate: winRate,
+        expectedWinRate: expectedWinRate,
+        synergy: posterior.winRate - expectedWinRate,
+        confidenceInterval: posterior.interval,
+        sampleSize: stat.total,
+        significance: significance.pValue,
+        isSignificant: significance.isSignificant
+      });
+    });
+    
+    Object.values(championStats).forEach(champion => {
+      champion.synergyRelationships = { bestPartners: [], worstPartners: [] };
+    });
+    
+    Object.entries(synergies).forEach(([championId, allies]) => {
+      // 期待値からの上振れ・下振れを区間の端でランク付け
+      championStats[championId].synergyRelationships = {
+        bestPartners: allies
+          .filter(ally => ally.synergy > 0)
+          .sort((a, b) => (b.confidenceInterval.lower - b.expectedWinRate) - (a.confidenceInterval.lower - a.expectedWinRate))
+          .slice(0, MAX_PARTNERS),
+        worstPartners: allies
+          .filter(ally => ally.synergy < 0)
+          .sort((a, b) => (a.confidenceInterval.upper - a.expectedWinRate) - (b.confidenceInterval.upper - b.expectedWinRate))
+          .slice(0, MAX_PARTNERS)
+      };
+    });
+  }
+  
+  /**
+   * ジャングル対面の序盤指標集計（勝率はデュオ・カウンターと同様にベイズ縮小）
+   */
+  calculateJungleMatchups(matchups, championStats) {
+    const jungleStats = new Map();
+    
+    matchups
+      .filter(matchup => matchup.lane === 'JUNGLE')
+      .forEach(({ champion1, champion2 }) => {
+        [[champion1, champion2], [champion2, champion1]].forEach(([self, enemy]) => {
+          const key = `${self.id}_vs_${enemy.id}`;
+          if (!jungleStats.has(key)) {
+            jungleStats.set(key, { championId: self.id, vsChampionId: enemy.id, games: 0, wins: 0, firstBloods: 0, csDiffTotal: 0, csDiffGames: 0, invadeTotal: 0, invadeGames: 0 });
+          }
+          
+          const stat = jungleStats.get(key);
+          const selfEarly = self.earlyGame || {};
+          const enemyEarly = enemy.earlyGame || {};
+          
+          stat.games++;
+          if (self.win) stat.wins++;
+          if (selfEarly.firstBlood) stat.firstBloods++;
+          
+          if (selfEarly.jungleCsBefore10Minutes != null && enemyEarly.jungleCsBefore10Minutes != null) {
+            stat.csDiffTotal += selfEarly.jungleCsBefore10Minutes - enemyEarly.jungleCsBefore10Minutes;
+            stat.csDiffGames++;
+          }
+          if (selfEarly.enemyJungleMonsterKills != null) {
+            stat.invadeTotal += selfEarly.enemyJungleMonsterKills;
+            stat.invadeGames++;
+          }
+        });
+      });
+    
+    Object.values(championStats).forEach(champion => {
+      champion.jungleMatchups = [];
+    });
+    
+    jungleStats.forEach(stat => {
+      if (stat.games < MIN_MATCHUP_SAMPLE_SIZE) return;
+      
+      const { championId, vsChampionId } = stat;
+      const champion = championStats[championId];
+      if (!champion) return;
+      
+      const posterior = this.calculatePosteriorWinRate(stat.wins, stat.games, 0.5);
+      champion.jungleMatchups.push({
+        championId: vsChampionId,
+        championName: championStats[vsChampionId]?.name || 'Unknown',
+        games: stat.games,
+        winRate: posterior.winRate,
+        rawWinRate: stat.wins / stat.games,
+        confidenceInterval: posterior.interval,
+        firstBloodRate: stat.firstBloods / stat.games,
+        csDiffAt10: stat.csDiffGames > 0 ? stat.csDiffTotal / stat.csDiffGames : null,
+        enemyJungleMonsterKills: stat.invadeGames > 0 ? stat.invadeTotal / stat.invadeGames : null
+      });
+    });
+    
+    Object.values(championStats).forEach(champion => {
+      champion.jungleMatchups.sort((a, b) => b.games - a.games);
+    });
+  }
+  
+  /**
+   * パッチ別カウンター関係計算（直近パッチのみ保持）
+   */
+  calculatePatchSegments(matchups, champions) {
+    const patchHistory = this.config.patchHistory || 3;
+    const patches = [...new Set(matchups.map(matchup => matchup.patch).filter(Boolean))]
+      .sort((a, b) => this.comparePatches(a, b))
+      .slice(-patchHistory);
+    const currentPatch = patches[patches.length - 1] || null;
+    const patchCounters = {};
+    
+    patches.forEach(patch => {
+      const patchMatchups = matchups.filter(matchup => matchup.patch === patch);
+      patchCounters[patch] = this.calculateCounterRelationships(patchMatchups, champions);
+      this.log('info', `[${patch}] Calculated counters from ${patchMatchups.length} matchups`);
+    });
+    
+    return { patches, currentPatch, patchCounters };
+  }
+  
+  /**
+   * 対面ごとのパッチ間勝率推移を付与（カウンター関係に含まれる対面のみ）
+   */
+  attachPatchTrends(championStats, matchups, patches) {
+    if (patches.length === 0) return;
+    
+    const patchStats = new Map();
+    matchups.forEach(matchup => {
+      if (!patches.includes(matchup.patch)) return;
+      
+      this.updateMatchupStat(patchStats, `${matchup.champion1.id}_vs_${matchup.champion2.id}_${matchup.lane}_${matchup.patch}`, matchup.champion1.win);
+      this.updateMatchupStat(patchStats, `${matchup.champion2.id}_vs_${matchup.champion1.id}_${matchup.lane}_${matchup.patch}`, matchup.champion2.win);
+    });
+    
+    Object.values(championStats).forEach(champion => {
+      const { strongCounters, counters, counteredBy } = champion.counterRelationships;
+      
+      champion.patchTrends = [...strongCounters, ...counters, ...counteredBy].map(counter => ({
+        championId: counter.championId,
+        championName: counter.championName,
+        lane: counter.lane,
+        patches: Object.fromEntries(patches.map(patch => {
+          const stat = patchStats.get(`${champion.id}_vs_${counter.championId}_${counter.lane}_${patch}`);
+          return [patch, stat ? { games: stat.total, wins: stat.wins, winRate: stat.wins / stat.total } : null];
+        }))
+      }));
+    });
+  }
+  
   /**
    * 対面統計更新
    */
-  updateMatchupStat(statsMap, key, isWin) {
+  updateMatchupStat(statsMap, key, isWin, identity = {}) {
     if (!statsMap.has(key)) {
-      statsMap.set(key, { wins: 0, total: 0 });
+      statsMap.set(key, { ...identity, wins: 0, total: 0 });
     }
     
     const stat = statsMap.get(key);
@@ -666,296 +1324,334 @@ export class ApiClient {
   }
   
   /**
-   * カウンター関係処理
+   * レーン別統計更新
+   */
+  updateLaneStats(championStats, championId, lane, isWin) {
+    const champion = championStats[championId];
+    if (!champion) return;
+    
+    if (!champion.lanePerformance[lane]) {
+      champion.lanePerformance[lane] = { games: 0, wins: 0, winRate: 0, playRate: 0 };
+    }
+    
+    const laneStats = champion.lanePerformance[lane];
+    laneStats.games++;
+    if (isWin) laneStats.wins++;
+  }
+  
+  /**
+   * レーン別勝率・採用率の確定（採用率 = そのレーンでの試合数 / 分析した全試合数）
+   */
+  finalizeLanePerformance(championStats, totalMatches) {
+    Object.values(championStats).forEach(champion => {
+      Object.values(champion.lanePerformance).forEach(laneStats => {
+        laneStats.winRate = laneStats.wins / laneStats.games;
+        laneStats.playRate = totalMatches > 0 ? laneStats.games / totalMatches : 0;
+      });
+    });
+  }
+  
+  /**
+   * カウンター関係処理（ベイズ縮小 + Beta事後分布の信用区間の下限でランク付け）
    */
   processCounterRelationships(matchupStats, championStats) {
-    const MIN_SAMPLE_SIZE = 30;
+    const RELIABLE_SAMPLE_SIZE = 30;
     const STRONG_COUNTER_THRESHOLD = 0.65;
     const COUNTER_THRESHOLD = 0.56;
     
-    matchupStats.forEach((stat, key) => {
-      if (stat.total < MIN_SAMPLE_SIZE) return;
+    // 全体統計を先に確定
+    Object.values(championStats).forEach(champion => {
+      if (champion.overallStats.totalGames > 0) {
+        champion.overallStats.winRate = champion.overallStats.wins / champion.overallStats.totalGames;
+        champion.overallStats.isReliable = champion.overallStats.totalGames >= RELIABLE_SAMPLE_SIZE;
+      }
+    });
+    
+    // 全対面から各チャンピオンの実力（対数オッズ）を推定
+    const strengths = this.fitStrengthModel(matchupStats);
+    Object.entries(strengths).forEach(([championId, strength]) => {
+      if (championStats[championId]) {
+        championStats[championId].overallStats.strengthRating = strength;
+      }
+    });
+    
+    matchupStats.forEach(stat => {
+      if (stat.total < MIN_MATCHUP_SAMPLE_SIZE) return;
       
-      const parts = key.split('_vs_');
-      const championId = parts[0];
-      const remainingParts = parts[1].split('_');
-      const vsChampionId = remainingParts[0];
-      const lane = remainingParts[1];
-      const winRate = stat.wins / stat.total;
+      const { championId, vsChampionId, lane } = stat;
+      const champion = championStats[championId];
+      if (!champion) return;
       
-      const significance = this.calculateStatisticalSignificance(winRate, stat.total);
+      const winRate = stat.wins / stat.total;
+      // 両者の実力差から予測される勝率（この対面固有の有利不利を除いた期待値）
+      const expectedWinRate = this.logistic((strengths[championId] || 0) - (strengths[vsChampionId] || 0));
+      const posterior = this.calculatePosteriorWinRate(stat.wins, stat.total, expectedWinRate);
+      const significance = this.calculateStatisticalSignificance(winRate, stat.total, expectedWinRate);
       
-      if (!significance.isSignificant) return;
+      // 実力差を除いた対面補正勝率（期待値と一致すれば50%）
+      const adjustedWinRate = this.adjustForExpected(posterior.winRate, expectedWinRate);
+      const adjustedInterval = {
+        lower: this.adjustForExpected(posterior.interval.lower, expectedWinRate),
+        upper: this.adjustForExpected(posterior.interval.upper, expectedWinRate)
+      };
       
       const counterData = {
         championId: vsChampionId,
         championName: championStats[vsChampionId]?.name || 'Unknown',
         lane: lane,
-        matchupWinRate: winRate,
+        matchupWinRate: posterior.winRate,
+        rawWinRate: winRate,
+        expectedWinRate: expectedWinRate,
+        winRateDelta: posterior.winRate - expectedWinRate,
+        adjustedWinRate: adjustedWinRate,
+        confidenceInterval: posterior.interval,
+        adjustedInterval: adjustedInterval,
         sampleSize: stat.total,
         significance: significance.pValue,
-        counterStrength: this.classifyCounterStrength(winRate, stat.total, significance)
+        counterStrength: this.classifyCounterStrength(adjustedWinRate, adjustedInterval)
       };
       
-      if (winRate >= STRONG_COUNTER_THRESHOLD) {
-        championStats[championId]?.counterRelationships.strongCounters.push(counterData);
-      } else if (winRate >= COUNTER_THRESHOLD) {
-        championStats[championId]?.counterRelationships.counters.push(counterData);
-      }
+      // 分類に関係なく全対面を記録（ドラフト行列で互角の対面も評価するため）
+      champion.counterRelationships.matchups.push({
+        championId: vsChampionId,
+        lane: lane,
+        adjustedWinRate: adjustedWinRate,
+        sampleSize: stat.total
+      });
       
-      // 逆の関係も記録
-      if (winRate <= (1 - COUNTER_THRESHOLD)) {
-        const reverseCounterData = {
+      if (adjustedWinRate >= STRONG_COUNTER_THRESHOLD) {
+        champion.counterRelationships.strongCounters.push(counterData);
+      } else if (adjustedWinRate >= COUNTER_THRESHOLD) {
+        champion.counterRelationships.counters.push(counterData);
+      } else if (adjustedWinRate <= (1 - COUNTER_THRESHOLD)) {
+        // 相手側から見た勝率で記録（このチャンピオンが苦手な相手）
+        champion.counterRelationships.counteredBy.push({
           ...counterData,
-          championId: championId,
-          championName: championStats[championId]?.name || 'Unknown',
-          enemyWinRate: winRate,
-          matchupWinRate: 1 - winRate
-        };
-        championStats[vsChampionId]?.counterRelationships.counteredBy.push(reverseCounterData);
+          enemyWinRate: 1 - posterior.winRate
+        });
       }
     });
     
-    // 統計の最終計算
+    // 補正後の区間下限でランク付け（少数サンプルは区間が広いため自然に下位へ）
     Object.values(championStats).forEach(champion => {
-      if (champion.overallStats.totalGames > 0) {
-        champion.overallStats.winRate = champion.overallStats.wins / champion.overallStats.totalGames;
-        champion.overallStats.isReliable = champion.overallStats.totalGames >= MIN_SAMPLE_SIZE;
-      }
+      const { strongCounters, counters, counteredBy } = champion.counterRelationships;
+      strongCounters.sort((a, b) => b.adjustedInterval.lower - a.adjustedInterval.lower);
+      counters.sort((a, b) => b.adjustedInterval.lower - a.adjustedInterval.lower);
+      counteredBy.sort((a, b) => a.adjustedInterval.upper - b.adjustedInterval.upper);
     });
   }
   
   /**
-   * 統計的有意性計算
+   * チャンピオン実力推定（Bradley-Terryモデル、MMアルゴリズム）
+   * 戻り値: championId → 対数オッズ尺度の実力値（平均0）
    */
-  calculateStatisticalSignificance(winRate, sampleSize, baseWinRate = 0.5) {
-    const standardError = Math.sqrt((baseWinRate * (1 - baseWinRate)) / sampleSize);
-    const zScore = (winRate - baseWinRate) / standardError;
-    const pValue = 2 * (1 - this.normalCDF(Math.abs(zScore)));
+  fitStrengthModel(matchupStats, iterations = 100) {
+    // レーンをまたいで対戦成績を集約
+    const wins = {};
+    const games = {};
+    matchupStats.forEach(stat => {
+      const { championId, vsChampionId } = stat;
+      wins[championId] = (wins[championId] || 0) + stat.wins;
+      games[championId] = games[championId] || {};
+      games[championId][vsChampionId] = (games[championId][vsChampionId] || 0) + stat.total;
+    });
     
-    return {
-      isSignificant: pValue < 0.05,
-      pValue: pValue,
-      zScore: zScore
-    };
+    const championIds = Object.keys(games);
+    if (championIds.length === 0) return {};
+    
+    // 平均的な相手との1勝1敗を仮想的に加え、全勝・全敗でも発散しないよう正則化
+    const PRIOR_GAMES = 2;
+    let ratings = Object.fromEntries(championIds.map(id => [id, 1]));
+    
+    for (let i = 0; i < iterations; i++) {
+      const nextRatings = {};
+      
+      championIds.forEach(id => {
+        let denominator = PRIOR_GAMES / (ratings[id] + 1);
+        Object.entries(games[id]).forEach(([vsId, total]) => {
+          denominator += total / (ratings[id] + ratings[vsId]);
+        });
+        nextRatings[id] = (wins[id] + PRIOR_GAMES / 2) / denominator;
+      });
+      
+      ratings = nextRatings;
+    }
+    
+    const logRatings = championIds.map(id => Math.log(ratings[id]));
+    const mean = logRatings.reduce((sum, value) => sum + value, 0) / logRatings.length;
+    
+    return Object.fromEntries(championIds.map((id, index) => [id, logRatings[index] - mean]));
   }
   
   /**
-   * 正規累積分布関数（近似）
+   * 期待勝率を差し引いた補正勝率（対数オッズ差をロジスティック変換）
    */
-  normalCDF(x) {
-    return (1.0 + Math.sign(x) * Math.sqrt(1 - Math.exp(-2 * x * x / Math.PI))) / 2.0;
+  adjustForExpected(winRate, expectedWinRate) {
+    return this.logistic(this.logit(winRate) - this.logit(expectedWinRate));
   }
   
   /**
-   * カウンター強度分類
+   * ロジット変換
    */
-  classifyCounterStrength(winRate, sampleSize, significance) {
-    if (!significance.isSignificant || sampleSize < 30) {
-      return 'INSUFFICIENT_DATA';
-    }
-    
-    const winRateDiff = Math.abs(winRate - 0.5);
-    
-    if (winRateDiff >= 0.15) return 'HARD_COUNTER';
-    if (winRateDiff >= 0.10) return 'STRONG_COUNTER';
-    if (winRateDiff >= 0.06) return 'SOFT_COUNTER';
-    
-    return 'NEUTRAL';
+  logit(p) {
+    const clamped = Math.min(1 - 1e-9, Math.max(1e-9, p));
+    return Math.log(clamped / (1 - clamped));
   }
   
   /**
-   * 最終統計計算
+   * ロジスティック関数
    */
-  calculateFinalStats(processedCounters, champions) {
-    return processedCounters;
+  logistic(x) {
+    return 1 / (1 + Math.exp(-x));
   }
   
   /**
-   * サンプルカウンターデータ生成（開発用）
+   * 事後勝率計算（基準勝率を事前分布とするBeta-Binomial縮小）
+   * 区間は事後分布 Beta(wins + α, losses + β) の95%信用区間（事前分を観測試合として扱わない）
    */
-  generateSampleCounters(champions) {
-    const sampleCounters = {};
+  calculatePosteriorWinRate(wins, total, baseWinRate, priorStrength = 20) {
+    const alpha = wins + baseWinRate * priorStrength;
+    const beta = (total - wins) + (1 - baseWinRate) * priorStrength;
     
-    Object.keys(champions).forEach(champKey => {
-      const champion = champions[champKey];
-      sampleCounters[champion.id] = {
-        id: champion.id,
-        name: champion.name,
-        key: champion.key,
-        overallStats: {
-          totalGames: 150,
-          wins: 75,
-          winRate: 0.5,
-          isReliable: true
-        },
-        counterRelationships: {
-          strongCounters: this.generateCounterData(champion).strongAgainst.slice(0, 2).map(name => ({
-            championId: '1',
-            championName: name,
-            lane: 'MIDDLE',
-            matchupWinRate: 0.67,
-            sampleSize: 89,
-            significance: 0.02,
-            counterStrength: 'STRONG_COUNTER'
-          })),
-          counters: [],
-          counteredBy: []
-        },
-        lanePerformance: {
-          TOP: { winRate: 0.52, playRate: 0.8, games: 120 }
-        }
-      };
-    });
-    
-    return sampleCounters;
+    return {
+      winRate: alpha / (alpha + beta),
+      interval: {
+        lower: this.betaQuantile(0.025, alpha, beta),
+        upper: this.betaQuantile(0.975, alpha, beta)
+      }
+    };
   }
-
+  
   /**
-   * カウンターチャンピオンデータ生成（上位5名と下位5名）
+   * Beta分布の分位点（正則化不完全ベータ関数の二分法による逆関数）
    */
-  generateCounterData(champion) {
-    const counterMap = {
-      // アサシン系カウンター
-      'Assassin': ['Malphite', 'Rammus', 'Tahm Kench', 'Janna', 'Lulu'],
-      // ファイター系カウンター  
-      'Fighter': ['Vayne', 'Fiora', 'Jax', 'Gnar', 'Quinn'],
-      // メイジ系カウンター
-      'Mage': ['Kassadin', 'Yasuo', 'Katarina', 'Fizz', 'Zed'],
-      // マークスマン系カウンター
-      'Marksman': ['Hecarim', 'Zed', 'Talon', 'Nocturne', 'Rengar'],
-      // サポート系カウンター
-      'Support': ['Brand', 'Xerath', 'Vel\'Koz', 'Zyra', 'Pyke'],
-      // タンク系カウンター
-      'Tank': ['Vayne', 'Kog\'Maw', 'Kai\'Sa', 'Cassiopeia', 'Azir']
-    };
-
-    const championTags = champion.tags || [];
-    let strongCounters = [];
-
-    // 主要タグに基づいてカウンターを取得
-    championTags.forEach(tag => {
-      if (counterMap[tag]) {
-        strongCounters = strongCounters.concat(counterMap[tag]);
+  betaQuantile(probability, alpha, beta) {
+    let lower = 0;
+    let upper = 1;
+    for (let i = 0; i < 50; i++) {
+      const middle = (lower + upper) / 2;
+      if (this.regularizedIncompleteBeta(middle, alpha, beta) < probability) {
+        lower = middle;
+      } else {
+        upper = middle;
       }
-    });
-
-    // 特定チャンピオンの個別カウンター
-    const specificCounters = this.getSpecificCounters(champion.name);
-    strongCounters = strongCounters.concat(specificCounters);
-
-    // 重複除去と最大5個に制限
-    const top5Strong = [...new Set(strongCounters)].slice(0, 5);
+    }
+    return (lower + upper) / 2;
+  }
+  
+  /**
+   * 正則化不完全ベータ関数 I_x(a, b)（連分数展開、Numerical Recipes 6.4）
+   */
+  regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
     
-    // 弱いチャンピオンを生成（このチャンピオンが強いチャンピオン）
-    const weakAgainst = this.generateWeakAgainstData(champion);
-    const bottom5Weak = [...new Set(weakAgainst)].slice(0, 5);
-
-    return {
-      strongAgainst: top5Strong,
-      weakAgainst: bottom5Weak
-    };
+    const front = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    // 収束の速い側で評価（対称性 I_x(a, b) = 1 - I_{1-x}(b, a)）
+    return x < (a + 1) / (a + b + 2) ?
+      front * this.betaContinuedFraction(x, a, b) / a :
+      1 - front * this.betaContinuedFraction(1 - x, b, a) / b;
   }
-
+  
   /**
-   * 弱いチャンピオンデータ生成（このチャンピオンが強いチャンピオン）
+   * 不完全ベータ関数の連分数（修正Lentz法）
    */
-  generateWeakAgainstData(champion) {
-    const weakMap = {
-      // このチャンピオンが弱いチャンピオンたち
-      'Assassin': ['Darius', 'Garen', 'Nasus', 'Maokai', 'Ornn'],
-      'Fighter': ['Azir', 'Xerath', 'Ziggs', 'Lux', 'Vel\'Koz'],
-      'Mage': ['Yasuo', 'Zed', 'Talon', 'Katarina', 'Kassadin'],
-      'Marksman': ['Malphite', 'Rammus', 'Hecarim', 'Zed', 'Talon'],
-      'Support': ['Zed', 'Talon', 'Yasuo', 'Irelia', 'Camille'],
-      'Tank': ['Vayne', 'Fiora', 'Camille', 'Darius', 'Jax']
-    };
-
-    const championTags = champion.tags || [];
-    let weakAgainst = [];
-
-    championTags.forEach(tag => {
-      if (weakMap[tag]) {
-        weakAgainst = weakAgainst.concat(weakMap[tag]);
+  betaContinuedFraction(x, a, b) {
+    const TINY = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < TINY ? TINY : d);
+    let result = d;
+    
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      for (const numerator of [
+        m * (b - m) * x / ((a + m2 - 1) * (a + m2)),
+        -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+      ]) {
+        d = 1 + numerator * d;
+        d = 1 / (Math.abs(d) < TINY ? TINY : d);
+        c = 1 + numerator / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        result *= d * c;
       }
-    });
-
-    // 特定チャンピオンの個別弱点
-    const specificWeak = this.getSpecificWeakAgainst(champion.name);
-    weakAgainst = weakAgainst.concat(specificWeak);
-
-    return [...new Set(weakAgainst)].slice(0, 5);
+      if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return result;
   }
-
+  
   /**
-   * 強いチャンピオンデータ生成
+   * ガンマ関数の対数（Lanczos近似、g = 7）
    */
-  generateStrongAgainstData(champion) {
-    const strongMap = {
-      'Assassin': ['Mage', 'Marksman'],
-      'Fighter': ['Tank', 'Assassin'],
-      'Mage': ['Fighter', 'Tank'],
-      'Marksman': ['Tank', 'Fighter'],
-      'Support': ['Assassin'],
-      'Tank': ['Assassin', 'Mage']
-    };
-
-    const championTags = champion.tags || [];
-    let strongAgainst = [];
-
-    championTags.forEach(tag => {
-      if (strongMap[tag]) {
-        strongAgainst = strongAgainst.concat(strongMap[tag]);
-      }
-    });
-
-    return [...new Set(strongAgainst)].slice(0, 3);
+  logGamma(x) {
+    const COEFFICIENTS = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (x < 0.5) {
+      // 反射公式
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = COEFFICIENTS[0];
+    for (let i = 1; i < COEFFICIENTS.length; i++) {
+      sum += COEFFICIENTS[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
   }
-
+  
   /**
-   * 特定チャンピオンの個別カウンター
+   * 統計的有意性計算（基準勝率との差の両側検定）
    */
-  getSpecificCounters(championName) {
-    const specificCounters = {
-      'Yasuo': ['Annie', 'Malphite', 'Rammus'],
-      'Zed': ['Kayle', 'Malphite', 'Lissandra'],
-      'Katarina': ['Diana', 'Kassadin', 'Galio'],
-      'Akali': ['Diana', 'Galio', 'Malzahar'],
-      'Fizz': ['Diana', 'Galio', 'Vladimir'],
-      'Leblanc': ['Galio', 'Kassadin', 'Malzahar'],
-      'Vayne': ['Hecarim', 'Malphite', 'Rammus'],
-      'Jinx': ['Hecarim', 'Zed', 'Talon'],
-      'Ashe': ['Hecarim', 'Zed', 'Nocturne'],
-      'Darius': ['Vayne', 'Gnar', 'Kennen'],
-      'Garen': ['Vayne', 'Darius', 'Fiora'],
-      'Nasus': ['Vayne', 'Darius', 'Gnar']
+  calculateStatisticalSignificance(winRate, sampleSize, baseWinRate = 0.5) {
+    const standardError = Math.sqrt((baseWinRate * (1 - baseWinRate)) / sampleSize);
+    const zScore = standardError > 0 ? (winRate - baseWinRate) / standardError : 0;
+    const pValue = 2 * (1 - this.normalCDF(Math.abs(zScore)));
+    
+    return {
+      isSignificant: pValue < 0.05,
+      pValue: pValue,
+      zScore: zScore
     };
-
-    return specificCounters[championName] || [];
   }
-
+  
   /**
-   * 特定チャンピオンの個別弱点
+   * 正規累積分布関数（Abramowitz-Stegun 7.1.26、誤差 < 1.5e-7）
    */
-  getSpecificWeakAgainst(championName) {
-    const specificWeak = {
-      'Yasuo': ['Syndra', 'Annie', 'Lissandra'],
-      'Zed': ['Exhaust + ADC', 'Kayle', 'Zhonyas'],
-      'Katarina': ['CC Heavy', 'Diana', 'Galio'],
-      'Akali': ['Pink Ward', 'Galio', 'Kassadin'],
-      'Fizz': ['Zhonya', 'Barrier', 'Distance'],
-      'Leblanc': ['MR Items', 'Sustain', 'Waveclear'],
-      'Vayne': ['Early Game', 'CC Chain', 'Burst'],
-      'Jinx': ['Dive Comp', 'Assassins', 'Gap Close'],
-      'Ashe': ['Mobility', 'Dive', 'Flanking'],
-      'Darius': ['Kiting', 'Range', 'Mobility'],
-      'Garen': ['Kiting', 'True Damage', 'Sustain'],
-      'Nasus': ['Early Pressure', 'Kiting', 'Split']
-    };
-
-    return specificWeak[championName] || [];
+  normalCDF(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - polynomial * Math.exp(-(x * x) / 2);
+    
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
   }
-
+  
+  /**
+   * カウンター強度分類（信頼区間が50%を跨ぐ場合は判定保留）
+   */
+  classifyCounterStrength(winRate, interval) {
+    if (interval.lower <= 0.5 && interval.upper >= 0.5) {
+      return 'INSUFFICIENT_DATA';
+    }
+    
+    const winRateDiff = Math.abs(winRate - 0.5);
+    
+    if (winRateDiff >= 0.15) return 'HARD_COUNTER';
+    if (winRateDiff >= 0.10) return 'STRONG_COUNTER';
+    if (winRateDiff >= 0.06) return 'SOFT_COUNTER';
+    
+    return 'NEUTRAL';
+  }
+  
+  /**
+   * 最終統計計算
+   */
+  calculateFinalStats(processedCounters, champions) {
+    return processedCounters;
+  }
+  
   /**
    * レート制限ヘッダーログ出力
    */
@@ -974,11 +1670,21 @@ export class ApiClient {
     }
   }
 
+  /**
+   * レート制限による累計待機時間取得
+   */
+  getRateLimitWaitTime() {
+    return this.rateLimiter.waitedMs;
+  }
+
   /**
    * 呼び出し回数取得
    */
   getCallCount() {
-    return this.callCount;
+    return [...this.regionClients.values()].reduce(
+      (total, client) => total + client.getCallCount(),
+      this.callCount
+    );
   }
 
   /**
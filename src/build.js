@@ -16,6 +16,10 @@ import { ApiClient } from './api-client.js';
 import { HtmlGenerator } from './html-generator.js';
 import { ImageDownloader } from './image-downloader.js';
 import { ServiceWorkerUpdater } from './service-worker-updater.js';
+import { DatasetExporter } from './dataset-exporter.js';
+import { CacheStore } from './cache-store.js';
+import { FixtureFetch } from './fixture-fetch.js';
+import { SUPPORTED_LOCALES, parseLocales } from './i18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(__filename, '..');
@@ -24,18 +28,58 @@ const PROJECT_ROOT = join(__dirname, '..');
 // 環境変数読み込み
 config({ path: join(PROJECT_ROOT, '.env') });
 
+/**
+ * コマンドライン引数の値取得（"--name=value" または "--name value"）
+ */
+function getArgValue(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return null;
+}
+
 /**
  * ビルド設定
  */
 const BUILD_CONFIG = {
   isDev: process.argv.includes('--dev'),
   isProd: process.argv.includes('--prod'),
+  // キャッシュのみで全ページ再生成（APIキー・ネットワーク不要）
+  fromCache: process.argv.slice(2).some(arg => arg === '--from-cache' || arg.startsWith('--from-cache=')),
+  cachePath: getArgValue('--from-cache') || process.env.CACHE_PATH || null,
+  // 記録済みフィクスチャでRiot API / Data Dragonを代替（ネットワーク不要）
+  fixturesDir: getArgValue('--fixtures') || process.env.RIOT_FIXTURES_DIR || null,
+  fixturesMode: process.env.RIOT_FIXTURES_MODE || 'replay', // replay / record
   forceUpdate: process.env.FORCE_UPDATE === 'true',
   outputDir: process.env.OUTPUT_DIR || './dist',
   cacheDir: process.env.CACHE_DIR || './data',
+  matchWindowDays: parseInt(process.env.MATCH_WINDOW_DAYS || '14'), // 集計対象とする保存済み試合の期間
+  patchHistory: parseInt(process.env.PATCH_HISTORY || '3'), // パッチ別統計を保持する直近パッチ数
+  // 開発モードの合成試合（シード固定で毎回同じデータ）
+  syntheticSeed: parseInt(process.env.SYNTHETIC_SEED || '1337'),
+  syntheticMatches: parseInt(process.env.SYNTHETIC_MATCHES || '5000'),
   apiKey: process.env.RIOT_API_KEY,
   targetRegion: process.env.TARGET_REGION || 'jp1',
   accountRegion: process.env.ACCOUNT_REGION || 'asia',
+  // 生成する言語（先頭が主ロケール: 統計・データセットの表示名に使用）。各言語は <OUTPUT_DIR>/<locale>/ に出力
+  locales: parseLocales(process.env.SITE_LOCALES || 'ja,en,ko'),
+  siteUrl: process.env.SITE_URL ? process.env.SITE_URL.replace(/\/+$/, '') : null, // hreflangの絶対URL用（未指定なら相対パス）
+  // 複数地域収集（例: "kr,euw1,na1,jp1"）。match-v5の地域クラスタは自動判定
+  regions: (process.env.TARGET_REGIONS || process.env.TARGET_REGION || 'jp1')
+    .split(',').map(region => region.trim().toLowerCase()).filter(Boolean),
+  rateLimit: {
+    // 初期値（"20:1,100:120"形式）。以降はレスポンスヘッダーの値で自動更新
+    appRateLimit: process.env.RIOT_APP_RATE_LIMIT
+  },
+  concurrency: parseInt(process.env.API_CONCURRENCY || '10'), // 同時リクエスト数（送信間隔はレートリミッターで制御）
+  retry: {
+    maxAttempts: parseInt(process.env.API_MAX_ATTEMPTS || '4')
+  },
   debug: process.env.DEBUG_MODE === 'true',
   safeMode: true // エラー時の安全な処理を有効化
 };
@@ -48,6 +92,7 @@ let buildStats = {
   endTime: null,
   duration: null,
   apiCalls: 0,
+  rateLimitWait: 0,
   htmlGenerated: 0,
   imagesDownloaded: 0,
   totalSize: 0,
@@ -74,13 +119,39 @@ function log(level, message, ...args) {
 async function validateEnvironment() {
   log('info', '=== Environment Validation Started ===');
   
-  // Critical: API key validation
-  if (!BUILD_CONFIG.apiKey) {
-    const error = new Error('❌ RIOT_API_KEY environment variable is required');
+  if (BUILD_CONFIG.fromCache) {
+    // キャッシュ再生成モード: APIキーの代わりにキャッシュの存在を確認
+    const cacheStore = new CacheStore(BUILD_CONFIG);
+    if (!cacheStore.exists()) {
+      const error = new Error(`❌ --from-cache requires an existing cache (looked in ${cacheStore.cacheDir})`);
+      buildStats.errors.push(error.message);
+      throw error;
+    }
+    log('info', `✅ Cache found: ${cacheStore.cacheDir} (API validation skipped)`);
+  } else if (BUILD_CONFIG.fixturesDir && BUILD_CONFIG.fixturesMode === 'replay') {
+    if (!existsSync(BUILD_CONFIG.fixturesDir)) {
+      const error = new Error(`❌ Fixture directory not found: ${BUILD_CONFIG.fixturesDir}`);
+      buildStats.errors.push(error.message);
+      throw error;
+    }
+    log('info', `✅ Replaying API fixtures from ${BUILD_CONFIG.fixturesDir} (API validation skipped)`);
+  } else {
+    // Critical: API key validation
+    if (!BUILD_CONFIG.apiKey) {
+      const error = new Error('❌ RIOT_API_KEY environment variable is required');
+      buildStats.errors.push(error.message);
+      throw error;
+    }
+    log('info', '✅ RIOT_API_KEY is configured');
+  }
+  
+  const unsupportedLocales = BUILD_CONFIG.locales.filter(locale => !SUPPORTED_LOCALES.includes(locale));
+  if (unsupportedLocales.length > 0) {
+    const error = new Error(`❌ Unsupported SITE_LOCALES: ${unsupportedLocales.join(', ')} (supported: ${SUPPORTED_LOCALES.join(', ')})`);
     buildStats.errors.push(error.message);
     throw error;
   }
-  log('info', '✅ RIOT_API_KEY is configured');
+  log('info', `✅ Site locales: ${BUILD_CONFIG.locales.join(', ')}`);
   
   // Directory creation with error handling
   try {
@@ -125,29 +196,44 @@ async function executeBuildProcess() {
   
   try {
     // Step 1: APIクライアント初期化
-    const apiClient = new ApiClient(BUILD_CONFIG);
+    const fixtureFetch = BUILD_CONFIG.fixturesDir ? new FixtureFetch({
+      fixtureDir: BUILD_CONFIG.fixturesDir,
+      mode: BUILD_CONFIG.fixturesMode,
+      appRateLimit: process.env.RIOT_FIXTURES_RATE_LIMIT,
+      debug: BUILD_CONFIG.debug
+    }) : null;
+    const apiClient = new ApiClient({ ...BUILD_CONFIG, fetch: fixtureFetch?.fetch });
     log('info', 'API client initialized');
     
     // Step 2: データ取得または キャッシュ読み込み
     let gameData;
-    const cacheFile = join(PROJECT_ROOT, BUILD_CONFIG.cacheDir, 'cache.json');
+    const cacheStore = new CacheStore(BUILD_CONFIG);
     
-    if (BUILD_CONFIG.isDev && existsSync(cacheFile)) {
-      log('info', 'Loading data from cache (dev mode)');
-      gameData = await fs.readJson(cacheFile);
+    if (BUILD_CONFIG.fromCache) {
+      log('info', 'Loading derived data from cache (--from-cache)');
+      gameData = cacheStore.assertComplete(await cacheStore.load({ includeRaw: false }));
+    } else if (BUILD_CONFIG.isDev && cacheStore.exists({ includeLegacy: false })) {
+      // HTML生成に必要なのは集計済みデータのみ（古い cache.json が残っていても合成データで再生成）
+      log('info', 'Loading derived data from cache (dev mode)');
+      gameData = await cacheStore.load({ includeRaw: false });
     } else {
       log('info', 'Fetching data from Riot API');
       gameData = await apiClient.fetchAllData();
       buildStats.apiCalls = apiClient.getCallCount();
+      buildStats.rateLimitWait = apiClient.getRateLimitWaitTime();
       
-      // キャッシュに保存
-      await fs.writeJson(cacheFile, gameData, { spaces: 2 });
+      // キャッシュに保存（生データ・集計済みデータを層別に分割）
+      await cacheStore.save(gameData);
       log('info', 'Data cached successfully');
     }
     
-    // Step 3: 画像ダウンロード
-    const imageDownloader = new ImageDownloader(BUILD_CONFIG);
-    const imageMap = await imageDownloader.downloadImages(gameData);
+    // Step 3: 画像ダウンロード（キャッシュ再生成・フィクスチャ実行時は既存画像のみ使用し、派生画像もエンコードしない）
+    const useExistingImages = BUILD_CONFIG.fromCache || BUILD_CONFIG.fixturesDir;
+    const imageDownloader = new ImageDownloader(useExistingImages ?
+      { ...BUILD_CONFIG, imageEncoder: null } : BUILD_CONFIG);
+    const imageMap = useExistingImages ?
+      await imageDownloader.collectExistingImages(gameData) :
+      await imageDownloader.downloadImages(gameData);
     buildStats.imagesDownloaded = Object.keys(imageMap).length;
     log('info', `Downloaded ${buildStats.imagesDownloaded} images`);
     
@@ -156,6 +242,10 @@ async function executeBuildProcess() {
     const pages = await htmlGenerator.generateAllPages(gameData);
     buildStats.htmlGenerated = pages.length;
     
+    // Step 4b: 公開データセット出力（api/v<N>/）
+    const datasetExporter = new DatasetExporter(BUILD_CONFIG);
+    await datasetExporter.exportDataset(gameData);
+    
     // Step 5: Service Worker更新
     const swUpdater = new ServiceWorkerUpdater(BUILD_CONFIG);
     await swUpdater.updateServiceWorker();
@@ -189,6 +279,7 @@ async function calculateBuildStats() {
     log('info', 'Build Statistics:', {
       duration: `${buildStats.duration}ms`,
       apiCalls: buildStats.apiCalls,
+      rateLimitWait: `${buildStats.rateLimitWait}ms`,
       htmlPages: buildStats.htmlGenerated,
       images: buildStats.imagesDownloaded,
       totalSize: `${(buildStats.totalSize / 1024).toFixed(2)}KB`
@@ -0,0 +1,319 @@
+/**
+ * 構造化キャッシュストア
+ * 生データ（試合・プレイヤー）と集計済みデータ（統計・対面）を別ファイルに分けて保存し、
+ * manifest.json のチェックサムで整合性を検証する。HTML生成は集計済みデータのみで再実行できる
+ * 試合の生データは重複保存せず、MatchStore のシャード（matches/*.jsonl）をmanifestから参照する
+ */
+
+import fs from 'fs-extra';
+import { join, dirname, basename, resolve } from 'path';
+import { createHash } from 'crypto';
+
+// レイアウト全体の版（ファイル構成を変更したらインクリメント）
+// 2: 試合を raw/matches.jsonl に複製せず、MatchStoreのシャード（matches/*.jsonl）を参照
+const CACHE_SCHEMA_VERSION = 2;
+
+// 旧形式（全データを1ファイルに保存）
+const LEGACY_CACHE_FILE = 'cache.json';
+const MANIFEST_FILE = 'manifest.json';
+// schema version 1 で試合を複製していたファイル（保存時に削除）
+const LEGACY_MATCHES_FILE = 'raw/matches.jsonl';
+
+// ファイル単位の版（形式を変更したファイルのみインクリメント）
+const CACHE_FILES = {
+  metadata: { path: 'metadata.json', layer: 'metadata', version: 1 },
+  // MatchStoreのシャードディレクトリ（shards: manifestにシャード単位のチェックサムを記録）
+  matches: { path: 'matches', layer: 'raw', version: 1, shards: true },
+  players: { path: 'raw/players.json', layer: 'raw', version: 1 },
+  champions: { path: 'derived/champions.json', layer: 'derived', version: 1 },
+  matchups: { path: 'derived/matchups.json', layer: 'derived', version: 1 },
+  stats: { path: 'derived/stats.json', layer: 'derived', version: 1 },
+  segments: { path: 'derived/segments.json', layer: 'derived', version: 1 }
+};
+
+export class CacheStore {
+  constructor(config) {
+    this.config = config;
+    this.cacheDir = join(process.cwd(), config.cacheDir);
+    this.legacyFileName = LEGACY_CACHE_FILE;
+    this.legacyOnly = false;
+
+    // 明示指定（ディレクトリ、manifest.json、または旧形式の単一JSONファイル）
+    if (config.cachePath) {
+      const cachePath = resolve(config.cachePath);
+
+      if (cachePath.endsWith('.json')) {
+        this.cacheDir = dirname(cachePath);
+        if (basename(cachePath) !== MANIFEST_FILE) {
+          this.legacyFileName = basename(cachePath);
+          this.legacyOnly = true;
+        }
+      } else {
+        this.cacheDir = cachePath;
+      }
+    }
+  }
+
+  /**
+   * キャッシュ存在判定（新形式・旧形式）
+   * includeLegacy: false の場合、明示指定されていない旧形式 cache.json は無視する
+   */
+  exists({ includeLegacy = true } = {}) {
+    if (this.legacyOnly) {
+      return fs.existsSync(join(this.cacheDir, this.legacyFileName));
+    }
+    return fs.existsSync(join(this.cacheDir, MANIFEST_FILE)) ||
+      (includeLegacy && fs.existsSync(join(this.cacheDir, this.legacyFileName)));
+  }
+
+  /**
+   * gameDataを層別ファイルに保存
+   */
+  async save(gameData) {
+    const metadata = gameData.metadata || {};
+    const contents = {
+      metadata: this.serializeJson({ metadata, errors: gameData.errors || [] }),
+      players: this.serializeJson(gameData.highEloPlayers || []),
+      champions: this.serializeJson(gameData.champions || {}),
+      matchups: this.serializeJson({
+        matchups: gameData.rawMatchups || [],
+        duoMatchups: gameData.rawDuoMatchups || []
+      }),
+      // championStats と processedCounters は同一オブジェクトのため1回のみ保存
+      stats: this.serializeJson(gameData.championStats || gameData.processedCounters || {}),
+      segments: this.serializeJson({
+        regionalCounters: gameData.regionalCounters || {},
+        patchCounters: gameData.patchCounters || {}
+      })
+    };
+
+    const manifest = {
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      patch: metadata.currentPatch || metadata.patchVersion || null,
+      files: {}
+    };
+
+    for (const [name, content] of Object.entries(contents)) {
+      const file = CACHE_FILES[name];
+      const filePath = join(this.cacheDir, file.path);
+
+      await fs.ensureDir(dirname(filePath));
+      await fs.writeFile(filePath, content, 'utf8');
+
+      manifest.files[name] = {
+        path: file.path,
+        layer: file.layer,
+        version: file.version,
+        size: Buffer.byteLength(content, 'utf8'),
+        sha256: this.checksum(content)
+      };
+    }
+
+    // 試合はMatchStoreが保存済み（開発ビルドの合成試合はシードから再生成できるため参照なし）
+    if (!metadata.synthetic) {
+      manifest.files.matches = await this.describeMatchShards();
+    }
+
+    // manifestは最後に書き込む（途中で失敗した場合は前回のmanifestと不一致になり検出できる）
+    await fs.writeFile(join(this.cacheDir, MANIFEST_FILE), this.serializeJson(manifest), 'utf8');
+
+    for (const legacyPath of [LEGACY_CACHE_FILE, LEGACY_MATCHES_FILE]) {
+      const legacyFile = join(this.cacheDir, legacyPath);
+      if (await fs.pathExists(legacyFile)) {
+        await fs.remove(legacyFile);
+        this.log('info', `Removed legacy ${legacyPath}`);
+      }
+    }
+
+    const totalSize = Object.values(manifest.files).reduce((sum, file) => sum + file.size, 0);
+    this.log('info', `Cache saved: ${Object.keys(manifest.files).length} files, ${(totalSize / 1024).toFixed(2)}KB`);
+
+    return manifest;
+  }
+
+  /**
+   * キャッシュ読み込み（includeRaw=false なら集計済みデータとメタデータのみ）
+   */
+  async load({ includeRaw = true } = {}) {
+    const manifestPath = join(this.cacheDir, MANIFEST_FILE);
+
+    if (this.legacyOnly || !await fs.pathExists(manifestPath)) {
+      return this.loadLegacy();
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    if (manifest.schemaVersion !== CACHE_SCHEMA_VERSION) {
+      throw new Error(`Unsupported cache schema version ${manifest.schemaVersion} (expected ${CACHE_SCHEMA_VERSION}) in ${manifestPath}`);
+    }
+
+    const { metadata, errors } = JSON.parse(await this.readVerified(manifest, 'metadata'));
+    // 合成試合のキャッシュは試合シャードを参照しない
+    const names = Object.keys(CACHE_FILES).filter(name => name !== 'metadata' &&
+      (includeRaw || CACHE_FILES[name].layer !== 'raw') &&
+      !(name === 'matches' && metadata.synthetic));
+    const contents = {};
+
+    for (const name of names) {
+      contents[name] = await this.readVerified(manifest, name);
+    }
+
+    const matchups = JSON.parse(contents.matchups);
+    const stats = JSON.parse(contents.stats);
+    const segments = JSON.parse(contents.segments);
+
+    const gameData = {
+      metadata,
+      champions: JSON.parse(contents.champions),
+      championStats: stats,
+      processedCounters: stats,
+      matchData: contents.matches ? this.parseJsonLines(contents.matches) : [],
+      highEloPlayers: includeRaw ? JSON.parse(contents.players) : [],
+      rawMatchups: matchups.matchups,
+      rawDuoMatchups: matchups.duoMatchups,
+      regionalCounters: segments.regionalCounters,
+      patchCounters: segments.patchCounters,
+      errors
+    };
+
+    this.log('info', `Cache loaded (${includeRaw ? 'raw + derived' : 'derived only'}), generated at ${manifest.generatedAt}`);
+    return gameData;
+  }
+
+  /**
+   * MatchStoreのシャード一覧をmanifestの項目として記録（シャードごとのサイズ・チェックサム）
+   */
+  async describeMatchShards() {
+    const file = CACHE_FILES.matches;
+    const shardDir = join(this.cacheDir, file.path);
+    const shardFiles = await fs.pathExists(shardDir) ?
+      (await fs.readdir(shardDir)).filter(shardFile => shardFile.endsWith('.jsonl')).sort() : [];
+
+    const shards = [];
+    for (const shardFile of shardFiles) {
+      const content = await fs.readFile(join(shardDir, shardFile), 'utf8');
+      shards.push({
+        path: `${file.path}/${shardFile}`,
+        size: Buffer.byteLength(content, 'utf8'),
+        sha256: this.checksum(content)
+      });
+    }
+
+    return {
+      path: file.path,
+      layer: file.layer,
+      version: file.version,
+      size: shards.reduce((sum, shard) => sum + shard.size, 0),
+      shards
+    };
+  }
+
+  /**
+   * manifestに記録されたファイルをチェックサム検証付きで読み込み（シャード参照は連結して返す）
+   */
+  async readVerified(manifest, name) {
+    const expected = CACHE_FILES[name];
+    const entry = manifest.files?.[name];
+
+    if (!entry) {
+      throw new Error(`Cache manifest has no entry for ${expected.path}`);
+    }
+    if (entry.version !== expected.version) {
+      throw new Error(`Cache file ${expected.path} has version ${entry.version} (expected ${expected.version})`);
+    }
+
+    if (expected.shards) {
+      const contents = [];
+      for (const shard of entry.shards || []) {
+        contents.push(await this.readVerifiedFile(shard));
+      }
+      return contents.join('');
+    }
+
+    return this.readVerifiedFile(entry);
+  }
+
+  /**
+   * 単一ファイルのチェックサム検証付き読み込み
+   */
+  async readVerifiedFile(entry) {
+    const filePath = join(this.cacheDir, entry.path);
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Cache file ${entry.path} listed in manifest is missing`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    if (this.checksum(content) !== entry.sha256) {
+      throw new Error(`Checksum mismatch for cache file ${entry.path}`);
+    }
+
+    return content;
+  }
+
+  /**
+   * 旧形式 cache.json の読み込み
+   */
+  async loadLegacy() {
+    const legacyFile = join(this.cacheDir, this.legacyFileName);
+
+    if (!await fs.pathExists(legacyFile)) {
+      throw new Error(`No cache found in ${this.cacheDir}`);
+    }
+
+    this.log('warn', `Loading legacy ${this.legacyFileName}; it will be migrated on the next save`);
+    return fs.readJson(legacyFile);
+  }
+
+  /**
+   * ページ生成に必要なデータが揃っているか検証（不足項目を列挙してエラー）
+   */
+  assertComplete(gameData) {
+    const missing = [];
+    const isEmpty = value => !value || Object.keys(value).length === 0;
+
+    if (!gameData.metadata) missing.push('metadata');
+    if (!gameData.metadata?.version) missing.push('metadata.version');
+    if (isEmpty(gameData.champions)) missing.push('champions');
+    if (isEmpty(gameData.championStats) && isEmpty(gameData.processedCounters)) missing.push('championStats');
+    if (!Array.isArray(gameData.rawMatchups)) missing.push('rawMatchups');
+
+    if (missing.length > 0) {
+      throw new Error(`Cache in ${this.cacheDir} is incomplete (missing: ${missing.join(', ')}). Run a full build to regenerate it.`);
+    }
+
+    return gameData;
+  }
+
+  /**
+   * JSON Lines パース
+   */
+  parseJsonLines(content) {
+    return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  /**
+   * JSON整形（差分が読みやすいよう改行付き）
+   */
+  serializeJson(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  /**
+   * SHA-256チェックサム
+   */
+  checksum(content) {
+    return createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [CACHE-STORE] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * チャンピオンレジストリ
+ * Data Dragonのチャンピオン一覧から 数値key（試合データ）↔ 文字列id（ページ・画像・統計）↔ 表示名（ロケール別）を相互解決する。
+ * 統計・ページ生成・データセット出力はすべてidを正とし、外部データの参照はここで正規化する
+ */
+
+export class ChampionRegistry {
+  constructor(champions = {}) {
+    this.byId = new Map();
+    this.byKey = new Map();
+    this.byAlias = new Map();
+
+    Object.values(champions).forEach(champion => this.register(champion));
+  }
+
+  /**
+   * チャンピオン登録（id必須。keyは数値・文字列どちらでも可）
+   */
+  register(champion) {
+    if (!champion?.id) return;
+
+    const entry = {
+      id: String(champion.id),
+      key: champion.key != null ? String(champion.key) : null,
+      name: champion.name || champion.id,
+      // ロケール別表示名（champion.localized: { en: { name, title }, ... }）
+      names: Object.fromEntries(Object.entries(champion.localized || {})
+        .filter(([, localized]) => localized?.name)
+        .map(([locale, localized]) => [locale, localized.name])),
+      tags: champion.tags || []
+    };
+    this.byId.set(entry.id, entry);
+    if (entry.key) this.byKey.set(entry.key, entry);
+
+    // 大文字小文字違い（ファイル名）・各言語の表示名からも引けるようにする（idを優先）
+    [...Object.values(entry.names), entry.name, entry.id]
+      .forEach(alias => this.byAlias.set(alias.toLowerCase(), entry));
+  }
+
+  /**
+   * 参照解決（数値key / id / 小文字id / 表示名）。未登録ならnull
+   */
+  resolve(ref) {
+    if (ref == null || ref === '') return null;
+
+    const value = String(ref);
+    return this.byId.get(value) || this.byKey.get(value) || this.byAlias.get(value.toLowerCase()) || null;
+  }
+
+  has(ref) {
+    return this.resolve(ref) !== null;
+  }
+
+  getId(ref) {
+    return this.resolve(ref)?.id ?? null;
+  }
+
+  getKey(ref) {
+    return this.resolve(ref)?.key ?? null;
+  }
+
+  /**
+   * 表示名（localeの名前がなければ主ロケールの名前）
+   */
+  getName(ref, locale = null) {
+    const entry = this.resolve(ref);
+    if (!entry) return null;
+
+    return (locale && entry.names[locale]) || entry.name;
+  }
+
+  /**
+   * 詳細ページのファイル名（"aatrox.html"）
+   */
+  getPageFile(ref) {
+    const id = this.getId(ref);
+    return id ? `${id.toLowerCase()}.html` : null;
+  }
+
+  /**
+   * 登録済みチャンピオン一覧（数値key順）
+   */
+  list() {
+    return [...this.byId.values()].sort((a, b) => Number(a.key) - Number(b.key));
+  }
+
+  get size() {
+    return this.byId.size;
+  }
+}
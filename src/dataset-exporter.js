@@ -0,0 +1,184 @@
+/**
+ * 公開データセットエクスポーター
+ * 生の試合データを含まない軽量な対面行列をレーン別・列指向JSONで出力（gzip圧縮効率重視）
+ */
+
+import fs from 'fs-extra';
+import { join } from 'path';
+import { ChampionRegistry } from './champion-registry.js';
+
+// データ形式を変更したらインクリメント（出力パス api/v<N>/ に反映）
+// 2: delta を生の勝率ではなくページと同じ補正勝率（事後分布 + 実力差補正）から算出
+const DATASET_VERSION = 2;
+const LANES = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+
+export class DatasetExporter {
+  constructor(config) {
+    this.config = config;
+    this.apiDir = join(process.cwd(), config.outputDir, 'api');
+    this.outputDir = join(this.apiDir, `v${DATASET_VERSION}`);
+  }
+
+  /**
+   * データセット出力
+   */
+  async exportDataset(gameData) {
+    this.log('info', `Exporting public dataset v${DATASET_VERSION}`);
+    await this.removeOutdatedVersions();
+    await fs.ensureDir(join(this.outputDir, 'lanes'));
+
+    const championIndex = this.buildChampionIndex(gameData.champions || {});
+    const adjustedRates = this.collectAdjustedRates(gameData.championStats || {}, championIndex);
+    const laneMatrices = this.buildLaneMatrices(gameData.rawMatchups || [], championIndex, adjustedRates);
+
+    const laneFiles = [];
+    for (const lane of LANES) {
+      const fileName = `lanes/${lane.toLowerCase()}.json`;
+      const content = JSON.stringify(laneMatrices[lane]);
+      await fs.writeFile(join(this.outputDir, fileName), content, 'utf8');
+
+      laneFiles.push({
+        lane,
+        file: fileName,
+        pairs: laneMatrices[lane].champion.length,
+        size: Buffer.byteLength(content, 'utf8')
+      });
+    }
+
+    const metadata = gameData.metadata || {};
+    const index = {
+      version: DATASET_VERSION,
+      generatedAt: new Date().toISOString(),
+      patch: metadata.currentPatch || metadata.patchVersion || null,
+      patches: metadata.patches || [],
+      regions: metadata.regions || (metadata.region ? [metadata.region] : []),
+      totalMatches: metadata.totalMatches || 0,
+      // 各レーンファイルは champion < enemy の片方向のみ収録
+      // 逆方向は games 同じ / wins = games - wins / delta = -delta（null は null）で復元できる
+      symmetric: true,
+      columns: {
+        champion: 'champions配列のindex',
+        enemy: 'champions配列のindex',
+        games: '試合数',
+        wins: 'championの勝利数',
+        delta: 'ページと同じ補正勝率（事前分布で縮小し実力差を除いた勝率）の50%との差（‰）。最小試合数未満の対面はnull'
+      },
+      lanes: laneFiles,
+      champions: championIndex.list.map(champion => [champion.id, champion.key, champion.name, champion.tags || []])
+    };
+
+    await fs.writeFile(join(this.outputDir, 'index.json'), JSON.stringify(index), 'utf8');
+
+    const totalSize = laneFiles.reduce((sum, file) => sum + file.size, 0);
+    this.log('info', `Dataset exported: ${championIndex.list.length} champions, ${laneFiles.reduce((sum, file) => sum + file.pairs, 0)} pairs, ${(totalSize / 1024).toFixed(2)}KB`);
+
+    return index;
+  }
+
+  /**
+   * チャンピオンindex構築（数値key順。参照はレジストリでidに解決してから引く）
+   */
+  buildChampionIndex(champions) {
+    const registry = new ChampionRegistry(champions);
+    const list = registry.list();
+    const indexById = new Map(list.map((champion, index) => [champion.id, index]));
+
+    return {
+      list,
+      indexOf: ref => indexById.get(registry.getId(ref))
+    };
+  }
+
+  /**
+   * 更新されなくなった旧版のデータセット（api/v<N>/）を削除
+   */
+  async removeOutdatedVersions() {
+    if (!await fs.pathExists(this.apiDir)) return;
+
+    for (const entry of await fs.readdir(this.apiDir)) {
+      if (/^v\d+$/.test(entry) && entry !== `v${DATASET_VERSION}`) {
+        await fs.remove(join(this.apiDir, entry));
+        this.log('info', `Removed outdated dataset api/${entry}`);
+      }
+    }
+  }
+
+  /**
+   * 対面ごとの補正勝率（ページ・ドラフト行列と同じ adjustedWinRate）を index・レーン単位で収集
+   */
+  collectAdjustedRates(championStats, championIndex) {
+    const adjustedRates = new Map();
+
+    Object.values(championStats).forEach(stats => {
+      const index = championIndex.indexOf(stats.id ?? stats.key);
+      const counters = stats.counterRelationships || {};
+      if (index === undefined) return;
+
+      // matchups: 最小試合数以上の全対面（旧キャッシュは分類済みの対面のみ）
+      (counters.matchups || [...(counters.strongCounters || []), ...(counters.counters || []), ...(counters.counteredBy || [])])
+        .forEach(counter => {
+          const enemy = championIndex.indexOf(counter.championId);
+          if (enemy !== undefined && counter.adjustedWinRate !== undefined) {
+            adjustedRates.set(`${index}_${enemy}_${counter.lane}`, counter.adjustedWinRate);
+          }
+        });
+    });
+
+    return adjustedRates;
+  }
+
+  /**
+   * レーン別対面行列構築（列指向）
+   */
+  buildLaneMatrices(matchups, championIndex, adjustedRates) {
+    const pairStats = Object.fromEntries(LANES.map(lane => [lane, new Map()]));
+
+    matchups.forEach(matchup => {
+      const lanePairs = pairStats[matchup.lane];
+      const index1 = championIndex.indexOf(matchup.champion1.id);
+      const index2 = championIndex.indexOf(matchup.champion2.id);
+      if (!lanePairs || index1 === undefined || index2 === undefined || index1 === index2) return;
+
+      // 小さいindexを champion 側に正規化
+      const [champion, enemy, championWon] = index1 < index2 ?
+        [index1, index2, matchup.champion1.win] : [index2, index1, matchup.champion2.win];
+      const key = champion * 10000 + enemy;
+
+      if (!lanePairs.has(key)) {
+        lanePairs.set(key, { champion, enemy, games: 0, wins: 0 });
+      }
+      const stat = lanePairs.get(key);
+      stat.games++;
+      if (championWon) stat.wins++;
+    });
+
+    return Object.fromEntries(LANES.map(lane => {
+      const rows = [...pairStats[lane].values()].sort((a, b) => a.champion - b.champion || a.enemy - b.enemy);
+
+      return [lane, {
+        version: DATASET_VERSION,
+        lane,
+        champion: rows.map(row => row.champion),
+        enemy: rows.map(row => row.enemy),
+        games: rows.map(row => row.games),
+        wins: rows.map(row => row.wins),
+        delta: rows.map(row => {
+          const adjusted = adjustedRates.get(`${row.champion}_${row.enemy}_${lane}`);
+          return adjusted === undefined ? null : Math.round((adjusted - 0.5) * 1000);
+        })
+      }];
+    }));
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [DATASET-EXPORTER] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * フィクスチャfetchアダプター
+ * 記録済みのRiot API / Data Dragonレスポンスをローカルファイルから再生し、
+ * レート制限（429 + Retry-After）や障害応答を再現する。ネットワーク無しでパイプライン全体を実行できる
+ */
+
+import fetch, { Response } from 'node-fetch';
+import fs from 'fs-extra';
+import { join, dirname, resolve } from 'path';
+
+export class FixtureFetch {
+  constructor(config) {
+    this.config = config;
+    this.fixtureDir = resolve(config.fixtureDir);
+    // replay: フィクスチャを返す / record: 実APIに転送してレスポンスを保存
+    this.mode = config.mode || 'replay';
+    this.upstream = config.upstream || fetch;
+    // "20:1,100:120" 形式。指定時はホスト単位で制限を超えた要求に429を返す
+    this.appRateLimit = this.parseLimit(config.appRateLimit);
+    // 注入する障害応答 { match: 文字列|RegExp, status, retryAfter, limitType, times }
+    this.faults = (config.faults || []).map(fault => ({ ...fault, remaining: fault.times ?? 1 }));
+    this.hostRequests = new Map();
+    this.requests = [];
+
+    // fetch関数として渡せるよう束縛
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * fetch互換エントリーポイント
+   */
+  async fetch(url, options = {}) {
+    const { host } = new URL(url);
+
+    const fault = this.takeFault(url);
+    if (fault) {
+      this.recordRequest(url, fault.status);
+      return this.createFaultResponse(host, fault);
+    }
+
+    const retryAfter = this.consumeRateLimit(host);
+    if (retryAfter > 0) {
+      this.recordRequest(url, 429);
+      return this.createFaultResponse(host, { status: 429, retryAfter, limitType: 'application' });
+    }
+
+    if (this.mode === 'record') {
+      return this.recordResponse(url, options);
+    }
+
+    const fixturePath = this.getFixturePath(url);
+    if (!await fs.pathExists(fixturePath)) {
+      this.log('debug', `No fixture for ${url}`);
+      this.recordRequest(url, 404);
+      return this.createResponse(host, 404, { status: { message: 'Data not found - no recorded fixture', status_code: 404 } });
+    }
+
+    this.recordRequest(url, 200);
+    return this.createResponse(host, 200, await fs.readFile(fixturePath, 'utf8'));
+  }
+
+  /**
+   * 実APIへ転送し、成功レスポンスをフィクスチャとして保存
+   */
+  async recordResponse(url, options) {
+    const response = await this.upstream(url, options);
+    const body = await response.text();
+
+    if (response.ok) {
+      const fixturePath = this.getFixturePath(url);
+      await fs.ensureDir(dirname(fixturePath));
+      await fs.writeFile(fixturePath, body, 'utf8');
+      this.log('info', `Recorded ${url}`);
+    }
+
+    this.recordRequest(url, response.status);
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+
+  /**
+   * URL → フィクスチャパス（<host>/<path>.json、クエリ文字列は無視）
+   */
+  getFixturePath(url) {
+    const { host, pathname } = new URL(url);
+    const filePath = pathname.endsWith('.json') ? pathname : `${pathname}.json`;
+    return join(this.fixtureDir, host, decodeURIComponent(filePath));
+  }
+
+  /**
+   * 該当する障害設定を1回分消費
+   */
+  takeFault(url) {
+    const fault = this.faults.find(candidate =>
+      candidate.remaining > 0 &&
+      (candidate.match instanceof RegExp ? candidate.match.test(url) : url.includes(candidate.match))
+    );
+
+    if (fault) fault.remaining--;
+    return fault || null;
+  }
+
+  /**
+   * ホスト単位の送信枠消費（超過時はRetry-After秒数を返す）
+   */
+  consumeRateLimit(host) {
+    if (this.appRateLimit.length === 0 || !this.isRiotHost(host)) return 0;
+
+    const now = Date.now();
+    const timestamps = (this.hostRequests.get(host) || []).filter(t => t > now - this.getLongestWindowMs());
+    this.hostRequests.set(host, timestamps);
+
+    let retryAfterMs = 0;
+    this.appRateLimit.forEach(([limit, seconds]) => {
+      const inWindow = timestamps.filter(t => t > now - seconds * 1000);
+      if (inWindow.length >= limit) {
+        retryAfterMs = Math.max(retryAfterMs, inWindow[inWindow.length - limit] + seconds * 1000 - now);
+      }
+    });
+
+    if (retryAfterMs > 0) return Math.ceil(retryAfterMs / 1000);
+
+    timestamps.push(now);
+    return 0;
+  }
+
+  /**
+   * 障害レスポンス生成
+   */
+  createFaultResponse(host, { status, retryAfter, limitType }) {
+    const headers = {};
+    if (retryAfter !== undefined) headers['Retry-After'] = String(retryAfter);
+    if (status === 429) headers['X-Rate-Limit-Type'] = limitType || 'application';
+
+    const message = status === 429 ? 'Rate limit exceeded' : 'Simulated failure';
+    return this.createResponse(host, status, { status: { message, status_code: status } }, headers);
+  }
+
+  /**
+   * レスポンス生成（Riotホストにはレート制限ヘッダーを付与）
+   */
+  createResponse(host, status, body, extraHeaders = {}) {
+    const headers = { 'Content-Type': 'application/json;charset=utf-8', ...extraHeaders };
+
+    if (this.appRateLimit.length > 0 && this.isRiotHost(host)) {
+      const now = Date.now();
+      const timestamps = this.hostRequests.get(host) || [];
+      headers['X-App-Rate-Limit'] = this.appRateLimit.map(([limit, seconds]) => `${limit}:${seconds}`).join(',');
+      headers['X-App-Rate-Limit-Count'] = this.appRateLimit
+        .map(([, seconds]) => `${timestamps.filter(t => t > now - seconds * 1000).length}:${seconds}`)
+        .join(',');
+    }
+
+    const content = typeof body === 'string' ? body : JSON.stringify(body);
+    return new Response(content, { status, headers });
+  }
+
+  /**
+   * リクエスト記録（テスト・デバッグ用）
+   */
+  recordRequest(url, status) {
+    this.requests.push({ url, status, timestamp: Date.now() });
+  }
+
+  /**
+   * Riot APIホスト判定（Data Dragonは制限対象外）
+   */
+  isRiotHost(host) {
+    return host.endsWith('.api.riotgames.com');
+  }
+
+  /**
+   * 最長ウィンドウ（ms）
+   */
+  getLongestWindowMs() {
+    return Math.max(...this.appRateLimit.map(([, seconds]) => seconds * 1000));
+  }
+
+  /**
+   * "20:1,100:120" 形式のパース
+   */
+  parseLimit(header) {
+    if (!header) return [];
+
+    return header
+      .split(',')
+      .map(part => part.trim().split(':').map(Number))
+      .filter(([limit, seconds]) => Number.isFinite(limit) && Number.isFinite(seconds) && seconds > 0);
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [FIXTURE-FETCH] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
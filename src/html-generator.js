@@ -6,28 +6,52 @@
 
 import fs from 'fs-extra';
 import { join } from 'path';
+import { ChampionRegistry } from './champion-registry.js';
+import { DEFAULT_LOCALE, createTranslator, getLocaleInfo } from './i18n.js';
+import { TemplateEngine, html, joinHtml } from './template-engine.js';
+
+// 画像未取得時の代替画像（generatePlaceholderImageでサイト直下に出力）
+const CHAMPION_PLACEHOLDER_IMAGE = '/images/champion/placeholder.svg';
 
 export class HtmlGenerator {
   constructor(config, imageMap) {
     this.config = config;
     this.imageMap = imageMap;
-    this.outputDir = join(process.cwd(), config.outputDir);
+    this.baseOutputDir = join(process.cwd(), config.outputDir);
     this.templatesDir = join(process.cwd(), 'templates');
+    // ページ外枠は templates/*.html、表などの断片は html`...` で生成（いずれも自動エスケープ）
+    this.templates = new TemplateEngine({ templatesDir: this.templatesDir, debug: config.debug });
+    // リンク・統計・画像の参照解決（generateAllPagesでData Dragonの一覧から構築）
+    this.championRegistry = new ChampionRegistry();
+    
+    // 生成言語（各言語を <outputDir>/<locale>/ に出力）
+    this.locales = config.locales?.length ? config.locales : [DEFAULT_LOCALE];
+    this.setLocale(this.locales[0]);
     
-    // ソート設定
+    // ソート設定（表示名はメッセージカタログの sort.<key>）
     this.sortTypes = {
-      'index': { name: '新着順', sort: this.sortByRecent.bind(this) },
-      'a-z': { name: 'A-Z順', sort: this.sortByNameAsc.bind(this) },
-      'z-a': { name: 'Z-A順', sort: this.sortByNameDesc.bind(this) },
-      'category-assassin': { name: 'アサシン', sort: this.sortByCategory.bind(this, 'Assassin') },
-      'category-fighter': { name: 'ファイター', sort: this.sortByCategory.bind(this, 'Fighter') },
-      'category-mage': { name: 'メイジ', sort: this.sortByCategory.bind(this, 'Mage') },
-      'category-marksman': { name: 'マークスマン', sort: this.sortByCategory.bind(this, 'Marksman') },
-      'category-support': { name: 'サポート', sort: this.sortByCategory.bind(this, 'Support') },
-      'category-tank': { name: 'タンク', sort: this.sortByCategory.bind(this, 'Tank') }
+      'index': { sort: this.sortByRecent.bind(this) },
+      'a-z': { sort: this.sortByNameAsc.bind(this) },
+      'z-a': { sort: this.sortByNameDesc.bind(this) },
+      'category-assassin': { sort: this.sortByCategory.bind(this, 'Assassin') },
+      'category-fighter': { sort: this.sortByCategory.bind(this, 'Fighter') },
+      'category-mage': { sort: this.sortByCategory.bind(this, 'Mage') },
+      'category-marksman': { sort: this.sortByCategory.bind(this, 'Marksman') },
+      'category-support': { sort: this.sortByCategory.bind(this, 'Support') },
+      'category-tank': { sort: this.sortByCategory.bind(this, 'Tank') }
     };
   }
 
+  /**
+   * 生成ロケール切り替え（出力先・メッセージ・チャンピオン表示名）
+   */
+  setLocale(locale) {
+    this.locale = locale;
+    this.localeInfo = getLocaleInfo(locale);
+    this.t = createTranslator(locale);
+    this.outputDir = join(this.baseOutputDir, locale);
+  }
+
   /**
    * 全ページ生成 - True Static-First完全実装
    */
@@ -36,19 +60,34 @@ export class HtmlGenerator {
     
     const generatedPages = [];
     const champions = gameData.championStats || gameData.processedCounters || {};
+    this.championRegistry = new ChampionRegistry({ ...champions, ...gameData.champions });
     
     try {
-      // Phase 1: メインページ生成（一覧ページ）
-      await this.generateListingPages(gameData, generatedPages);
-      
-      // Phase 2: チャンピオン詳細ページ生成（個別ページ）
-      await this.generateChampionDetailPages(champions, gameData, generatedPages);
-      
-      // Phase 3: 検索結果ページ生成（静的検索対応）
-      await this.generateSearchPages(champions, gameData, generatedPages);
+      for (const locale of this.locales) {
+        this.setLocale(locale);
+        await fs.ensureDir(this.outputDir);
+        const localePages = [];
+        
+        // Phase 1: メインページ生成（一覧ページ）
+        await this.generateListingPages(gameData, localePages);
+        
+        // Phase 2: チャンピオン詳細ページ生成（個別ページ）
+        await this.generateChampionDetailPages(champions, gameData, localePages);
+        
+        // Phase 3: 検索結果ページ生成（静的検索対応）
+        await this.generateSearchPages(champions, gameData, localePages);
+        
+        // Phase 4: ドラフト支援ページ生成（カウンター行列 + 補助スクリプト）
+        await this.generateDraftPage(champions, gameData, localePages);
+        
+        generatedPages.push(...localePages.map(page => ({ ...page, locale, fileName: `${locale}/${page.fileName}` })));
+        this.log('info', `[${locale}] Generated ${localePages.length} pages`);
+      }
       
-      // Phase 4: PWA対応ファイル生成
+      // Phase 5: 言語選択ページ・PWA対応ファイル・代替画像生成（サイト直下）
+      await this.generateLanguageIndex(gameData, generatedPages);
       await this.generatePWAFiles();
+      await this.generatePlaceholderImage();
       
       this.log('info', `True Static-First generation completed. Generated ${generatedPages.length} pages`);
       return generatedPages;
@@ -79,7 +118,7 @@ export class HtmlGenerator {
       const htmlContent = this.generateListingPageHtml(
         sortedChampions,
         gameData,
-        sortConfig.name,
+        this.t(`sort.${sortKey}`),
         sortKey
       );
       
@@ -103,8 +142,8 @@ export class HtmlGenerator {
     this.log('info', 'Generating champion detail pages');
     
     for (const [championId, championData] of Object.entries(champions)) {
-      const championName = championData.name || championData.id;
-      const fileName = `${championId.toLowerCase()}.html`;
+      const championName = this.getChampionName(championId, championData.name || championData.id);
+      const fileName = this.getChampionPageFile(championId);
       const filePath = join(this.outputDir, fileName);
       
       this.log('debug', `Generating detail page: ${fileName}`);
@@ -134,35 +173,30 @@ export class HtmlGenerator {
   async generateSearchPages(champions, gameData, generatedPages) {
     this.log('info', 'Generating static search pages');
     
-    // アルファベット別検索ページ
-    for (let i = 0; i < 26; i++) {
-      const letter = String.fromCharCode(65 + i).toLowerCase(); // a-z
+    // アルファベット別検索ページ（全言語で同じページ構成になるようData Dragonのidの頭文字で分類）
+    const searchLetters = this.getSearchLetters(champions);
+    for (const [letter, matchingChampions] of searchLetters) {
       const fileName = `search-${letter}.html`;
       const filePath = join(this.outputDir, fileName);
       
-      const matchingChampions = Object.values(champions).filter(champ => 
-        champ.name && champ.name.toLowerCase().startsWith(letter)
+      const htmlContent = this.generateSearchPageHtml(
+        matchingChampions,
+        this.t('search.letterTitle', { letter: letter.toUpperCase() }),
+        `search-${letter}`,
+        gameData,
+        [...searchLetters.keys()]
       );
       
-      if (matchingChampions.length > 0) {
-        const htmlContent = this.generateSearchPageHtml(
-          matchingChampions,
-          `「${letter.toUpperCase()}」で始まるチャンピオン`,
-          `search-${letter}`,
-          gameData
-        );
-        
-        await fs.writeFile(filePath, htmlContent, 'utf8');
-        
-        generatedPages.push({
-          fileName,
-          type: 'search',
-          searchType: 'letter',
-          searchValue: letter,
-          championCount: matchingChampions.length,
-          size: Buffer.byteLength(htmlContent, 'utf8')
-        });
-      }
+      await fs.writeFile(filePath, htmlContent, 'utf8');
+      
+      generatedPages.push({
+        fileName,
+        type: 'search',
+        searchType: 'letter',
+        searchValue: letter,
+        championCount: matchingChampions.length,
+        size: Buffer.byteLength(htmlContent, 'utf8')
+      });
     }
     
     // レーン別検索ページ
@@ -171,9 +205,9 @@ export class HtmlGenerator {
       const fileName = `lane-${lane.toLowerCase()}.html`;
       const filePath = join(this.outputDir, fileName);
       
-      const laneChampions = Object.values(champions).filter(champ => 
-        champ.lanePerformance && champ.lanePerformance[lane]
-      );
+      const laneChampions = Object.values(champions)
+        .filter(champ => champ.lanePerformance && champ.lanePerformance[lane])
+        .sort((a, b) => b.lanePerformance[lane].games - a.lanePerformance[lane].games);
       
       if (laneChampions.length > 0) {
         const htmlContent = this.generateLanePageHtml(
@@ -195,6 +229,229 @@ export class HtmlGenerator {
     }
   }
 
+  /**
+   * ドラフト支援ページ生成
+   * HTMLはフォームのみを持ち、draft.js がカウンター行列を読み込んで候補をランク付けする
+   */
+  async generateDraftPage(champions, gameData, generatedPages) {
+    this.log('info', 'Generating draft assistant page');
+    
+    const matrix = this.buildCounterMatrix(champions, gameData);
+    const matrixJson = JSON.stringify(matrix);
+    await fs.writeFile(join(this.outputDir, 'draft-data.json'), matrixJson, 'utf8');
+    
+    const script = this.generateDraftScript();
+    await fs.writeFile(join(this.outputDir, 'draft.js'), script, 'utf8');
+    
+    const htmlContent = this.generateDraftPageHtml(gameData);
+    await fs.writeFile(join(this.outputDir, 'draft.html'), htmlContent, 'utf8');
+    
+    generatedPages.push({
+      fileName: 'draft.html',
+      type: 'draft',
+      championCount: matrix.champions.length,
+      matchupCount: matrix.matchups.length,
+      size: Buffer.byteLength(htmlContent, 'utf8') + Buffer.byteLength(script, 'utf8') + Buffer.byteLength(matrixJson, 'utf8')
+    });
+  }
+  
+  /**
+   * コンパクトなカウンター行列生成
+   * champions: [id, 名前, {レーン: 採用率}]
+   * matchups: [自分index, 相手index, レーンindex, 試合数, 補正勝率(‰)]（互角の対面を含む）
+   */
+  buildCounterMatrix(champions, gameData) {
+    const lanes = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+    const championList = Object.values(champions);
+    
+    const indexById = new Map(championList.map((champion, index) => [champion.id, index]));
+    
+    const matchups = [];
+    championList.forEach((champion, index) => {
+      const counters = champion.counterRelationships || {};
+      // matchups: 最小試合数（MIN_MATCHUP_SAMPLE_SIZE）以上の全対面（旧キャッシュは分類済みの対面のみ）
+      (counters.matchups || [...(counters.strongCounters || []), ...(counters.counters || []), ...(counters.counteredBy || [])])
+        .forEach(counter => {
+          const enemyIndex = indexById.get(this.championRegistry.getId(counter.championId) ?? counter.championId);
+          const laneIndex = lanes.indexOf(counter.lane);
+          const winRate = counter.adjustedWinRate ?? counter.matchupWinRate;
+          if (enemyIndex === undefined || laneIndex === -1 || winRate === undefined) return;
+          
+          matchups.push([index, enemyIndex, laneIndex, counter.sampleSize, Math.round(winRate * 1000)]);
+        });
+    });
+    
+    return {
+      version: 1,
+      patch: gameData.metadata?.currentPatch || gameData.metadata?.patchVersion || null,
+      lanes,
+      champions: championList.map(champion => [
+        champion.id,
+        this.getChampionName(champion.id, champion.name || champion.id),
+        Object.fromEntries(Object.entries(champion.lanePerformance || {})
+          .map(([lane, data]) => [lane, Math.round((data.playRate || 0) * 1000) / 1000]))
+      ]),
+      matchups
+    };
+  }
+  
+  /**
+   * ドラフト支援ページHTML生成
+   */
+  generateDraftPageHtml(gameData) {
+    const metadata = gameData.metadata || {};
+    
+    const roleOptions = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY']
+      .map(lane => html`<option value="${lane}">${this.getLaneName(lane)}</option>`);
+    const enemySelects = [1, 2, 3, 4, 5]
+      .map(slot => html`<tr><td>${this.t('draft.enemy', { slot })}</td><td><select name="enemy" id="enemy${slot}"><option value="">-</option></select></td></tr>`);
+    // {link} の位置にリンクを差し込む（文言側はエスケープ対象）
+    const [beforeLink, afterLink = ''] = this.t('draft.noscript').split('{link}');
+    const noscriptMessage = html`${beforeLink}<a href="lane-top.html">${this.t('draft.noscriptLink')}</a>${afterLink}`;
+
+    return this.renderPage({
+      fileName: 'draft.html',
+      description: this.t('draft.metaDescription'),
+      title: this.t('draft.title'),
+      content: [
+        this.generateNavigation('draft'),
+        this.templates.render('draft', {
+          heading: this.t('draft.heading'),
+          intro: this.t('draft.intro'),
+          roleLabel: this.t('draft.role'),
+          roleOptions,
+          enemySelects: joinHtml(enemySelects, '\n'),
+          submitLabel: this.t('draft.submit'),
+          noscriptMessage
+        })
+      ],
+      footer: this.generateFooter(metadata),
+      scripts: [html`<script src="draft.js" defer></script>`, this.generateServiceWorkerScript()]
+    });
+  }
+  
+  /**
+   * ドラフト支援スクリプト生成（draft-data.json を読み込みクライアント側で評価）
+   */
+  generateDraftScript() {
+    const messages = Object.fromEntries(
+      ['noCandidates', 'loadError', 'rank', 'candidate', 'estimate', 'known', 'breakdown']
+        .map(key => [key, this.t(`draft.${key}`)])
+    );
+    
+    return `// FastestLOLCounterFinder Draft Assistant
+// Generated: ${new Date().toISOString()}
+(function () {
+  var MESSAGES = ${JSON.stringify(messages)};
+  var form = document.getElementById('draft-form');
+  var results = document.getElementById('draft-results');
+  if (!form || !window.fetch) return;
+
+  // 候補とする最低採用率（そのロールでの試合数 / 分析した全試合数）
+  var MIN_ROLE_PLAY_RATE = 0.005;
+
+  // 補正勝率の対数オッズを試合数で重み付けして合算（30試合で重み1）
+  function logit(p) {
+    p = Math.min(0.99, Math.max(0.01, p));
+    return Math.log(p / (1 - p));
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function buildIndex(data) {
+    var index = {};
+    data.matchups.forEach(function (m) {
+      var key = m[0] + '_' + m[1];
+      (index[key] = index[key] || []).push({ lane: data.lanes[m[2]], games: m[3], winRate: m[4] / 1000 });
+    });
+    return index;
+  }
+
+  function scoreCandidates(data, index, role, enemies) {
+    var candidates = [];
+    // レーン別データがない場合は全チャンピオンを候補にする
+    var hasLaneData = data.champions.some(function (champion) { return Object.keys(champion[2]).length > 0; });
+    data.champions.forEach(function (champion, i) {
+      if (enemies.indexOf(i) !== -1) return;
+      if (hasLaneData && (champion[2][role] || 0) < MIN_ROLE_PLAY_RATE) return;
+
+      var score = 0;
+      var known = 0;
+      var details = [];
+      enemies.forEach(function (e) {
+        // 他レーンでの対面は参考にならないため、このロールのデータがない敵は未集計として扱う
+        var entry = (index[i + '_' + e] || []).filter(function (x) { return x.lane === role; })[0];
+        if (!entry) return;
+        score += logit(entry.winRate) * Math.min(1, entry.games / 30);
+        known++;
+        details.push(escapeHtml(data.champions[e][1]) + ' ' + (entry.winRate * 100).toFixed(1) + '%');
+      });
+
+      candidates.push({ champion: champion, score: score, known: known, details: details });
+    });
+
+    return candidates.sort(function (a, b) { return b.score - a.score; }).slice(0, 20);
+  }
+
+  function render(candidates, enemyCount) {
+    if (candidates.length === 0) {
+      results.innerHTML = '<table width="100%" border="1"><tr><td align="center">' + escapeHtml(MESSAGES.noCandidates) + '</td></tr></table>';
+      return;
+    }
+    var rows = candidates.map(function (c, rank) {
+      var estimate = (100 / (1 + Math.exp(-c.score))).toFixed(1);
+      return '<tr><td>' + (rank + 1) + '</td>' +
+        '<td><a href="' + escapeHtml(String(c.champion[0]).toLowerCase()) + '.html">' + escapeHtml(c.champion[1]) + '</a></td>' +
+        '<td>' + estimate + '%</td>' +
+        '<td>' + c.known + '/' + enemyCount + '</td>' +
+        '<td>' + (c.details.join(', ') || '-') + '</td></tr>';
+    }).join('');
+    results.innerHTML = '<table width="100%" border="1">' +
+      '<tr bgcolor="#f0f0f0">' + ['rank', 'candidate', 'estimate', 'known', 'breakdown'].map(function (key) {
+        return '<td><b>' + escapeHtml(MESSAGES[key]) + '</b></td>';
+      }).join('') + '</tr>' +
+      rows + '</table>';
+  }
+
+  fetch('draft-data.json').then(function (response) {
+    return response.json();
+  }).then(function (data) {
+    var index = buildIndex(data);
+    var options = data.champions.map(function (champion, i) {
+      return { value: i, label: champion[1] };
+    }).sort(function (a, b) { return a.label.localeCompare(b.label, document.documentElement.lang); });
+
+    Array.prototype.forEach.call(form.querySelectorAll('select[name="enemy"]'), function (select) {
+      options.forEach(function (option) {
+        var element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        select.appendChild(element);
+      });
+    });
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      var role = form.querySelector('#role').value;
+      // 同じチャンピオンを複数枠で選んでも1体として評価
+      var enemies = Array.prototype.map.call(form.querySelectorAll('select[name="enemy"]'), function (select) {
+        return select.value;
+      }).filter(function (value, i, values) {
+        return value && values.indexOf(value) === i;
+      }).map(Number);
+      render(scoreCandidates(data, index, role, enemies), enemies.length);
+    });
+  }).catch(function () {
+    results.innerHTML = '<table width="100%" border="1"><tr><td align="center">' + escapeHtml(MESSAGES.loadError) + '</td></tr></table>';
+  });
+})();
+`;
+  }
+
   /**
    * チャンピオンデータソート
    */
@@ -202,18 +459,19 @@ export class HtmlGenerator {
     const champions = Object.values(gameData.champions || {});
     const championStats = gameData.championStats || {};
     
-    // 統計データを結合（champion.idをキーとして使用）
-    const enrichedChampions = champions.map(champion => ({
-      ...champion,
-      stats: championStats[champion.id] || {
-        totalGames: 0,
-        wins: 0,
-        losses: 0,
-        winRate: '0.0',
-        averageKDA: { kills: '0.0', deaths: '0.0', assists: '0.0' },
-        counters: []
-      }
-    }));
+    // 統計はレジストリで解決したidで結合（統計のないチャンピオンはData Dragonの情報のみ）
+    const statsById = new Map(Object.values(championStats)
+      .map(stats => [this.championRegistry.getId(stats.id ?? stats.key) ?? stats.id, stats]));
+    const enrichedChampions = champions.map(champion => {
+      const stats = statsById.get(this.championRegistry.getId(champion.id) ?? champion.id) || {};
+      return {
+        ...champion,
+        name: this.getChampionName(champion.id, champion.name),
+        overallStats: stats.overallStats,
+        counterRelationships: stats.counterRelationships,
+        lanePerformance: stats.lanePerformance
+      };
+    });
     
     return sortFunction(enrichedChampions);
   }
@@ -227,17 +485,17 @@ export class HtmlGenerator {
   }
 
   sortByNameAsc(champions) {
-    return champions.sort((a, b) => a.name.localeCompare(b.name));
+    return champions.sort((a, b) => a.name.localeCompare(b.name, this.localeInfo.htmlLang));
   }
 
   sortByNameDesc(champions) {
-    return champions.sort((a, b) => b.name.localeCompare(a.name));
+    return champions.sort((a, b) => b.name.localeCompare(a.name, this.localeInfo.htmlLang));
   }
 
   sortByCategory(category, champions) {
     return champions
       .filter(champion => champion.tags && champion.tags.includes(category))
-      .sort((a, b) => a.name.localeCompare(b.name));
+      .sort((a, b) => a.name.localeCompare(b.name, this.localeInfo.htmlLang));
   }
 
   /**
@@ -245,29 +503,18 @@ export class HtmlGenerator {
    */
   generateListingPageHtml(champions, gameData, sortName, sortKey) {
     const metadata = gameData.metadata || {};
-    const navigationHtml = this.generateNavigation(sortKey);
-    const headerHtml = this.generateHeader(sortName, champions.length, metadata);
-    const contentHtml = this.generateChampionListingTable(champions); // 軽量版テーブル
-    const footerHtml = this.generateFooter(metadata);
-    const swScript = this.generateServiceWorkerScript();
-
-    return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<meta name="description" content="${sortName} League of Legends カウンター情報 - 世界最速表示">
-<title>${sortName} - FastestLOL</title>
-<link rel="manifest" href="manifest.json">
-</head>
-<body>
-${navigationHtml}
-${headerHtml}
-${contentHtml}
-${footerHtml}
-${swScript}
-</body>
-</html>`;
+
+    return this.renderPage({
+      fileName: `${sortKey}.html`,
+      description: this.t('listing.metaDescription', { sortName }),
+      title: this.t('listing.title', { sortName }),
+      content: [
+        this.generateNavigation(sortKey),
+        this.generateHeader(sortName, champions.length, metadata),
+        this.generateChampionListingTable(champions) // 軽量版テーブル
+      ],
+      footer: this.generateFooter(metadata)
+    });
   }
   
   /**
@@ -275,65 +522,51 @@ ${swScript}
    */
   generateChampionDetailHtml(championData, gameData, allChampions) {
     const metadata = gameData.metadata || {};
-    const championName = championData.name || championData.id;
-    
-    const navigationHtml = this.generateDetailNavigation(championData, allChampions);
-    const championHeaderHtml = this.generateChampionHeader(championData, metadata);
-    const overallStatsHtml = this.generateOverallStatsTable(championData);
-    const counterTableHtml = this.generateFullCounterTable(championData);
-    const lanePerformanceHtml = this.generateLanePerformanceTable(championData);
-    const footerHtml = this.generateFooter(metadata);
-    const swScript = this.generateServiceWorkerScript();
-
-    return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<meta name="description" content="${championName} カウンター情報 - 勝率・対面データ完全分析">
-<title>${championName} カウンター詳細 - FastestLOL</title>
-<link rel="manifest" href="manifest.json">
-</head>
-<body>
-${navigationHtml}
-${championHeaderHtml}
-${overallStatsHtml}
-${counterTableHtml}
-${lanePerformanceHtml}
-${footerHtml}
-${swScript}
-</body>
-</html>`;
+    const championName = this.getChampionName(championData.id, championData.name || championData.id);
+    const details = this.getChampionDetails(championData.id, gameData);
+    const images = this.imageMap?.champions?.[details?.id] || {};
+
+    return this.renderPage({
+      fileName: this.getChampionPageFile(championData.id),
+      description: this.t('detail.metaDescription', { championName }),
+      title: this.t('detail.title', { championName }),
+      content: [
+        this.generateDetailNavigation(championData, allChampions),
+        this.generateChampionHeader(championData, metadata),
+        this.generateOverallStatsTable(championData),
+        this.generateCounterSection(championData, details, championName),
+        this.generateAbilityTable(details, images),
+        this.generateBaseStatsTable(details),
+        this.generateDuoTables(championData),
+        this.generateJungleMatchupTable(championData),
+        this.generateSynergyTables(championData),
+        this.generateRegionalCounterTable(championData, gameData.regionalCounters),
+        this.generateCurrentPatchCounterTable(championData, gameData),
+        this.generatePatchTrendTable(championData, metadata.patches),
+        this.generateLanePerformanceTable(championData),
+        this.generateLoreSection(details)
+      ],
+      footer: this.generateFooter(metadata)
+    });
   }
   
   /**
    * 検索ページHTML生成
    */
-  generateSearchPageHtml(champions, searchTitle, searchKey, gameData) {
+  generateSearchPageHtml(champions, searchTitle, searchKey, gameData, searchLetters) {
     const metadata = gameData.metadata || {};
-    const navigationHtml = this.generateSearchNavigation(searchKey);
-    const headerHtml = this.generateSearchHeader(searchTitle, champions.length);
-    const contentHtml = this.generateChampionListingTable(champions);
-    const footerHtml = this.generateFooter(metadata);
-    const swScript = this.generateServiceWorkerScript();
-
-    return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<meta name="description" content="${searchTitle} 検索結果 - League of Legends カウンター情報">
-<title>${searchTitle} - FastestLOL</title>
-<link rel="manifest" href="manifest.json">
-</head>
-<body>
-${navigationHtml}
-${headerHtml}
-${contentHtml}
-${footerHtml}
-${swScript}
-</body>
-</html>`;
+
+    return this.renderPage({
+      fileName: `${searchKey}.html`,
+      description: this.t('search.metaDescription', { searchTitle }),
+      title: this.t('search.title', { searchTitle }),
+      content: [
+        this.generateSearchNavigation(searchKey, searchLetters),
+        this.generateSearchHeader(searchTitle, champions.length),
+        this.generateChampionListingTable(champions)
+      ],
+      footer: this.generateFooter(metadata)
+    });
   }
   
   /**
@@ -341,47 +574,52 @@ ${swScript}
    */
   generateLanePageHtml(champions, lane, gameData) {
     const metadata = gameData.metadata || {};
-    const laneNameJP = this.getLaneNameJP(lane);
-    const navigationHtml = this.generateLaneNavigation(lane);
-    const headerHtml = this.generateLaneHeader(laneNameJP, champions.length);
-    const contentHtml = this.generateLaneChampionTable(champions, lane);
-    const footerHtml = this.generateFooter(metadata);
-    const swScript = this.generateServiceWorkerScript();
-
-    return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<meta name="description" content="${laneNameJP}レーン チャンピオン一覧 - League of Legends">
-<title>${laneNameJP}レーン - FastestLOL</title>
-<link rel="manifest" href="manifest.json">
-</head>
-<body>
-${navigationHtml}
-${headerHtml}
-${contentHtml}
-${footerHtml}
-${swScript}
-</body>
-</html>`;
+    const laneName = this.getLaneName(lane);
+
+    return this.renderPage({
+      fileName: `lane-${lane.toLowerCase()}.html`,
+      description: this.t('lanePage.metaDescription', { lane: laneName }),
+      title: this.t('lanePage.title', { lane: laneName }),
+      content: [
+        this.generateLaneNavigation(lane),
+        this.generateLaneHeader(laneName, champions.length),
+        this.generateLaneChampionTable(champions, lane, this.getCurrentPatchStats(gameData))
+      ],
+      footer: this.generateFooter(metadata)
+    });
+  }
+
+  /**
+   * ページ外枠の描画（templates/page.html）。content は空の断片を除いて改行で連結
+   */
+  renderPage({ fileName, description, title, content, footer, scripts = [this.generateServiceWorkerScript()] }) {
+    return this.templates.render('page', {
+      lang: this.localeInfo.htmlLang,
+      description,
+      title,
+      headLinks: this.generateHeadLinks(fileName),
+      languageSwitcher: this.generateLanguageSwitcher(fileName),
+      content: joinHtml(content.filter(fragment => String(fragment) !== ''), '\n'),
+      footer,
+      scripts: joinHtml(scripts, '\n')
+    }).toString();
   }
 
   /**
    * ナビゲーション生成（軽量化）
    */
   generateNavigation(currentSort) {
-    const navItems = Object.entries(this.sortTypes).map(([key, config]) => {
+    const navItems = Object.keys(this.sortTypes).map(key => {
       const href = key === 'index' ? 'index.html' : `${key}.html`;
       const isCurrent = key === currentSort;
-      const style = isCurrent ? ' bgcolor="#e3f2fd"' : '';
       
-      return `<td${style}><a href="${href}">${config.name}</a></td>`;
-    }).join('\n');
+      return html`<td${{ bgcolor: isCurrent ? '#e3f2fd' : null }}><a href="${href}">${this.t(`sort.${key}`)}</a></td>`;
+    });
 
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr>
-${navItems}
+${joinHtml(navItems, '\n')}
+<td><a href="draft.html">${this.t('nav.draft')}</a></td>
 </tr>
 </table>`;
   }
@@ -390,17 +628,16 @@ ${navItems}
    * ヘッダー生成
    */
   generateHeader(sortName, championCount, metadata) {
-    const lastUpdate = metadata.fetchTime ? 
-      new Date(metadata.fetchTime).toLocaleString('ja-JP') : '不明';
+    const lastUpdate = this.formatDate(metadata.fetchTime);
     
-    return `    <!-- ヘッダー -->
+    return html`    <!-- ヘッダー -->
     <table width="100%" cellpadding="16" cellspacing="0" border="0">
         <tr>
             <td align="center">
                 <h1>⚡ FastestLOLCounterFinder</h1>
-                <h2>🛡️ ${sortName} カウンター情報</h2>
-                <p><b>チャンピオン数: ${championCount} | 最終更新: ${lastUpdate}</b></p>
-                <p><small>敵チャンピオンを選択して、カウンターピックを瞬時に確認しよう！</small></p>
+                <h2>${this.t('listing.heading', { sortName })}</h2>
+                <p><b>${this.t('listing.summary', { count: championCount, lastUpdate })}</b></p>
+                <p><small>${this.t('listing.tagline')}</small></p>
             </td>
         </tr>
     </table>`;
@@ -411,26 +648,40 @@ ${navItems}
    */
   generateChampionListingTable(champions) {
     if (champions.length === 0) {
-      return `<table width="100%" border="1">
-<tr><td align="center">該当チャンピオンなし</td></tr>
+      return html`<table width="100%" border="1">
+<tr><td align="center">${this.t('common.noChampions')}</td></tr>
 </table>`;
     }
 
     const championRows = champions.map(champion => 
       this.generateChampionListingRow(champion)
-    ).join('\n');
+    );
 
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr bgcolor="#f0f0f0">
-<td width="120"><b>チャンピオン</b></td>
-<td><b>勝率</b></td>
-<td><b>強いカウンター</b></td>
-<td><b>詳細</b></td>
+<td width="120"><b>${this.t('table.champion')}</b></td>
+<td><b>${this.t('table.winRate')}</b></td>
+<td><b>${this.t('table.strongCounters')}</b></td>
+<td><b>${this.t('table.details')}</b></td>
 </tr>
-${championRows}
+${joinHtml(championRows, '\n')}
 </table>`;
   }
   
+  /**
+   * チャンピオンへのリンク（詳細ページ + 現在のロケールの表示名）
+   */
+  generateChampionLink(championRef, fallbackName) {
+    return html`<a href="${this.getChampionPageFile(championRef)}">${this.getChampionName(championRef, fallbackName)}</a>`;
+  }
+  
+  /**
+   * データなし行（colspan列ぶん）
+   */
+  generateCollectingRow(colspan) {
+    return html`<tr><td colspan="${colspan}" align="center">${this.t('common.collecting')}</td></tr>`;
+  }
+  
   /**
    * 完全カウンターテーブル生成（詳細ページ用）
    */
@@ -439,55 +690,415 @@ ${championRows}
     const strongCounters = counters.strongCounters || [];
     const regularCounters = counters.counters || [];
     const counteredBy = counters.counteredBy || [];
+    const favorable = [...strongCounters, ...regularCounters];
     
-    let tableHtml = `<table width="100%" border="1">
-<tr bgcolor="#e8f5e8">
-<td colspan="6"><h3>🛡️ 強力なカウンター（勝率65%以上）</h3></td>
-</tr>
-<tr bgcolor="#f0f0f0">
-<td><b>相手</b></td><td><b>レーン</b></td><td><b>勝率</b></td><td><b>試合数</b></td><td><b>信頼度</b></td><td><b>強度</b></td>
-</tr>`;
-    
-    if (strongCounters.length > 0) {
-      strongCounters.forEach(counter => {
-        tableHtml += `<tr>
-<td><a href="${counter.championId.toLowerCase()}.html">${counter.championName}</a></td>
+    const favorableRows = favorable.length > 0 ? favorable.map(counter => html`<tr>
+<td>${this.generateChampionImage(counter.championId, 24)} ${this.generateChampionLink(counter.championId, counter.championName)}</td>
 <td>${counter.lane}</td>
 <td>${(counter.matchupWinRate * 100).toFixed(1)}%</td>
+<td>${this.formatWinRate(counter.adjustedWinRate)}</td>
+<td>${counter.sampleSize}</td>
+<td>${this.formatConfidenceInterval(counter.adjustedInterval || counter.confidenceInterval)}</td>
+<td>${counter.counterStrength}</td>
+</tr>`) : [this.generateCollectingRow(7)];
+    
+    const counteredByRows = counteredBy.length > 0 ? counteredBy.map(counter => html`<tr>
+<td>${this.generateChampionImage(counter.championId, 24)} ${this.generateChampionLink(counter.championId, counter.championName)}</td>
+<td>${counter.lane}</td>
+<td>${(counter.enemyWinRate * 100).toFixed(1)}%</td>
+<td>${this.formatWinRate(counter.adjustedWinRate, true)}</td>
 <td>${counter.sampleSize}</td>
-<td>${(counter.significance * 100).toFixed(1)}%</td>
+<td>${this.formatConfidenceInterval(counter.adjustedInterval || counter.confidenceInterval, true)}</td>
 <td>${counter.counterStrength}</td>
+</tr>`) : [this.generateCollectingRow(7)];
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#e8f5e8">
+<td colspan="7"><h3>${this.t('counter.favorableHeading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('table.opponent')}</b></td><td><b>${this.t('table.lane')}</b></td><td><b>${this.t('table.winRate')}</b></td><td><b>${this.t('counter.adjustedWinRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('counter.adjustedInterval')}</b></td><td><b>${this.t('counter.strength')}</b></td>
+</tr>${favorableRows}</table>
+
+<table width="100%" border="1">
+<tr bgcolor="#ffe8e8">
+<td colspan="7"><h3>${this.t('counter.unfavorableHeading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('table.opponent')}</b></td><td><b>${this.t('table.lane')}</b></td><td><b>${this.t('counter.enemyWinRate')}</b></td><td><b>${this.t('counter.adjustedEnemyWinRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('counter.adjustedInterval')}</b></td><td><b>${this.t('counter.danger')}</b></td>
+</tr>${counteredByRows}</table>`;
+  }
+  
+  /**
+   * カウンター表 + 対策（enemytips）を横並びで表示（対策がなければ表のみ）
+   */
+  generateCounterSection(championData, details, championName) {
+    const counterTable = this.generateFullCounterTable(championData);
+    const tips = details?.enemytips || [];
+    if (tips.length === 0) return counterTable;
+    
+    return html`<table width="100%" border="0" cellpadding="0" cellspacing="0">
+<tr>
+<td valign="top">
+${counterTable}
+</td>
+<td valign="top" width="30%">
+<table width="100%" border="1">
+<tr bgcolor="#fbe9e7">
+<td><h3>${this.t('tips.enemyHeading', { championName })}</h3></td>
+</tr>
+${joinHtml(tips.map(tip => html`<tr><td>${this.formatGameText(tip)}</td></tr>`), '\n')}
+</table>
+</td>
+</tr>
+</table>`;
+  }
+  
+  /**
+   * スキルテーブル生成（パッシブ + Q/W/E/R、アイコンはダウンロード済みのもののみ）
+   */
+  generateAbilityTable(details, images) {
+    const spells = details?.spells || [];
+    if (!details?.passive && spells.length === 0) return html``;
+    
+    const abilities = [
+      details.passive && { key: 'P', ability: details.passive, icon: images.passive },
+      ...spells.map((spell, index) => ({ key: ['Q', 'W', 'E', 'R'][index] ?? '', ability: spell, icon: images.spells?.[index] }))
+    ].filter(Boolean);
+    const formatBurn = value => !value || value === '0' ? '-' : value;
+    
+    const rows = abilities.map(({ key, ability, icon }) => html`<tr>
+<td align="center"><b>${key}</b></td>
+<td>${icon ? html`<img src="${this.getImageUrl(icon)}" width="48" height="48" alt="${ability.name}"><br>` : null}${ability.name}</td>
+<td>${this.formatGameText(ability.description)}</td>
+<td>${formatBurn(ability.cooldownBurn)}</td>
+<td>${formatBurn(ability.costBurn)}</td>
+<td>${formatBurn(ability.rangeBurn)}</td>
+</tr>`);
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#ede7f6">
+<td colspan="6"><h3>${this.t('abilities.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('abilities.key')}</b></td><td><b>${this.t('abilities.name')}</b></td><td><b>${this.t('abilities.description')}</b></td><td><b>${this.t('abilities.cooldown')}</b></td><td><b>${this.t('abilities.cost')}</b></td><td><b>${this.t('abilities.range')}</b></td>
+</tr>
+${joinHtml(rows, '\n')}
+</table>`;
+  }
+  
+  /**
+   * 基本ステータステーブル生成（Lv1の値とレベル毎の成長）
+   */
+  generateBaseStatsTable(details) {
+    const stats = details?.stats;
+    if (!stats) return html``;
+    
+    const formatNumber = value => String(Number(value.toFixed(3)));
+    // [ステータス, 成長値の単位]。攻撃速度の成長はData Dragon上で%表記
+    const rows = [
+      ['hp', ''], ['mp', ''], ['hpregen', ''], ['mpregen', ''], ['attackdamage', ''],
+      ['attackspeed', '%'], ['armor', ''], ['spellblock', ''], ['attackrange', ''], ['movespeed', '']
+    ]
+      .filter(([key]) => typeof stats[key] === 'number' && !(key.startsWith('mp') && stats[key] === 0))
+      .map(([key, unit]) => {
+        const perLevel = stats[`${key}perlevel`];
+        const label = key === 'mp' && details.partype ? details.partype : this.t(`stats.${key}`);
+        
+        return html`<tr>
+<td>${label}</td>
+<td>${formatNumber(stats[key])}</td>
+<td>${perLevel ? `+${formatNumber(perLevel)}${unit}` : '-'}</td>
 </tr>`;
       });
-    } else {
-      tableHtml += `<tr><td colspan="6" align="center">データ収集中...</td></tr>`;
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#eceff1">
+<td colspan="3"><h3>${this.t('stats.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('stats.stat')}</b></td><td><b>${this.t('stats.base')}</b></td><td><b>${this.t('stats.perLevel')}</b></td>
+</tr>
+${joinHtml(rows, '\n')}
+</table>`;
+  }
+  
+  /**
+   * ストーリー（lore）表示
+   */
+  generateLoreSection(details) {
+    if (!details?.lore) return html``;
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#efebe9">
+<td><h3>${this.t('lore.heading')}</h3></td>
+</tr>
+<tr>
+<td>${this.formatGameText(details.lore)}</td>
+</tr>
+</table>`;
+  }
+  
+  /**
+   * Data Dragonのテキスト整形（<br>は改行として残し、その他の装飾タグは除去してエスケープ）
+   */
+  formatGameText(text) {
+    const lines = String(text || '')
+      .split(/<br\s*\/?>/i)
+      .map(line => line.replace(/<[^>]*>/g, '').trim())
+      .filter(Boolean);
+    return joinHtml(lines, '<br>');
+  }
+  
+  /**
+   * ボットレーン デュオテーブル生成（相性の良い相方・敵デュオ別勝率）
+   */
+  generateDuoTables(championData) {
+    const duo = championData.duoRelationships;
+    if (!duo || (duo.partners.length === 0 && duo.favorableDuos.length === 0 && duo.unfavorableDuos.length === 0)) {
+      return html``;
     }
     
-    tableHtml += `</table>\n\n<table width="100%" border="1">
-<tr bgcolor="#ffe8e8">
-<td colspan="6"><h3>⚠️ 苦手な相手（勝率45%以下）</h3></td>
+    const partnerRows = duo.partners.slice(0, 10).map(partner => html`<tr>
+<td>${this.generateChampionLink(partner.championId, partner.championName)}</td>
+<td>${this.formatWinRate(partner.winRate)}</td>
+<td>${partner.sampleSize}</td>
+<td>${this.formatConfidenceInterval(partner.confidenceInterval)}</td>
+</tr>`);
+    
+    const duoRow = duoData => html`<tr>
+<td>${this.generateChampionLink(duoData.carry.championId, duoData.carry.championName)} + ${this.generateChampionLink(duoData.support.championId, duoData.support.championName)}</td>
+<td>${this.formatWinRate(duoData.winRate)}</td>
+<td>${duoData.sampleSize}</td>
+<td>${this.formatConfidenceInterval(duoData.confidenceInterval)}</td>
+</tr>`;
+    const enemyDuoRows = [...duo.unfavorableDuos.slice(0, 5), ...duo.favorableDuos.slice(0, 5)].map(duoRow);
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#fce4ec">
+<td colspan="4"><h3>${this.t('duo.partnersHeading')}</h3></td>
 </tr>
 <tr bgcolor="#f0f0f0">
-<td><b>相手</b></td><td><b>レーン</b></td><td><b>相手勝率</b></td><td><b>試合数</b></td><td><b>信頼度</b></td><td><b>危険度</b></td>
+<td><b>${this.t('duo.partner')}</b></td><td><b>${this.t('table.winRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('table.interval')}</b></td>
+</tr>
+${partnerRows.length > 0 ? joinHtml(partnerRows, '\n') : this.generateCollectingRow(4)}
+</table>
+
+<table width="100%" border="1">
+<tr bgcolor="#fce4ec">
+<td colspan="4"><h3>${this.t('duo.enemyHeading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('duo.enemyDuo')}</b></td><td><b>${this.t('duo.ownWinRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('table.interval')}</b></td>
+</tr>
+${enemyDuoRows.length > 0 ? joinHtml(enemyDuoRows, '\n') : this.generateCollectingRow(4)}
+</table>`;
+  }
+  
+  /**
+   * チームシナジーテーブル生成（相性の良い味方・悪い味方）
+   */
+  generateSynergyTables(championData) {
+    const synergy = championData.synergyRelationships;
+    if (!synergy) return html``;
+    
+    const synergyRows = partners => partners.length === 0 ? this.generateCollectingRow(6) : joinHtml(partners.map(partner => html`<tr>
+<td>${this.generateChampionLink(partner.championId, partner.championName)}</td>
+<td>${this.formatWinRate(partner.winRate)}</td>
+<td>${partner.synergy > 0 ? '+' : ''}${(partner.synergy * 100).toFixed(1)}pt</td>
+<td>${partner.sampleSize}</td>
+<td>${this.formatConfidenceInterval(partner.confidenceInterval)}</td>
+<td>${this.t(partner.isSignificant ? 'synergy.significant' : 'synergy.reference')}</td>
+</tr>`), '\n');
+    
+    const header = html`<tr bgcolor="#f0f0f0">
+<td><b>${this.t('synergy.ally')}</b></td><td><b>${this.t('table.winRate')}</b></td><td><b>${this.t('synergy.difference')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('table.interval')}</b></td><td><b>${this.t('synergy.significance')}</b></td>
+</tr>`;
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#fffde7">
+<td colspan="6"><h3>${this.t('synergy.bestHeading')}</h3></td>
+</tr>
+${header}
+${synergyRows(synergy.bestPartners)}
+</table>
+
+<table width="100%" border="1">
+<tr bgcolor="#fffde7">
+<td colspan="6"><h3>${this.t('synergy.worstHeading')}</h3></td>
+</tr>
+${header}
+${synergyRows(synergy.worstPartners)}
+</table>`;
+  }
+  
+  /**
+   * ジャングル対面テーブル生成（序盤指標付き）
+   */
+  generateJungleMatchupTable(championData) {
+    const jungleMatchups = championData.jungleMatchups || [];
+    if (jungleMatchups.length === 0) return html``;
+    
+    const formatNumber = (value, digits = 1) => value === null ? '-' : value.toFixed(digits);
+    const rows = jungleMatchups.slice(0, 15).map(matchup => html`<tr>
+<td>${this.generateChampionLink(matchup.championId, matchup.championName)}</td>
+<td>${this.formatWinRate(matchup.winRate)}</td>
+<td>${matchup.games}</td>
+<td>${this.formatWinRate(matchup.firstBloodRate)}</td>
+<td>${matchup.csDiffAt10 === null ? '-' : `${matchup.csDiffAt10 > 0 ? '+' : ''}${formatNumber(matchup.csDiffAt10)}`}</td>
+<td>${formatNumber(matchup.enemyJungleMonsterKills)}</td>
+</tr>`);
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#e8f5e9">
+<td colspan="6"><h3>${this.t('jungle.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('jungle.opponent')}</b></td><td><b>${this.t('table.winRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('jungle.firstBlood')}</b></td><td><b>${this.t('jungle.csDiff')}</b></td><td><b>${this.t('jungle.invades')}</b></td>
+</tr>
+${joinHtml(rows, '\n')}
+</table>`;
+  }
+  
+  /**
+   * 勝率表示（invert: 相手側の勝率として表示）
+   */
+  formatWinRate(winRate, invert = false) {
+    if (winRate === undefined || winRate === null) return '-';
+    
+    const value = invert ? 1 - winRate : winRate;
+    return `${(value * 100).toFixed(1)}%`;
+  }
+  
+  /**
+   * 地域別カウンターテーブル生成（複数地域収集時のみ）
+   * 地域別の対面も全体と同じ processCounterRelationships で最小試合数・縮小・補正済みのため、
+   * 全体のカウンター表と同じ順序（補正後の区間の端）・同じ側（苦手な相手は相手側）の補正勝率を表示する
+   */
+  generateRegionalCounterTable(championData, regionalCounters) {
+    const regions = Object.keys(regionalCounters || {});
+    if (regions.length === 0) return html``;
+    
+    // invert: 苦手な相手は全体の表と同じく相手側の補正勝率で表示
+    const formatCounters = (counters, invert = false) => counters
+      .slice(0, 3)
+      .map(counter => `${this.getChampionName(counter.championId, counter.championName)} (${this.formatWinRate(counter.adjustedWinRate, invert)})`)
+      .join(', ') || '-';
+    
+    const regionRows = regions.map(region => {
+      const regionData = regionalCounters[region][championData.id] || {};
+      const counters = regionData.counterRelationships || {};
+      const strongAgainst = [...(counters.strongCounters || []), ...(counters.counters || [])];
+      const counteredBy = counters.counteredBy || [];
+      const totalGames = regionData.overallStats?.totalGames || 0;
+      
+      return html`<tr>
+<td>${region.toUpperCase()}</td>
+<td>${formatCounters(strongAgainst)}</td>
+<td>${formatCounters(counteredBy, true)}</td>
+<td>${totalGames}</td>
 </tr>`;
+    });
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#ede7f6">
+<td colspan="4"><h3>${this.t('regional.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('regional.region')}</b></td><td><b>${this.t('regional.favorable')}</b></td><td><b>${this.t('regional.unfavorable')}</b></td><td><b>${this.t('table.games')}</b></td>
+</tr>
+${joinHtml(regionRows, '\n')}
+</table>`;
+  }
+  
+  /**
+   * 最新パッチの統計（パッチが2つ以上ある場合のみ。1つだけなら全体統計と同じ）
+   */
+  getCurrentPatchStats(gameData) {
+    const patches = gameData.metadata?.patches || [];
+    const currentPatch = gameData.metadata?.currentPatch;
+    if (patches.length < 2 || !gameData.patchCounters?.[currentPatch]) return null;
     
-    if (counteredBy.length > 0) {
-      counteredBy.forEach(counter => {
-        tableHtml += `<tr>
-<td><a href="${counter.championId.toLowerCase()}.html">${counter.championName}</a></td>
+    return { patch: currentPatch, champions: gameData.patchCounters[currentPatch] };
+  }
+  
+  /**
+   * 最新パッチのカウンターテーブル生成（有利 → 苦手の順、勝率は自分側の補正勝率）
+   */
+  generateCurrentPatchCounterTable(championData, gameData) {
+    const currentPatchStats = this.getCurrentPatchStats(gameData);
+    if (!currentPatchStats) return html``;
+    
+    const counters = currentPatchStats.champions[championData.id]?.counterRelationships || {};
+    const rows = [...(counters.strongCounters || []), ...(counters.counters || []), ...(counters.counteredBy || [])]
+      .map(counter => html`<tr>
+<td>${this.generateChampionImage(counter.championId, 24)} ${this.generateChampionLink(counter.championId, counter.championName)}</td>
 <td>${counter.lane}</td>
-<td>${(counter.enemyWinRate * 100).toFixed(1)}%</td>
+<td>${this.formatWinRate(counter.adjustedWinRate)}</td>
 <td>${counter.sampleSize}</td>
-<td>${(counter.significance * 100).toFixed(1)}%</td>
 <td>${counter.counterStrength}</td>
-</tr>`;
+</tr>`);
+    
+    return html`<table width="100%" border="1">
+<tr bgcolor="#e0f2f1">
+<td colspan="5"><h3>${this.t('patch.currentHeading', { patch: currentPatchStats.patch })}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('table.opponent')}</b></td><td><b>${this.t('table.lane')}</b></td><td><b>${this.t('counter.adjustedWinRate')}</b></td><td><b>${this.t('table.games')}</b></td><td><b>${this.t('counter.strength')}</b></td>
+</tr>
+${rows.length > 0 ? joinHtml(rows, '\n') : this.generateCollectingRow(5)}
+</table>`;
+  }
+  
+  /**
+   * パッチ別勝率推移テーブル生成
+   */
+  generatePatchTrendTable(championData, patches) {
+    const trends = championData.patchTrends || [];
+    if (!patches || patches.length < 2 || trends.length === 0) return html``;
+    
+    const patchHeaders = patches.map(patch => html`<td><b>${patch}</b></td>`);
+    
+    const trendRows = trends.map(trend => {
+      const cells = patches.map(patch => {
+        const stat = trend.patches[patch];
+        return stat ? html`<td>${(stat.winRate * 100).toFixed(1)}% (${stat.games})</td>` : html`<td>-</td>`;
       });
-    } else {
-      tableHtml += `<tr><td colspan="6" align="center">データ収集中...</td></tr>`;
-    }
+      
+      // 最初と最新のパッチ間の変動
+      const observed = patches.map(patch => trend.patches[patch]).filter(Boolean);
+      const change = observed.length >= 2 ?
+        ((observed[observed.length - 1].winRate - observed[0].winRate) * 100).toFixed(1) : null;
+      const changeText = change === null ? '-' : `${change > 0 ? '+' : ''}${change}pt`;
+      
+      return html`<tr>
+<td>${this.generateChampionLink(trend.championId, trend.championName)}</td>
+<td>${trend.lane}</td>
+${cells}
+<td>${changeText}</td>
+</tr>`;
+    });
     
-    tableHtml += `</table>`;
-    return tableHtml;
+    return html`<table width="100%" border="1">
+<tr bgcolor="#e0f7fa">
+<td colspan="${patches.length + 3}"><h3>${this.t('patch.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('table.opponent')}</b></td><td><b>${this.t('table.lane')}</b></td>${patchHeaders}<td><b>${this.t('patch.change')}</b></td>
+</tr>
+${joinHtml(trendRows, '\n')}
+</table>`;
+  }
+  
+  /**
+   * 信頼区間表示（invert: 相手側の勝率として表示）
+   */
+  formatConfidenceInterval(interval, invert = false) {
+    if (!interval) return '-';
+    
+    const lower = invert ? 1 - interval.upper : interval.lower;
+    const upper = invert ? 1 - interval.lower : interval.upper;
+    return `${(lower * 100).toFixed(1)}〜${(upper * 100).toFixed(1)}%`;
   }
   
   /**
@@ -497,14 +1108,14 @@ ${championRows}
     const stats = championData.overallStats || {};
     const winRate = ((stats.winRate || 0.5) * 100).toFixed(1);
     const totalGames = stats.totalGames || 0;
-    const reliability = stats.isReliable ? '高' : '低';
+    const reliability = this.t(stats.isReliable ? 'overall.high' : 'overall.low');
     
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr bgcolor="#e3f2fd">
-<td colspan="4"><h3>📊 全体統計</h3></td>
+<td colspan="4"><h3>${this.t('overall.heading')}</h3></td>
 </tr>
 <tr bgcolor="#f0f0f0">
-<td><b>全体勝率</b></td><td><b>総試合数</b></td><td><b>データ信頼性</b></td><td><b>ティア</b></td>
+<td><b>${this.t('overall.winRate')}</b></td><td><b>${this.t('overall.totalGames')}</b></td><td><b>${this.t('overall.reliability')}</b></td><td><b>${this.t('overall.tier')}</b></td>
 </tr>
 <tr>
 <td>${winRate}%</td>
@@ -522,35 +1133,34 @@ ${championRows}
     const lanePerf = championData.lanePerformance || {};
     
     if (Object.keys(lanePerf).length === 0) {
-      return `<table width="100%" border="1">
-<tr><td>レーン別データ収集中...</td></tr>
+      return html`<table width="100%" border="1">
+<tr><td>${this.t('lanePerformance.empty')}</td></tr>
 </table>`;
     }
     
-    let tableHtml = `<table width="100%" border="1">
-<tr bgcolor="#fff3e0">
-<td colspan="4"><h3>🎯 レーン別パフォーマンス</h3></td>
-</tr>
-<tr bgcolor="#f0f0f0">
-<td><b>レーン</b></td><td><b>勝率</b></td><td><b>採用率</b></td><td><b>試合数</b></td>
-</tr>`;
-    
-    Object.entries(lanePerf).forEach(([lane, data]) => {
-      const laneNameJP = this.getLaneNameJP(lane);
-      const winRate = ((data.winRate || 0) * 100).toFixed(1);
-      const playRate = ((data.playRate || 0) * 100).toFixed(1);
-      const games = data.games || 0;
+    const laneRows = Object.entries(lanePerf)
+      .sort(([, a], [, b]) => (b.games || 0) - (a.games || 0))
+      .map(([lane, data]) => {
+        const laneName = this.getLaneName(lane);
+        const winRate = ((data.winRate || 0) * 100).toFixed(1);
+        const playRate = ((data.playRate || 0) * 100).toFixed(1);
+        const games = data.games || 0;
       
-      tableHtml += `<tr>
-<td>${laneNameJP}</td>
+        return html`<tr>
+<td>${laneName}</td>
 <td>${winRate}%</td>
 <td>${playRate}%</td>
 <td>${games}</td>
 </tr>`;
-    });
+      });
     
-    tableHtml += `</table>`;
-    return tableHtml;
+    return html`<table width="100%" border="1">
+<tr bgcolor="#fff3e0">
+<td colspan="4"><h3>${this.t('lanePerformance.heading')}</h3></td>
+</tr>
+<tr bgcolor="#f0f0f0">
+<td><b>${this.t('table.lane')}</b></td><td><b>${this.t('table.winRate')}</b></td><td><b>${this.t('table.playRate')}</b></td><td><b>${this.t('table.games')}</b></td>
+</tr>${laneRows}</table>`;
   }
 
   /**
@@ -559,23 +1169,20 @@ ${championRows}
   generateChampionListingRow(champion) {
     const championName = champion.name || champion.id;
     const championId = champion.id || championName.toLowerCase();
-    const stats = champion.overallStats || champion.stats || {};
+    const stats = champion.overallStats || {};
     const winRate = ((stats.winRate || 0.5) * 100).toFixed(1);
     
     // 強力なカウンター（最大3つ）
-    const counters = champion.counterRelationships?.strongCounters || champion.stats?.counterData?.strongAgainst || [];
-    const topCounters = counters.slice(0, 3).map(counter => {
-      if (typeof counter === 'string') {
-        return counter;
-      }
-      return counter.championName || counter;
-    }).join(', ') || '算出中';
+    const counters = champion.counterRelationships?.strongCounters || [];
+    const topCounters = counters.slice(0, 3)
+      .map(counter => this.getChampionName(counter.championId, counter.championName))
+      .join(', ') || this.t('common.calculating');
     
-    return `<tr>
-<td><b>${championName}</b></td>
+    return html`<tr>
+<td>${this.generateChampionImage(championId, 32)} <b>${championName}</b></td>
 <td>${winRate}%</td>
 <td>${topCounters}</td>
-<td><a href="${championId.toLowerCase()}.html">詳細</a></td>
+<td><a href="${this.getChampionPageFile(championId)}">${this.t('table.details')}</a></td>
 </tr>`;
   }
   
@@ -583,16 +1190,17 @@ ${championRows}
    * チャンピオンヘッダー生成（詳細ページ用）
    */
   generateChampionHeader(championData, metadata) {
-    const championName = championData.name || championData.id;
-    const lastUpdate = metadata.fetchTime ? 
-      new Date(metadata.fetchTime).toLocaleString('ja-JP') : '不明';
+    const championName = this.getChampionName(championData.id, championData.name || championData.id);
+    const lastUpdate = this.formatDate(metadata.fetchTime);
     
-    return `<table width="100%" border="0">
+    // ヘッダー画像はファーストビュー（LCP対象）のため遅延読み込みしない
+    return html`<table width="100%" border="0">
 <tr>
 <td align="center">
-<h1>⚡ ${championName} カウンター情報</h1>
-<p><b>最終更新: ${lastUpdate}</b></p>
-<p><a href="index.html">← 一覧に戻る</a></p>
+${this.generateChampionImage(championData.id, 120, { lazy: false })}
+<h1>${this.t('detail.heading', { championName })}</h1>
+<p><b>${this.t('detail.lastUpdate', { lastUpdate })}</b></p>
+<p><a href="index.html">${this.t('nav.backToList')}</a></p>
 </td>
 </tr>
 </table>`;
@@ -602,45 +1210,66 @@ ${championRows}
    * 詳細ページナビゲーション生成
    */
   generateDetailNavigation(championData, allChampions) {
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr>
-<td><a href="index.html">トップ</a></td>
-<td><a href="a-z.html">A-Z順</a></td>
-<td><a href="category-assassin.html">アサシン</a></td>
-<td><a href="category-fighter.html">ファイター</a></td>
-<td><a href="category-mage.html">メイジ</a></td>
+<td><a href="index.html">${this.t('nav.top')}</a></td>
+<td><a href="a-z.html">${this.t('sort.a-z')}</a></td>
+<td><a href="category-assassin.html">${this.t('sort.category-assassin')}</a></td>
+<td><a href="category-fighter.html">${this.t('sort.category-fighter')}</a></td>
+<td><a href="category-mage.html">${this.t('sort.category-mage')}</a></td>
+<td><a href="draft.html">${this.t('nav.draft')}</a></td>
 </tr>
 </table>`;
   }
   
   /**
-   * 検索ナビゲーション生成
+   * 検索ナビゲーション生成（ページのない文字はリンクなし）
    */
-  generateSearchNavigation(searchKey) {
+  generateSearchNavigation(searchKey, searchLetters = []) {
     const letters = 'abcdefghijklmnopqrstuvwxyz'.split('');
-    const letterLinks = letters.map(letter => 
-      `<a href="search-${letter}.html">${letter.toUpperCase()}</a>`
-    ).join(' | ');
+    const letterLinks = letters.map(letter => searchLetters.includes(letter) ?
+      html`<a href="search-${letter}.html">${letter.toUpperCase()}</a>` :
+      html`${letter.toUpperCase()}`
+    );
     
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr>
 <td align="center">
-<p><b>文字検索:</b> ${letterLinks}</p>
-<p><a href="index.html">← トップに戻る</a></p>
+<p><b>${this.t('nav.letterSearch')}</b> ${joinHtml(letterLinks, ' | ')}</p>
+<p><a href="index.html">${this.t('nav.backToTop')}</a></p>
 </td>
 </tr>
 </table>`;
   }
   
+  /**
+   * 頭文字別のチャンピオン（Data Dragonのid基準・a-z順、該当のある文字のみ）
+   */
+  getSearchLetters(champions) {
+    const searchLetters = new Map();
+    
+    for (const champion of Object.values(champions)) {
+      const letter = (this.championRegistry.getId(champion.id) ?? champion.id ?? '').charAt(0).toLowerCase();
+      if (!/^[a-z]$/.test(letter)) continue;
+      
+      if (!searchLetters.has(letter)) {
+        searchLetters.set(letter, []);
+      }
+      searchLetters.get(letter).push(champion);
+    }
+    
+    return new Map([...searchLetters].sort(([a], [b]) => a.localeCompare(b)));
+  }
+  
   /**
    * 検索ヘッダー生成
    */
   generateSearchHeader(searchTitle, count) {
-    return `<table width="100%" border="0">
+    return html`<table width="100%" border="0">
 <tr>
 <td align="center">
 <h1>🔍 ${searchTitle}</h1>
-<p><b>該当チャンピオン数: ${count}</b></p>
+<p><b>${this.t('search.count', { count })}</b></p>
 </td>
 </tr>
 </table>`;
@@ -652,15 +1281,13 @@ ${championRows}
   generateLaneNavigation(currentLane) {
     const lanes = ['TOP', 'MIDDLE', 'BOTTOM', 'JUNGLE', 'UTILITY'];
     const laneLinks = lanes.map(lane => {
-      const laneNameJP = this.getLaneNameJP(lane);
       const href = `lane-${lane.toLowerCase()}.html`;
-      const style = lane === currentLane ? ' bgcolor="#e3f2fd"' : '';
-      return `<td${style}><a href="${href}">${laneNameJP}</a></td>`;
-    }).join('\n');
+      return html`<td${{ bgcolor: lane === currentLane ? '#e3f2fd' : null }}><a href="${href}">${this.getLaneName(lane)}</a></td>`;
+    });
     
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr>
-${laneLinks}
+${joinHtml(laneLinks, '\n')}
 </tr>
 </table>`;
   }
@@ -668,80 +1295,256 @@ ${laneLinks}
   /**
    * レーンヘッダー生成
    */
-  generateLaneHeader(laneNameJP, count) {
-    return `<table width="100%" border="0">
+  generateLaneHeader(laneName, count) {
+    return html`<table width="100%" border="0">
 <tr>
 <td align="center">
-<h1>🎯 ${laneNameJP}レーン チャンピオン</h1>
-<p><b>チャンピオン数: ${count}</b></p>
+<h1>${this.t('lanePage.heading', { lane: laneName })}</h1>
+<p><b>${this.t('lanePage.count', { count })}</b></p>
 </td>
 </tr>
 </table>`;
   }
   
   /**
-   * レーンチャンピオンテーブル生成
+   * レーンチャンピオンテーブル生成（currentPatchStats があれば最新パッチの勝率列を追加）
    */
-  generateLaneChampionTable(champions, lane) {
+  generateLaneChampionTable(champions, lane, currentPatchStats = null) {
     const championRows = champions.map(champion => {
       const laneData = champion.lanePerformance?.[lane] || {};
       const winRate = ((laneData.winRate || 0) * 100).toFixed(1);
+      const playRate = ((laneData.playRate || 0) * 100).toFixed(1);
       const games = laneData.games || 0;
-      const championName = champion.name || champion.id;
+      const championName = this.getChampionName(champion.id, champion.name || champion.id);
       const championId = champion.id || championName.toLowerCase();
+      const patchData = currentPatchStats?.champions[champion.id]?.lanePerformance?.[lane];
+      const patchCell = !currentPatchStats ? html`` :
+        html`\n<td>${patchData ? `${this.formatWinRate(patchData.winRate)} (${patchData.games})` : '-'}</td>`;
       
-      return `<tr>
-<td><a href="${championId.toLowerCase()}.html">${championName}</a></td>
-<td>${winRate}%</td>
+      return html`<tr>
+<td>${this.generateChampionImage(championId, 32)} <a href="${this.getChampionPageFile(championId)}">${championName}</a></td>
+<td>${winRate}%</td>${patchCell}
+<td>${playRate}%</td>
 <td>${games}</td>
 </tr>`;
-    }).join('\n');
+    });
+    const patchHeader = currentPatchStats ?
+      html`\n<td><b>${this.t('patch.laneWinRate', { patch: currentPatchStats.patch })}</b></td>` : html``;
     
-    return `<table width="100%" border="1">
+    return html`<table width="100%" border="1">
 <tr bgcolor="#f0f0f0">
-<td><b>チャンピオン</b></td>
-<td><b>勝率</b></td>
-<td><b>試合数</b></td>
+<td><b>${this.t('table.champion')}</b></td>
+<td><b>${this.t('table.winRate')}</b></td>${patchHeader}
+<td><b>${this.t('table.playRate')}</b></td>
+<td><b>${this.t('table.games')}</b></td>
 </tr>
-${championRows}
+${joinHtml(championRows, '\n')}
 </table>`;
   }
   
   /**
-   * レーン名日本語変換
+   * レーン表示名（未知のレーンはそのまま）
+   */
+  getLaneName(lane) {
+    const key = `lane.${lane}`;
+    const name = this.t(key);
+    return name === key ? lane : name;
+  }
+
+  /**
+   * チャンピオン画像パス取得（数値key・idどちらでも可、未取得ならnull）
    */
-  getLaneNameJP(lane) {
-    const laneNames = {
-      'TOP': 'トップ',
-      'MIDDLE': 'ミッド',
-      'BOTTOM': 'ボット',
-      'JUNGLE': 'ジャングル',
-      'UTILITY': 'サポート'
+  getChampionImagePath(championRef) {
+    // 画像マップはData Dragonのid単位
+    const championId = this.championRegistry.getId(championRef) ?? championRef;
+    return this.imageMap?.champions?.[championId]?.square || null;
+  }
+
+  /**
+   * チャンピオン画像（width/height明示でレイアウトシフトを防止、未取得時は代替画像）
+   * 名前と並べて表示するため装飾扱い（alt=""）。派生画像があれば <picture> でAVIF/WebPを優先
+   */
+  generateChampionImage(championRef, size, { lazy = true } = {}) {
+    // スプライトのアイコン以下の表示サイズは、スプライトから切り出し（一覧でもスプライト枚数ぶんのリクエストのみ）
+    const sprite = this.getChampionSprite(championRef);
+    if (sprite && size <= sprite.w) {
+      return this.generateSpriteIcon(sprite, size);
+    }
+    
+    const webPath = this.getChampionImagePath(championRef);
+    const image = html`<img src="${this.getImageUrl(webPath ?? CHAMPION_PLACEHOLDER_IMAGE)}" width="${size}" height="${size}"${{ loading: lazy ? 'lazy' : null }} alt="">`;
+    const variants = this.imageMap?.optimized?.[webPath]?.variants || [];
+    if (variants.length === 0) return image;
+    
+    // 形式ごとに1つの <source>（記録順 = 優先順）
+    const formats = [...new Set(variants.map(variant => variant.format))];
+    const sources = formats.map(format => {
+      const srcset = variants
+        .filter(variant => variant.format === format)
+        .map(variant => `${this.getImageUrl(variant.src)} ${variant.width}w`)
+        .join(', ');
+      return html`<source type="image/${format}" srcset="${srcset}" sizes="${size}px">`;
+    });
+    
+    return html`<picture>${sources}${image}</picture>`;
+  }
+
+  /**
+   * スプライト内のチャンピオンアイコン位置（数値key・idどちらでも可、未取得ならnull）
+   */
+  getChampionSprite(championRef) {
+    const championId = this.championRegistry.getId(championRef) ?? championRef;
+    return this.imageMap?.sprites?.[championId] || null;
+  }
+
+  /**
+   * スプライトアイコン（スタイルシートを使わず、SVGのviewBoxで該当セルのみ表示）
+   * 該当セルの位置に代替画像を先に描画し、スプライトが読み込めない場合はそれが見える
+   * （SVGの <image> には loading 属性がないため遅延読み込みはしない。リクエストはスプライト枚数ぶんのみ）
+   */
+  generateSpriteIcon(sprite, size) {
+    const placeholder = html`<image href="${this.getImageUrl(CHAMPION_PLACEHOLDER_IMAGE)}" x="${sprite.x}" y="${sprite.y}" width="${sprite.w}" height="${sprite.h}"/>`;
+    return html`<svg width="${size}" height="${size}" viewBox="${sprite.x} ${sprite.y} ${sprite.w} ${sprite.h}" aria-hidden="true">${placeholder}<image href="${this.getImageUrl(sprite.src)}" width="${sprite.width}" height="${sprite.height}"/></svg>`;
+  }
+
+  /**
+   * チャンピオン詳細データ（Data Dragon）を現在のロケールのテキストで取得
+   * 数値・画像は主ロケールのデータ、名前・説明・対策などは champion.localized[locale] を優先
+   */
+  getChampionDetails(championRef, gameData) {
+    const champion = gameData.champions?.[this.championRegistry.getId(championRef) ?? championRef];
+    if (!champion) return null;
+    
+    const localized = champion.localized?.[this.locale] || {};
+    return {
+      ...champion,
+      name: localized.name ?? champion.name,
+      title: localized.title ?? champion.title,
+      partype: localized.partype ?? champion.partype,
+      lore: localized.lore ?? champion.lore,
+      enemytips: localized.enemytips ?? champion.enemytips ?? [],
+      passive: champion.passive && { ...champion.passive, ...localized.passive },
+      spells: (champion.spells || []).map((spell, index) => ({ ...spell, ...localized.spells?.[index] }))
     };
-    return laneNames[lane] || lane;
   }
 
   /**
-   * チャンピオン画像パス取得
+   * 画像のWebパス（/images/...）をロケール別ページからの相対パスに変換
+   */
+  getImageUrl(webPath) {
+    return webPath?.startsWith('/') ? `..${webPath}` : webPath;
+  }
+
+  /**
+   * チャンピオン詳細ページのファイル名（数値key・idどちらでも可）
+   */
+  getChampionPageFile(championRef) {
+    return this.championRegistry.getPageFile(championRef) || `${String(championRef).toLowerCase()}.html`;
+  }
+
+  /**
+   * チャンピオン表示名（現在のロケール。未登録なら試合データ上の名前）
+   */
+  getChampionName(championRef, fallback) {
+    return this.championRegistry.getName(championRef, this.locale) ?? fallback ?? String(championRef);
+  }
+
+  /**
+   * 日時表示（現在のロケールの書式）
    */
-  getChampionImagePath(champion) {
-    if (this.imageMap && 
-        this.imageMap.champions && 
-        this.imageMap.champions[champion.key] &&
-        this.imageMap.champions[champion.key].square) {
-      return this.imageMap.champions[champion.key].square;
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString(this.localeInfo.dateLocale) : this.t('common.unknown');
+  }
+
+  /**
+   * 他言語版ページのURL（SITE_URL設定時は絶対URL、未設定時はロケールディレクトリからの相対パス）
+   */
+  getLocalizedUrl(locale, fileName) {
+    return this.config.siteUrl ? `${this.config.siteUrl}/${locale}/${fileName}` : `../${locale}/${fileName}`;
+  }
+
+  /**
+   * head内リンク生成（manifest + hreflang代替リンク）
+   */
+  generateHeadLinks(fileName) {
+    const alternates = this.locales.map(locale =>
+      html`<link rel="alternate" hreflang="${getLocaleInfo(locale).htmlLang}" href="${this.getLocalizedUrl(locale, fileName)}">`);
+    const defaultUrl = this.config.siteUrl ? `${this.config.siteUrl}/` : '../index.html';
+
+    return joinHtml([
+      html`<link rel="manifest" href="../manifest.json">`,
+      ...alternates,
+      html`<link rel="alternate" hreflang="x-default" href="${defaultUrl}">`
+    ], '\n');
+  }
+
+  /**
+   * 言語切り替えリンク（同じページの他言語版へ）
+   */
+  generateLanguageSwitcher(fileName) {
+    if (this.locales.length < 2) {
+      return html``;
     }
-    return null;
+
+    const items = this.locales.map(locale => {
+      const info = getLocaleInfo(locale);
+      if (locale === this.locale) {
+        return html`<td bgcolor="#e3f2fd"><b>${info.label}</b></td>`;
+      }
+      return html`<td><a href="../${locale}/${fileName}" hreflang="${info.htmlLang}" lang="${info.htmlLang}">${info.label}</a></td>`;
+    });
+
+    return html`<table border="0" align="right">
+<tr>
+${joinHtml(items, '\n')}
+</tr>
+</table>`;
+  }
+
+  /**
+   * 言語選択ページ生成（サイト直下のindex.html）
+   */
+  async generateLanguageIndex(gameData, generatedPages) {
+    const defaultInfo = getLocaleInfo(this.locales[0]);
+    const t = createTranslator(this.locales[0]);
+    const siteUrl = this.config.siteUrl;
+
+    const alternates = this.locales.map(locale => {
+      const href = siteUrl ? `${siteUrl}/${locale}/index.html` : `${locale}/index.html`;
+      return html`<link rel="alternate" hreflang="${getLocaleInfo(locale).htmlLang}" href="${href}">`;
+    });
+    const links = this.locales.map(locale => {
+      const info = getLocaleInfo(locale);
+      return html`<tr><td align="center"><a href="${locale}/index.html" hreflang="${info.htmlLang}" lang="${info.htmlLang}">${info.label}</a></td></tr>`;
+    });
+
+    const htmlContent = this.templates.render('language-index', {
+      lang: defaultInfo.htmlLang,
+      title: t('languages.title'),
+      alternates: joinHtml([
+        ...alternates,
+        html`<link rel="alternate" hreflang="x-default" href="${siteUrl ? `${siteUrl}/` : 'index.html'}">`
+      ], '\n'),
+      heading: t('languages.heading'),
+      links: joinHtml(links, '\n')
+    }).toString();
+
+    await fs.writeFile(join(this.baseOutputDir, 'index.html'), htmlContent, 'utf8');
+    generatedPages.push({
+      fileName: 'index.html',
+      type: 'languages',
+      size: Buffer.byteLength(htmlContent, 'utf8')
+    });
   }
 
   /**
    * フッター生成
    */
   generateFooter(metadata) {
-    const version = metadata.version || '不明';
-    const region = metadata.region || '不明';
+    const version = metadata.version || this.t('common.unknown');
+    const region = metadata.region || this.t('common.unknown');
     
-    return `    <!-- フッター -->
+    return html`    <!-- フッター -->
     <table width="100%" cellpadding="16" cellspacing="0" border="0">
         <tr>
             <td align="center">
@@ -751,13 +1554,13 @@ ${championRows}
                         FastestLOLCounterFinder | 
                         Data Version: ${version} | 
                         Region: ${region.toUpperCase()} | 
-                        Generated: ${new Date().toLocaleString('ja-JP')}
+                        Generated: ${new Date().toLocaleString(this.localeInfo.dateLocale)}
                     </small>
                 </p>
                 <p>
                     <small>
-                        ※ データはRiot Games APIから取得しています。<br>
-                        ※ 本サイトはRiot Gamesが承認または後援したものではありません。
+                        ${this.t('footer.dataSource')}<br>
+                        ${this.t('footer.disclaimer')}
                     </small>
                 </p>
             </td>
@@ -769,9 +1572,9 @@ ${championRows}
    * Service Worker登録スクリプト生成（最小限）
    */
   generateServiceWorkerScript() {
-    return `<script>
+    return html`<script>
 if('serviceWorker' in navigator){
-navigator.serviceWorker.register('sw.js');
+navigator.serviceWorker.register('../sw.js');
 }
 </script>`;
   }
@@ -780,15 +1583,25 @@ navigator.serviceWorker.register('sw.js');
    * PWA対応ファイル生成
    */
   async generatePWAFiles() {
-    // PWA Manifest生成
+    // PWA Manifest生成（sw.js はビルド後に ServiceWorkerUpdater が出力ファイル一覧から生成）
     await this.generateManifest();
     
-    // Service Worker生成
-    await this.generateServiceWorker();
-    
     this.log('debug', 'PWA files generated');
   }
   
+  /**
+   * チャンピオン画像の代替画像生成（ダウンロード失敗時も同じ寸法で表示）
+   */
+  async generatePlaceholderImage() {
+    const filePath = join(this.baseOutputDir, CHAMPION_PLACEHOLDER_IMAGE);
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="120" viewBox="0 0 120 120">' +
+      '<rect width="120" height="120" fill="#e0e0e0"/>' +
+      '<text x="60" y="76" font-family="sans-serif" font-size="48" text-anchor="middle" fill="#9e9e9e">?</text></svg>';
+    
+    await fs.ensureDir(join(filePath, '..'));
+    await fs.writeFile(filePath, svg, 'utf8');
+  }
+  
   /**
    * PWA Manifest生成
    */
@@ -814,64 +1627,10 @@ navigator.serviceWorker.register('sw.js');
       ]
     };
 
-    const manifestPath = join(this.outputDir, 'manifest.json');
+    const manifestPath = join(this.baseOutputDir, 'manifest.json');
     await fs.writeJson(manifestPath, manifest, { spaces: 2 });
   }
   
-  /**
-   * Service Worker生成
-   */
-  async generateServiceWorker() {
-    const swContent = `// FastestLOLCounterFinder Service Worker
-// Generated: ${new Date().toISOString()}
-
-const CACHE_NAME = 'lol-counter-v${Date.now()}';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/a-z.html',
-  '/z-a.html',
-  '/manifest.json'
-];
-
-self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(urlsToCache))
-  );
-});
-
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      }
-    )
-  );
-});
-
-self.addEventListener('activate', event => {
-  event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
-  );
-});`;
-
-    const swPath = join(this.outputDir, 'sw.js');
-    await fs.writeFile(swPath, swContent, 'utf8');
-  }
-
   /**
    * ページサイズ計算
    */
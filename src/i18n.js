@@ -0,0 +1,51 @@
+/**
+ * 多言語対応（サイトロケール ↔ Data Dragonロケール・メッセージカタログ）
+ */
+
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+import ko from './locales/ko.js';
+
+const CATALOGS = { ja, en, ko };
+
+export const DEFAULT_LOCALE = 'ja';
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * ロケール設定の解析（"ja,en,ko" → ['ja', 'en', 'ko']、先頭が主ロケール）
+ */
+export function parseLocales(value) {
+  const locales = String(value || DEFAULT_LOCALE)
+    .split(',')
+    .map(locale => locale.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(locales)];
+}
+
+/**
+ * ロケール情報取得（表示名・html lang・Data Dragonロケール・日付書式）
+ */
+export function getLocaleInfo(locale) {
+  const catalog = CATALOGS[locale];
+  if (!catalog) {
+    throw new Error(`Unsupported locale: ${locale} (supported: ${SUPPORTED_LOCALES.join(', ')})`);
+  }
+
+  const { messages, ...info } = catalog;
+  return info;
+}
+
+/**
+ * 翻訳関数生成（"{name}" を params で置換。未定義キーは既定ロケール → キー名の順でフォールバック）
+ */
+export function createTranslator(locale) {
+  getLocaleInfo(locale); // 未対応ロケールはここで例外
+  const messages = { ...CATALOGS[DEFAULT_LOCALE].messages, ...CATALOGS[locale].messages };
+
+  return (key, params = {}) => {
+    const message = messages[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined ? String(params[name]) : placeholder);
+  };
+}
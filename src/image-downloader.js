@@ -8,6 +8,7 @@ import fs from 'fs-extra';
 import { join } from 'path';
 import { createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
+import { ImageOptimizer, readImageInfo } from './image-optimizer.js';
 
 export class ImageDownloader {
   constructor(config) {
@@ -15,6 +16,8 @@ export class ImageDownloader {
     this.outputDir = join(process.cwd(), config.outputDir, 'images');
     this.downloadedImages = new Map();
     this.errors = [];
+    // 実寸取得・WebP/AVIF派生画像の生成（imageMap.optimized）
+    this.optimizer = new ImageOptimizer(config);
     
     // 画像タイプ定義
     this.imageTypes = {
@@ -23,7 +26,8 @@ export class ImageDownloader {
         loading: (version, championId) => `https://ddragon.leagueoflegends.com/cdn/img/champion/loading/${championId}_0.jpg`,
         splash: (version, championId) => `https://ddragon.leagueoflegends.com/cdn/img/champion/splash/${championId}_0.jpg`,
         passive: (version, imageName) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/passive/${imageName}`,
-        spell: (version, imageName) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/spell/${imageName}`
+        spell: (version, imageName) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/spell/${imageName}`,
+        sprite: (version, spriteName) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/sprite/${spriteName}`
       },
       item: (version, itemId) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/item/${itemId}.png`,
       summoner: (version, summonerSpell) => `https://ddragon.leagueoflegends.com/cdn/${version}/img/spell/${summonerSpell}.png`
@@ -42,6 +46,7 @@ export class ImageDownloader {
       join(this.outputDir, 'champion', 'splash'),
       join(this.outputDir, 'champion', 'passive'),
       join(this.outputDir, 'champion', 'spell'),
+      join(this.outputDir, 'sprite'),
       join(this.outputDir, 'item'),
       join(this.outputDir, 'summoner')
     ];
@@ -63,6 +68,7 @@ export class ImageDownloader {
     
     const imageMap = {
       champions: {},
+      sprites: {},
       items: {},
       summoners: {}
     };
@@ -71,6 +77,7 @@ export class ImageDownloader {
       // チャンピオン画像ダウンロード
       if (gameData.champions) {
         imageMap.champions = await this.downloadChampionImages(gameData.champions, gameData.metadata.version);
+        imageMap.sprites = await this.downloadChampionSprites(gameData.champions, gameData.metadata.version);
       }
 
       // アイテム画像ダウンロード（必要に応じて）
@@ -79,6 +86,8 @@ export class ImageDownloader {
       // サモナースペル画像ダウンロード（必要に応じて）
       // imageMap.summoners = await this.downloadSummonerImages(gameData.summoners, gameData.metadata.version);
 
+      await this.optimizer.optimizeImageMap(imageMap);
+
       this.log('info', `Image download completed. Downloaded ${this.downloadedImages.size} images`);
       
       if (this.errors.length > 0) {
@@ -93,6 +102,51 @@ export class ImageDownloader {
     }
   }
 
+  /**
+   * ダウンロード済み画像のみでマッピング生成（ネットワーク不使用）
+   */
+  async collectExistingImages(gameData) {
+    const imageMap = {
+      champions: {},
+      sprites: {},
+      items: {},
+      summoners: {}
+    };
+
+    for (const [championKey, champion] of Object.entries(gameData.champions || {})) {
+      const championId = champion.id;
+      imageMap.champions[championKey] = {
+        square: await this.getExistingImagePath(join('champion', 'square', `${championId}.png`)),
+        loading: await this.getExistingImagePath(join('champion', 'loading', `${championId}_0.jpg`)),
+        splash: await this.getExistingImagePath(join('champion', 'splash', `${championId}_0.jpg`)),
+        passive: champion.passive?.image ?
+          await this.getExistingImagePath(join('champion', 'passive', champion.passive.image.full)) : null,
+        // スキル順（Q/W/E/R）を保つため、画像がないスキルもnullで埋める
+        spells: await Promise.all((champion.spells || []).map(spell => spell.image ?
+          this.getExistingImagePath(join('champion', 'spell', spell.image.full)) : null))
+      };
+    }
+
+    const version = gameData.metadata?.version;
+    imageMap.sprites = await this.buildSpriteMap(gameData.champions, async spriteName => version ?
+      this.getSpriteSheet(await this.getExistingImagePath(join('sprite', version, spriteName))) : null);
+
+    const found = Object.values(imageMap.champions).filter(images => images.square).length;
+    this.log('info', `Using ${found} existing champion images and ${Object.keys(imageMap.sprites).length} sprite icons (download skipped)`);
+
+    return this.optimizer.optimizeImageMap(imageMap);
+  }
+
+  /**
+   * 既存画像のWebパス取得（存在しなければnull）
+   */
+  async getExistingImagePath(relativePath) {
+    if (await fs.pathExists(join(this.outputDir, relativePath))) {
+      return `/images/${relativePath.replace(/\\/g, '/')}`;
+    }
+    return null;
+  }
+
   /**
    * チャンピオン画像ダウンロード
    */
@@ -124,6 +178,56 @@ export class ImageDownloader {
     return championImageMap;
   }
 
+  /**
+   * チャンピオンスプライトダウンロード（Data Dragonの image.sprite）
+   * パッチごとにスプライト内の配置が変わるため、バージョン別ディレクトリに保存
+   */
+  async downloadChampionSprites(champions, version) {
+    const sprites = await this.buildSpriteMap(champions, async spriteName => this.getSpriteSheet(
+      await this.downloadSingleImage(
+        this.imageTypes.champion.sprite(version, spriteName),
+        join('sprite', version, spriteName),
+        `sprite-${version}-${spriteName}`
+      )
+    ));
+
+    this.log('info', `Mapped ${Object.keys(sprites).length} champion icons to sprite sheets`);
+    return sprites;
+  }
+
+  /**
+   * スプライト内のアイコン位置マッピング生成（スプライト1枚につき1回だけ解決）
+   */
+  async buildSpriteMap(champions, resolveSheet) {
+    const sheets = new Map();
+    const sprites = {};
+
+    for (const [championKey, champion] of Object.entries(champions || {})) {
+      const image = champion.image;
+      if (!image?.sprite) continue;
+
+      if (!sheets.has(image.sprite)) {
+        sheets.set(image.sprite, await resolveSheet(image.sprite));
+      }
+      const sheet = sheets.get(image.sprite);
+      if (sheet) {
+        sprites[championKey] = { ...sheet, x: image.x, y: image.y, w: image.w, h: image.h };
+      }
+    }
+
+    return sprites;
+  }
+
+  /**
+   * スプライト画像のWebパスと実寸（取得できなければnull）
+   */
+  async getSpriteSheet(webPath) {
+    if (!webPath) return null;
+
+    const dimensions = await this.getImageDimensions(join(this.outputDir, webPath.replace(/^\/images\//, '')));
+    return dimensions && { src: webPath, width: dimensions.width, height: dimensions.height };
+  }
+
   /**
    * 個別チャンピオンの画像セットダウンロード
    */
@@ -174,14 +278,13 @@ export class ImageDownloader {
       if (champion.spells && champion.spells.length > 0) {
         for (let i = 0; i < champion.spells.length; i++) {
           const spell = champion.spells[i];
-          if (spell.image) {
-            const spellImagePath = await this.downloadSingleImage(
-              this.imageTypes.champion.spell(version, spell.image.full),
-              join('champion', 'spell', spell.image.full),
-              `champion-spell-${championId}-${i}`
-            );
-            images.spells.push(spellImagePath);
-          }
+          // スキル順（Q/W/E/R）を保つため、画像がないスキルもnullで埋める
+          const spellImagePath = spell.image ? await this.downloadSingleImage(
+            this.imageTypes.champion.spell(version, spell.image.full),
+            join('champion', 'spell', spell.image.full),
+            `champion-spell-${championId}-${i}`
+          ) : null;
+          images.spells.push(spellImagePath);
         }
       }
 
@@ -255,35 +358,28 @@ export class ImageDownloader {
   }
 
   /**
-   * 画像サイズ最適化（将来的な拡張）
+   * 画像最適化（実寸 + 指定幅のWebP/AVIF派生画像、失敗時はnull）
    */
-  async optimizeImage(imagePath) {
-    // ここでImageMagickやSharpなどを使用した画像最適化を実装可能
-    // 現在はプレースホルダー
-    return imagePath;
+  async optimizeImage(webPath, widths) {
+    const result = await this.optimizer.optimizeImage(webPath, widths);
+    await this.optimizer.saveSourceHashes();
+    return result;
   }
 
   /**
-   * 画像の寸法取得
+   * 画像の寸法取得（画像ヘッダーから実寸を読み取り、取得できなければnull）
    */
   async getImageDimensions(imagePath) {
     try {
-      // 簡易的な画像サイズ取得
-      // 実際のプロジェクトではimage-sizeライブラリなどを使用
-      const stats = await fs.stat(imagePath);
-      
-      // デフォルト値を返す（実際のサイズは別途取得が必要）
-      return {
-        width: 120,
-        height: 120
-      };
+      const info = readImageInfo(await fs.readFile(imagePath));
+      if (!info) {
+        throw new Error('Unsupported image format');
+      }
+      return { width: info.width, height: info.height };
       
     } catch (error) {
       this.log('warn', `Failed to get image dimensions for ${imagePath}:`, error.message);
-      return {
-        width: 120,
-        height: 120
-      };
+      return null;
     }
   }
 
@@ -294,10 +390,12 @@ export class ImageDownloader {
     try {
       const existingFiles = await this.getAllImageFiles();
       const usedImages = new Set(this.downloadedImages.values());
+      // 派生画像（images/optimized/）は最適化パイプライン側で管理
+      const isOptimized = webPath => webPath.startsWith('/images/optimized/');
       
       for (const file of existingFiles) {
         const webPath = file.replace(this.outputDir, '/images').replace(/\\/g, '/');
-        if (!usedImages.has(webPath)) {
+        if (!usedImages.has(webPath) && !isOptimized(webPath)) {
           await fs.unlink(file);
           this.log('debug', `Cleaned up unused image: ${file}`);
         }
@@ -323,7 +421,7 @@ export class ImageDownloader {
         
         if (stats.isDirectory()) {
           await scanDirectory(fullPath);
-        } else if (stats.isFile() && /\.(png|jpg|jpeg|gif|webp)$/i.test(item)) {
+        } else if (stats.isFile() && /\.(png|jpg|jpeg|gif|webp|avif)$/i.test(item)) {
           files.push(fullPath);
         }
       }
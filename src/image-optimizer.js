@@ -0,0 +1,297 @@
+/**
+ * 画像最適化パイプライン
+ * - 画像ヘッダーから実寸を取得（PNG / JPEG / GIF / WebP / AVIF、外部依存なし）
+ * - 幅別のAVIF / WebP派生画像を images/optimized/ に生成し imageMap.optimized に記録
+ *   （jSquash のWebAssemblyコーデックでデコード・縮小・エンコード。ネイティブバイナリ不要）
+ * - 元画像のSHA-256を images/optimized/sources.json に記録し、内容が同じなら派生画像を再利用
+ */
+
+import fs from 'fs-extra';
+import { join, dirname, extname } from 'path';
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import decodePng, { init as initPngDecoder } from '@jsquash/png/decode.js';
+import decodeJpeg, { init as initJpegDecoder } from '@jsquash/jpeg/decode.js';
+import resize, { initResize } from '@jsquash/resize';
+import encodeAvif, { init as initAvifEncoder } from '@jsquash/avif/encode.js';
+import encodeWebp, { init as initWebpEncoder } from '@jsquash/webp/encode.js';
+
+// 画像タイプ別の派生画像の幅（表示サイズ24〜120pxの1x/2x + 大きい画像の縮小版）
+const DEFAULT_VARIANT_WIDTHS = {
+  square: [32, 64, 128],
+  loading: [154, 308],
+  splash: [640, 960]
+};
+const DEFAULT_QUALITY = { avif: 50, webp: 75 };
+// 派生画像の生成元ハッシュ（Webパス → SHA-256）。git checkout でmtimeが揃わないためmtimeは使わない
+const SOURCE_HASHES_PATH = '/images/optimized/sources.json';
+// AVIFの既定（speed 6）は1枚数秒かかるため、サイズがほぼ同じで数倍速い8を使用
+const ENCODE_OPTIONS = { avif: { speed: 8 } };
+const DECODERS = { png: decodePng, jpeg: decodeJpeg };
+const ENCODERS = { avif: encodeAvif, webp: encodeWebp };
+
+const require = createRequire(import.meta.url);
+let codecsReady = null;
+
+/**
+ * コーデックの初期化（Node.jsではfetchでWasmを読めないため、ファイルから読み込んで渡す）
+ * WebPエンコーダーはSIMD版を選ぶため、SIMD版のWasmを渡す（engines の Node.js 18以降は常にSIMD対応）
+ */
+function initCodecs() {
+  const compile = async path => WebAssembly.compile(await fs.readFile(require.resolve(path)));
+
+  codecsReady ??= Promise.all([
+    compile('@jsquash/png/codec/pkg/squoosh_png_bg.wasm').then(initPngDecoder),
+    compile('@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm').then(initJpegDecoder),
+    compile('@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm').then(initResize),
+    compile('@jsquash/avif/codec/enc/avif_enc.wasm').then(initAvifEncoder),
+    compile('@jsquash/webp/codec/enc/webp_enc_simd.wasm').then(initWebpEncoder)
+  ]);
+  return codecsReady;
+}
+
+/**
+ * 既定のエンコーダー（PNG / JPEGをデコードし、指定幅に縮小して AVIF / WebP で保存）
+ */
+export async function encodeWithWasm({ input, output, width, height, format, quality }) {
+  await initCodecs();
+
+  const buffer = await fs.readFile(input);
+  const decode = DECODERS[readImageInfo(buffer)?.format];
+  const encode = ENCODERS[format];
+  if (!decode || !encode) {
+    throw new Error(`Unsupported conversion to ${format}`);
+  }
+
+  const image = await resize(await decode(buffer), { width, height });
+  await fs.writeFile(output, Buffer.from(await encode(image, { quality, ...ENCODE_OPTIONS[format] })));
+}
+
+/**
+ * 画像ヘッダーから形式と実寸を取得（未対応形式はnull）
+ */
+export function readImageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpegInfo(buffer);
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return readWebpInfo(buffer);
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('ascii', 8, 12))) {
+    return readAvifInfo(buffer);
+  }
+  return null;
+}
+
+/**
+ * JPEG: SOFマーカー（SOF0〜SOF15、DHT/JPG/DACを除く）の寸法を取得
+ */
+function readJpegInfo(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // フィルバイト
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * WebP: 非可逆（VP8）/ 可逆（VP8L）/ 拡張（VP8X）形式の寸法を取得
+ */
+function readWebpInfo(buffer) {
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * AVIF: ispe（画像空間の寸法）ボックスから取得
+ */
+function readAvifInfo(buffer) {
+  const offset = buffer.indexOf('ispe');
+  if (offset < 0 || offset + 16 > buffer.length) return null;
+  // ボックス種別の後に version/flags（4バイト）、幅・高さ（各4バイト）
+  return { format: 'avif', width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+}
+
+export class ImageOptimizer {
+  constructor(config) {
+    this.config = config;
+    this.imagesDir = join(process.cwd(), config.outputDir, 'images');
+    this.formats = config.imageFormats || ['avif', 'webp'];
+    this.variantWidths = { ...DEFAULT_VARIANT_WIDTHS, ...config.imageVariantWidths };
+    this.quality = { ...DEFAULT_QUALITY, ...config.imageQuality };
+    // config.imageEncoder で差し替え可能（null: 派生画像を生成せず実寸のみ記録）
+    this.encoder = config.imageEncoder === undefined ? encodeWithWasm : config.imageEncoder;
+    this.sourceHashes = null;
+    this.stats = { analyzed: 0, generated: 0, reused: 0, errors: 0 };
+  }
+
+  /**
+   * imageMap内の全画像を解析し、Webパス単位で imageMap.optimized に記録
+   */
+  async optimizeImageMap(imageMap) {
+    const optimized = {};
+
+    for (const images of Object.values(imageMap.champions || {})) {
+      for (const [type, value] of Object.entries(images)) {
+        // spells はスキル順の配列（未取得はnull）
+        for (const webPath of [value].flat()) {
+          if (!webPath || optimized[webPath]) continue;
+
+          const result = await this.optimizeImage(webPath, this.variantWidths[type] || []);
+          if (result) {
+            optimized[webPath] = result;
+          }
+        }
+      }
+    }
+
+    imageMap.optimized = optimized;
+    await this.saveSourceHashes();
+    this.log('info', `Analyzed ${this.stats.analyzed} images (${this.stats.generated} variants generated, ${this.stats.reused} reused, ${this.stats.errors} errors)`);
+    return imageMap;
+  }
+
+  /**
+   * 単一画像の実寸取得 + 派生画像生成（元画像より大きい幅には拡大しない）
+   * 生成元ハッシュはメモリ上で更新し、saveSourceHashes() で保存する
+   */
+  async optimizeImage(webPath, widths = [], encoder = this.encoder) {
+    const sourcePath = this.getFilePath(webPath);
+
+    try {
+      const buffer = await fs.readFile(sourcePath);
+      const info = readImageInfo(buffer);
+      if (!info) {
+        throw new Error('Unsupported image format');
+      }
+      this.stats.analyzed++;
+
+      const variants = [];
+      if (encoder) {
+        const sourceHashes = await this.loadSourceHashes();
+        const sourceHash = createHash('sha256').update(buffer).digest('hex');
+        const reusable = sourceHashes[webPath] === sourceHash;
+        for (const width of widths.filter(width => width <= info.width)) {
+          for (const format of this.formats) {
+            variants.push(await this.createVariant(webPath, reusable, info, width, format, encoder));
+          }
+        }
+        sourceHashes[webPath] = sourceHash;
+      }
+
+      return { format: info.format, width: info.width, height: info.height, variants };
+
+    } catch (error) {
+      this.log('warn', `Failed to optimize ${webPath}:`, error.message);
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  /**
+   * 派生画像生成（元画像の内容が前回生成時と同じで派生画像があれば再利用）
+   */
+  async createVariant(webPath, reusable, info, width, format, encoder) {
+    const src = `/images/optimized/${webPath.replace(/^\/images\//, '').slice(0, -extname(webPath).length)}-${width}.${format}`;
+    const outputPath = this.getFilePath(src);
+    const variant = { format, width, height: Math.round(info.height * width / info.width), src };
+
+    if (reusable && await fs.pathExists(outputPath)) {
+      this.stats.reused++;
+      return variant;
+    }
+
+    await fs.ensureDir(dirname(outputPath));
+    await encoder({
+      input: this.getFilePath(webPath),
+      output: outputPath,
+      width,
+      height: variant.height,
+      format,
+      quality: this.quality[format]
+    });
+
+    // 破損ファイル検出（ImageDownloaderと同様）
+    const stats = await fs.stat(outputPath);
+    if (stats.size === 0) {
+      await fs.unlink(outputPath);
+      throw new Error(`Encoded ${format} variant is empty`);
+    }
+
+    this.stats.generated++;
+    this.log('debug', `Generated ${src} (${stats.size} bytes)`);
+    return variant;
+  }
+
+  /**
+   * 生成元ハッシュの読み込み（未作成・破損時は空 = 全派生画像を再生成）
+   */
+  async loadSourceHashes() {
+    if (!this.sourceHashes) {
+      const filePath = this.getFilePath(SOURCE_HASHES_PATH);
+      this.sourceHashes = {};
+      if (await fs.pathExists(filePath)) {
+        try {
+          this.sourceHashes = await fs.readJson(filePath);
+        } catch (error) {
+          this.log('warn', `Ignoring unreadable ${SOURCE_HASHES_PATH}:`, error.message);
+        }
+      }
+    }
+    return this.sourceHashes;
+  }
+
+  /**
+   * 生成元ハッシュの保存（キー順を固定して差分を最小化）
+   */
+  async saveSourceHashes() {
+    if (!this.sourceHashes) return;
+
+    const sorted = Object.fromEntries(Object.entries(this.sourceHashes).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.outputJson(this.getFilePath(SOURCE_HASHES_PATH), sorted, { spaces: 2 });
+  }
+
+  /**
+   * Webパス（/images/...）→ 出力先のファイルパス
+   */
+  getFilePath(webPath) {
+    return join(this.imagesDir, webPath.replace(/^\/images\//, ''));
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [IMAGE-OPTIMIZER] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
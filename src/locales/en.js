@@ -0,0 +1,170 @@
+/**
+ * English message catalog
+ */
+
+export default {
+  locale: 'en',
+  label: 'English',
+  htmlLang: 'en',
+  ddragonLocale: 'en_US',
+  dateLocale: 'en-US',
+  messages: {
+    'sort.index': 'Latest',
+    'sort.a-z': 'A-Z',
+    'sort.z-a': 'Z-A',
+    'sort.category-assassin': 'Assassins',
+    'sort.category-fighter': 'Fighters',
+    'sort.category-mage': 'Mages',
+    'sort.category-marksman': 'Marksmen',
+    'sort.category-support': 'Supports',
+    'sort.category-tank': 'Tanks',
+
+    'lane.TOP': 'Top',
+    'lane.MIDDLE': 'Mid',
+    'lane.BOTTOM': 'Bot',
+    'lane.JUNGLE': 'Jungle',
+    'lane.UTILITY': 'Support',
+
+    'common.unknown': 'Unknown',
+    'common.collecting': 'Collecting data...',
+    'common.calculating': 'Calculating',
+    'common.noChampions': 'No matching champions',
+
+    'nav.top': 'Home',
+    'nav.draft': 'Draft assistant',
+    'nav.backToList': '← Back to list',
+    'nav.backToTop': '← Back to home',
+    'nav.letterSearch': 'Browse by letter:',
+
+    'listing.metaDescription': '{sortName} League of Legends counter picks - the fastest counter lookup',
+    'listing.title': '{sortName} - FastestLOL',
+    'listing.heading': '🛡️ {sortName} counter picks',
+    'listing.summary': 'Champions: {count} | Last updated: {lastUpdate}',
+    'listing.tagline': 'Pick an enemy champion and see its counters instantly!',
+
+    'table.champion': 'Champion',
+    'table.winRate': 'Win rate',
+    'table.strongCounters': 'Strong against',
+    'table.details': 'Details',
+    'table.playRate': 'Play rate',
+    'table.games': 'Games',
+    'table.lane': 'Lane',
+    'table.opponent': 'Opponent',
+    'table.interval': '95% CI',
+
+    'detail.metaDescription': '{championName} counters - win rates and full matchup data',
+    'detail.title': '{championName} counters - FastestLOL',
+    'detail.heading': '⚡ {championName} counters',
+    'detail.lastUpdate': 'Last updated: {lastUpdate}',
+
+    'counter.favorableHeading': '🛡️ Favorable matchups (adjusted win rate 56% or higher)',
+    'counter.unfavorableHeading': '⚠️ Unfavorable matchups (adjusted win rate 44% or lower)',
+    'counter.adjustedWinRate': 'Adjusted win rate',
+    'counter.adjustedInterval': '95% CI (adjusted)',
+    'counter.strength': 'Strength',
+    'counter.enemyWinRate': 'Enemy win rate',
+    'counter.adjustedEnemyWinRate': 'Adjusted enemy win rate',
+    'counter.danger': 'Threat',
+
+    'duo.partnersHeading': '🤝 Bot lane: best partners',
+    'duo.partner': 'Partner',
+    'duo.enemyHeading': '⚔️ Bot lane: win rate by enemy duo (hardest → easiest)',
+    'duo.enemyDuo': 'Enemy duo (ADC + support)',
+    'duo.ownWinRate': 'Your win rate',
+
+    'synergy.bestHeading': '✨ Best allies',
+    'synergy.worstHeading': '💔 Worst allies',
+    'synergy.ally': 'Ally',
+    'synergy.difference': 'vs. expected',
+    'synergy.significance': 'Significance',
+    'synergy.significant': 'Significant',
+    'synergy.reference': 'Indicative',
+
+    'jungle.heading': '🌲 Jungle matchups (early game)',
+    'jungle.opponent': 'Enemy jungler',
+    'jungle.firstBlood': 'First blood participation',
+    'jungle.csDiff': 'CS diff at 10 min',
+    'jungle.invades': 'Enemy jungle camps taken',
+
+    'regional.heading': '🌏 Counters by region',
+    'regional.region': 'Region',
+    'regional.favorable': 'Favorable (your adjusted win rate)',
+    'regional.unfavorable': 'Unfavorable (enemy adjusted win rate)',
+
+    'patch.heading': '📈 Win rate by patch',
+    'patch.change': 'Change',
+    'patch.currentHeading': '🆕 Counters on patch {patch} (current patch only)',
+    'patch.laneWinRate': 'Patch {patch} win rate (games)',
+
+    'overall.heading': '📊 Overall stats',
+    'overall.winRate': 'Overall win rate',
+    'overall.totalGames': 'Total games',
+    'overall.reliability': 'Data reliability',
+    'overall.tier': 'Tier',
+    'overall.high': 'High',
+    'overall.low': 'Low',
+
+    'lanePerformance.heading': '🎯 Performance by lane',
+    'lanePerformance.empty': 'Collecting lane data...',
+
+    'abilities.heading': '🪄 Abilities',
+    'abilities.key': 'Key',
+    'abilities.name': 'Ability',
+    'abilities.description': 'Effect',
+    'abilities.cooldown': 'Cooldown (s)',
+    'abilities.cost': 'Cost',
+    'abilities.range': 'Range',
+
+    'tips.enemyHeading': '🗡️ Playing against {championName}',
+
+    'stats.heading': '📐 Base stats',
+    'stats.stat': 'Stat',
+    'stats.base': 'Level 1',
+    'stats.perLevel': 'Per level',
+    'stats.hp': 'Health',
+    'stats.mp': 'Mana',
+    'stats.hpregen': 'Health regen (per 5s)',
+    'stats.mpregen': 'Resource regen (per 5s)',
+    'stats.attackdamage': 'Attack damage',
+    'stats.attackspeed': 'Attack speed',
+    'stats.armor': 'Armor',
+    'stats.spellblock': 'Magic resist',
+    'stats.attackrange': 'Attack range',
+    'stats.movespeed': 'Move speed',
+
+    'lore.heading': '📜 Lore',
+
+    'search.letterTitle': 'Champions starting with "{letter}"',
+    'search.metaDescription': '{searchTitle} - League of Legends counter picks',
+    'search.title': '{searchTitle} - FastestLOL',
+    'search.count': 'Matching champions: {count}',
+
+    'lanePage.metaDescription': '{lane} lane champions - League of Legends',
+    'lanePage.title': '{lane} lane - FastestLOL',
+    'lanePage.heading': '🎯 {lane} lane champions',
+    'lanePage.count': 'Champions: {count}',
+
+    'draft.metaDescription': 'Counter pick suggestions from the enemy team composition - League of Legends draft assistant',
+    'draft.title': 'Draft assistant - FastestLOL',
+    'draft.heading': '🎯 Draft assistant',
+    'draft.intro': 'Choose the enemy champions to rank the best picks for your role',
+    'draft.role': 'Role',
+    'draft.enemy': 'Enemy {slot}',
+    'draft.submit': 'Rank picks',
+    'draft.noscript': 'The draft assistant needs JavaScript. See the {link} for individual matchups.',
+    'draft.noscriptLink': 'lane pages',
+    'draft.noCandidates': 'No matching picks',
+    'draft.loadError': 'Could not load the data',
+    'draft.rank': 'Rank',
+    'draft.candidate': 'Pick',
+    'draft.estimate': 'Adjusted matchup win rate (est.)',
+    'draft.known': 'With data',
+    'draft.breakdown': 'Breakdown',
+
+    'footer.dataSource': '* Data is provided by the Riot Games API.',
+    'footer.disclaimer': '* This site is not endorsed or sponsored by Riot Games.',
+
+    'languages.title': 'FastestLOL - Choose your language',
+    'languages.heading': '⚡ FastestLOLCounterFinder'
+  }
+};
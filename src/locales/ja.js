@@ -0,0 +1,170 @@
+/**
+ * 日本語メッセージカタログ（既定ロケール。他言語で未定義のキーはここにフォールバック）
+ */
+
+export default {
+  locale: 'ja',
+  label: '日本語',
+  htmlLang: 'ja',
+  ddragonLocale: 'ja_JP',
+  dateLocale: 'ja-JP',
+  messages: {
+    'sort.index': '新着順',
+    'sort.a-z': 'A-Z順',
+    'sort.z-a': 'Z-A順',
+    'sort.category-assassin': 'アサシン',
+    'sort.category-fighter': 'ファイター',
+    'sort.category-mage': 'メイジ',
+    'sort.category-marksman': 'マークスマン',
+    'sort.category-support': 'サポート',
+    'sort.category-tank': 'タンク',
+
+    'lane.TOP': 'トップ',
+    'lane.MIDDLE': 'ミッド',
+    'lane.BOTTOM': 'ボット',
+    'lane.JUNGLE': 'ジャングル',
+    'lane.UTILITY': 'サポート',
+
+    'common.unknown': '不明',
+    'common.collecting': 'データ収集中...',
+    'common.calculating': '算出中',
+    'common.noChampions': '該当チャンピオンなし',
+
+    'nav.top': 'トップ',
+    'nav.draft': 'ドラフト支援',
+    'nav.backToList': '← 一覧に戻る',
+    'nav.backToTop': '← トップに戻る',
+    'nav.letterSearch': '文字検索:',
+
+    'listing.metaDescription': '{sortName} League of Legends カウンター情報 - 世界最速表示',
+    'listing.title': '{sortName} - FastestLOL',
+    'listing.heading': '🛡️ {sortName} カウンター情報',
+    'listing.summary': 'チャンピオン数: {count} | 最終更新: {lastUpdate}',
+    'listing.tagline': '敵チャンピオンを選択して、カウンターピックを瞬時に確認しよう！',
+
+    'table.champion': 'チャンピオン',
+    'table.winRate': '勝率',
+    'table.strongCounters': '強いカウンター',
+    'table.details': '詳細',
+    'table.playRate': '採用率',
+    'table.games': '試合数',
+    'table.lane': 'レーン',
+    'table.opponent': '相手',
+    'table.interval': '95%信頼区間',
+
+    'detail.metaDescription': '{championName} カウンター情報 - 勝率・対面データ完全分析',
+    'detail.title': '{championName} カウンター詳細 - FastestLOL',
+    'detail.heading': '⚡ {championName} カウンター情報',
+    'detail.lastUpdate': '最終更新: {lastUpdate}',
+
+    'counter.favorableHeading': '🛡️ 有利な相手（実力差補正後の勝率56%以上）',
+    'counter.unfavorableHeading': '⚠️ 苦手な相手（実力差補正後の勝率44%以下）',
+    'counter.adjustedWinRate': '補正勝率',
+    'counter.adjustedInterval': '95%信頼区間（補正後）',
+    'counter.strength': '強度',
+    'counter.enemyWinRate': '相手勝率',
+    'counter.adjustedEnemyWinRate': '補正相手勝率',
+    'counter.danger': '危険度',
+
+    'duo.partnersHeading': '🤝 ボットレーン: 相性の良い相方',
+    'duo.partner': '相方',
+    'duo.enemyHeading': '⚔️ ボットレーン: 敵デュオ別勝率（苦手順 → 得意順）',
+    'duo.enemyDuo': '敵デュオ（ADC + サポート）',
+    'duo.ownWinRate': '自分の勝率',
+
+    'synergy.bestHeading': '✨ 相性の良い味方',
+    'synergy.worstHeading': '💔 相性の悪い味方',
+    'synergy.ally': '味方',
+    'synergy.difference': '期待勝率との差',
+    'synergy.significance': '有意性',
+    'synergy.significant': '有意',
+    'synergy.reference': '参考値',
+
+    'jungle.heading': '🌲 ジャングル対面（序盤）',
+    'jungle.opponent': '相手ジャングラー',
+    'jungle.firstBlood': 'ファーストブラッド関与率',
+    'jungle.csDiff': '10分時CS差',
+    'jungle.invades': '敵ジャングル狩り数',
+
+    'regional.heading': '🌏 地域別カウンター',
+    'regional.region': '地域',
+    'regional.favorable': '有利な相手（自分の補正勝率）',
+    'regional.unfavorable': '苦手な相手（相手の補正勝率）',
+
+    'patch.heading': '📈 パッチ別勝率推移',
+    'patch.change': '変動',
+    'patch.currentHeading': '🆕 パッチ{patch}のカウンター（最新パッチのみ）',
+    'patch.laneWinRate': 'パッチ{patch}の勝率（試合数）',
+
+    'overall.heading': '📊 全体統計',
+    'overall.winRate': '全体勝率',
+    'overall.totalGames': '総試合数',
+    'overall.reliability': 'データ信頼性',
+    'overall.tier': 'ティア',
+    'overall.high': '高',
+    'overall.low': '低',
+
+    'lanePerformance.heading': '🎯 レーン別パフォーマンス',
+    'lanePerformance.empty': 'レーン別データ収集中...',
+
+    'abilities.heading': '🪄 スキル',
+    'abilities.key': 'キー',
+    'abilities.name': 'スキル',
+    'abilities.description': '効果',
+    'abilities.cooldown': 'CD（秒）',
+    'abilities.cost': 'コスト',
+    'abilities.range': '射程',
+
+    'tips.enemyHeading': '🗡️ {championName}と戦うには',
+
+    'stats.heading': '📐 基本ステータス',
+    'stats.stat': 'ステータス',
+    'stats.base': 'Lv1',
+    'stats.perLevel': '成長（レベル毎）',
+    'stats.hp': '体力',
+    'stats.mp': 'マナ',
+    'stats.hpregen': '体力自動回復（5秒毎）',
+    'stats.mpregen': 'リソース自動回復（5秒毎）',
+    'stats.attackdamage': '攻撃力',
+    'stats.attackspeed': '攻撃速度',
+    'stats.armor': '物理防御',
+    'stats.spellblock': '魔法防御',
+    'stats.attackrange': '通常攻撃の射程',
+    'stats.movespeed': '移動速度',
+
+    'lore.heading': '📜 ストーリー',
+
+    'search.letterTitle': '「{letter}」で始まるチャンピオン',
+    'search.metaDescription': '{searchTitle} 検索結果 - League of Legends カウンター情報',
+    'search.title': '{searchTitle} - FastestLOL',
+    'search.count': '該当チャンピオン数: {count}',
+
+    'lanePage.metaDescription': '{lane}レーン チャンピオン一覧 - League of Legends',
+    'lanePage.title': '{lane}レーン - FastestLOL',
+    'lanePage.heading': '🎯 {lane}レーン チャンピオン',
+    'lanePage.count': 'チャンピオン数: {count}',
+
+    'draft.metaDescription': '敵チーム構成からカウンターピックを提案 - League of Legends ドラフト支援',
+    'draft.title': 'ドラフト支援 - FastestLOL',
+    'draft.heading': '🎯 ドラフト支援',
+    'draft.intro': '敵チームのチャンピオンを選ぶと、指定ロールで有利な候補を順位付けします',
+    'draft.role': 'ロール',
+    'draft.enemy': '敵{slot}',
+    'draft.submit': '候補を評価',
+    'draft.noscript': 'ドラフト支援にはJavaScriptが必要です。{link}から個別の対面をご確認ください。',
+    'draft.noscriptLink': 'レーン別ページ',
+    'draft.noCandidates': '該当する候補がありません',
+    'draft.loadError': 'データを読み込めませんでした',
+    'draft.rank': '順位',
+    'draft.candidate': '候補',
+    'draft.estimate': '対面補正勝率（推定）',
+    'draft.known': 'データあり',
+    'draft.breakdown': '内訳',
+
+    'footer.dataSource': '※ データはRiot Games APIから取得しています。',
+    'footer.disclaimer': '※ 本サイトはRiot Gamesが承認または後援したものではありません。',
+
+    'languages.title': 'FastestLOL - 言語を選択',
+    'languages.heading': '⚡ FastestLOLCounterFinder'
+  }
+};
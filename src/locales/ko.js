@@ -0,0 +1,170 @@
+/**
+ * 한국어 메시지 카탈로그
+ */
+
+export default {
+  locale: 'ko',
+  label: '한국어',
+  htmlLang: 'ko',
+  ddragonLocale: 'ko_KR',
+  dateLocale: 'ko-KR',
+  messages: {
+    'sort.index': '최신순',
+    'sort.a-z': 'A-Z순',
+    'sort.z-a': 'Z-A순',
+    'sort.category-assassin': '암살자',
+    'sort.category-fighter': '전사',
+    'sort.category-mage': '마법사',
+    'sort.category-marksman': '원거리 딜러',
+    'sort.category-support': '서포터',
+    'sort.category-tank': '탱커',
+
+    'lane.TOP': '탑',
+    'lane.MIDDLE': '미드',
+    'lane.BOTTOM': '바텀',
+    'lane.JUNGLE': '정글',
+    'lane.UTILITY': '서포터',
+
+    'common.unknown': '알 수 없음',
+    'common.collecting': '데이터 수집 중...',
+    'common.calculating': '계산 중',
+    'common.noChampions': '해당 챔피언 없음',
+
+    'nav.top': '홈',
+    'nav.draft': '밴픽 도우미',
+    'nav.backToList': '← 목록으로',
+    'nav.backToTop': '← 홈으로',
+    'nav.letterSearch': '알파벳 검색:',
+
+    'listing.metaDescription': '{sortName} 리그 오브 레전드 카운터 정보 - 가장 빠른 카운터 검색',
+    'listing.title': '{sortName} - FastestLOL',
+    'listing.heading': '🛡️ {sortName} 카운터 정보',
+    'listing.summary': '챔피언 수: {count} | 최종 업데이트: {lastUpdate}',
+    'listing.tagline': '상대 챔피언을 선택해 카운터 픽을 바로 확인하세요!',
+
+    'table.champion': '챔피언',
+    'table.winRate': '승률',
+    'table.strongCounters': '강한 상대',
+    'table.details': '상세',
+    'table.playRate': '픽률',
+    'table.games': '게임 수',
+    'table.lane': '라인',
+    'table.opponent': '상대',
+    'table.interval': '95% 신뢰구간',
+
+    'detail.metaDescription': '{championName} 카운터 정보 - 승률과 맞라인 데이터 분석',
+    'detail.title': '{championName} 카운터 상세 - FastestLOL',
+    'detail.heading': '⚡ {championName} 카운터 정보',
+    'detail.lastUpdate': '최종 업데이트: {lastUpdate}',
+
+    'counter.favorableHeading': '🛡️ 유리한 상대 (실력 차 보정 승률 56% 이상)',
+    'counter.unfavorableHeading': '⚠️ 불리한 상대 (실력 차 보정 승률 44% 이하)',
+    'counter.adjustedWinRate': '보정 승률',
+    'counter.adjustedInterval': '95% 신뢰구간 (보정 후)',
+    'counter.strength': '강도',
+    'counter.enemyWinRate': '상대 승률',
+    'counter.adjustedEnemyWinRate': '보정 상대 승률',
+    'counter.danger': '위험도',
+
+    'duo.partnersHeading': '🤝 바텀: 궁합이 좋은 파트너',
+    'duo.partner': '파트너',
+    'duo.enemyHeading': '⚔️ 바텀: 상대 듀오별 승률 (어려운 순 → 쉬운 순)',
+    'duo.enemyDuo': '상대 듀오 (원딜 + 서포터)',
+    'duo.ownWinRate': '내 승률',
+
+    'synergy.bestHeading': '✨ 궁합이 좋은 아군',
+    'synergy.worstHeading': '💔 궁합이 나쁜 아군',
+    'synergy.ally': '아군',
+    'synergy.difference': '기대 승률 대비',
+    'synergy.significance': '유의성',
+    'synergy.significant': '유의미',
+    'synergy.reference': '참고용',
+
+    'jungle.heading': '🌲 정글 맞대결 (초반)',
+    'jungle.opponent': '상대 정글러',
+    'jungle.firstBlood': '퍼스트 블러드 관여율',
+    'jungle.csDiff': '10분 CS 차이',
+    'jungle.invades': '상대 정글 몬스터 처치 수',
+
+    'regional.heading': '🌏 지역별 카운터',
+    'regional.region': '지역',
+    'regional.favorable': '유리한 상대 (내 보정 승률)',
+    'regional.unfavorable': '불리한 상대 (상대 보정 승률)',
+
+    'patch.heading': '📈 패치별 승률 추이',
+    'patch.change': '변동',
+    'patch.currentHeading': '🆕 {patch} 패치 카운터 (최신 패치만)',
+    'patch.laneWinRate': '{patch} 패치 승률 (게임 수)',
+
+    'overall.heading': '📊 전체 통계',
+    'overall.winRate': '전체 승률',
+    'overall.totalGames': '총 게임 수',
+    'overall.reliability': '데이터 신뢰도',
+    'overall.tier': '티어',
+    'overall.high': '높음',
+    'overall.low': '낮음',
+
+    'lanePerformance.heading': '🎯 라인별 성적',
+    'lanePerformance.empty': '라인별 데이터 수집 중...',
+
+    'abilities.heading': '🪄 스킬',
+    'abilities.key': '키',
+    'abilities.name': '스킬',
+    'abilities.description': '효과',
+    'abilities.cooldown': '재사용 대기시간(초)',
+    'abilities.cost': '소모값',
+    'abilities.range': '사거리',
+
+    'tips.enemyHeading': '🗡️ {championName} 상대 요령',
+
+    'stats.heading': '📐 기본 능력치',
+    'stats.stat': '능력치',
+    'stats.base': '1레벨',
+    'stats.perLevel': '레벨당 성장',
+    'stats.hp': '체력',
+    'stats.mp': '마나',
+    'stats.hpregen': '체력 재생(5초당)',
+    'stats.mpregen': '자원 재생(5초당)',
+    'stats.attackdamage': '공격력',
+    'stats.attackspeed': '공격 속도',
+    'stats.armor': '방어력',
+    'stats.spellblock': '마법 저항력',
+    'stats.attackrange': '기본 공격 사거리',
+    'stats.movespeed': '이동 속도',
+
+    'lore.heading': '📜 배경 이야기',
+
+    'search.letterTitle': '"{letter}"(으)로 시작하는 챔피언',
+    'search.metaDescription': '{searchTitle} 검색 결과 - 리그 오브 레전드 카운터 정보',
+    'search.title': '{searchTitle} - FastestLOL',
+    'search.count': '검색된 챔피언 수: {count}',
+
+    'lanePage.metaDescription': '{lane} 라인 챔피언 목록 - 리그 오브 레전드',
+    'lanePage.title': '{lane} 라인 - FastestLOL',
+    'lanePage.heading': '🎯 {lane} 라인 챔피언',
+    'lanePage.count': '챔피언 수: {count}',
+
+    'draft.metaDescription': '상대 팀 조합에 맞는 카운터 픽 추천 - 리그 오브 레전드 밴픽 도우미',
+    'draft.title': '밴픽 도우미 - FastestLOL',
+    'draft.heading': '🎯 밴픽 도우미',
+    'draft.intro': '상대 팀 챔피언을 고르면 선택한 포지션에서 유리한 후보를 순위별로 보여줍니다',
+    'draft.role': '포지션',
+    'draft.enemy': '상대 {slot}',
+    'draft.submit': '후보 평가',
+    'draft.noscript': '밴픽 도우미를 사용하려면 JavaScript가 필요합니다. {link}에서 개별 맞라인을 확인하세요.',
+    'draft.noscriptLink': '라인별 페이지',
+    'draft.noCandidates': '해당하는 후보가 없습니다',
+    'draft.loadError': '데이터를 불러오지 못했습니다',
+    'draft.rank': '순위',
+    'draft.candidate': '후보',
+    'draft.estimate': '맞라인 보정 승률 (추정)',
+    'draft.known': '데이터 있음',
+    'draft.breakdown': '상세',
+
+    'footer.dataSource': '※ 데이터는 Riot Games API에서 가져옵니다.',
+    'footer.disclaimer': '※ 본 사이트는 Riot Games의 승인 또는 후원을 받지 않았습니다.',
+
+    'languages.title': 'FastestLOL - 언어 선택',
+    'languages.heading': '⚡ FastestLOLCounterFinder'
+  }
+};
@@ -0,0 +1,188 @@
+/**
+ * 永続マッチストア
+ * 試合データをmatchIdキーで日別JSON Linesシャードに保存し、ビルド間で差分収集を可能にする
+ */
+
+import fs from 'fs-extra';
+import { join } from 'path';
+
+// 集計に必要な参加者フィールド（保存サイズ削減のため生データから抽出）
+const PARTICIPANT_FIELDS = [
+  'puuid', 'championId', 'championName', 'teamId', 'win',
+  'teamPosition', 'individualPosition', 'role', 'lane',
+  'kills', 'deaths', 'assists', 'champLevel', 'goldEarned',
+  'totalMinionsKilled', 'neutralMinionsKilled', 'totalDamageDealtToChampions',
+  'firstBloodKill', 'firstBloodAssist'
+];
+
+// 序盤指標として保持するchallengesフィールド
+const CHALLENGE_FIELDS = ['jungleCsBefore10Minutes', 'enemyJungleMonsterKills'];
+
+export class MatchStore {
+  constructor(config) {
+    this.config = config;
+    this.storeDir = join(process.cwd(), config.cacheDir, 'matches');
+    this.windowDays = config.matchWindowDays || 14;
+    this.matches = new Map();
+  }
+
+  /**
+   * 保存済み試合の読み込み
+   */
+  async load() {
+    await fs.ensureDir(this.storeDir);
+    this.matches.clear();
+
+    const shardFiles = (await fs.readdir(this.storeDir)).filter(file => file.endsWith('.jsonl')).sort();
+
+    for (const shardFile of shardFiles) {
+      const content = await fs.readFile(join(this.storeDir, shardFile), 'utf8');
+
+      content.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          const match = JSON.parse(line);
+          this.matches.set(match.metadata.matchId, match);
+        } catch (error) {
+          this.log('warn', `Skipping corrupt line ${index + 1} in ${shardFile}:`, error.message);
+        }
+      });
+    }
+
+    this.log('info', `Loaded ${this.matches.size} stored matches from ${shardFiles.length} shards`);
+    return this.matches.size;
+  }
+
+  /**
+   * 保存済み判定
+   */
+  has(matchId) {
+    return this.matches.has(matchId);
+  }
+
+  /**
+   * 試合追加（シャードファイルへ追記）
+   */
+  async addMatches(matches) {
+    const shards = new Map();
+
+    matches.forEach(match => {
+      const matchId = match.metadata?.matchId;
+      if (!matchId || this.matches.has(matchId)) return;
+
+      const compact = this.compactMatch(match);
+      this.matches.set(matchId, compact);
+
+      const shardName = this.getShardName(compact);
+      if (!shards.has(shardName)) shards.set(shardName, []);
+      shards.get(shardName).push(JSON.stringify(compact));
+    });
+
+    for (const [shardName, lines] of shards) {
+      await fs.appendFile(join(this.storeDir, shardName), lines.join('\n') + '\n', 'utf8');
+    }
+
+    const added = [...shards.values()].reduce((sum, lines) => sum + lines.length, 0);
+    this.log('info', `Stored ${added} new matches in ${shards.size} shards`);
+    return added;
+  }
+
+  /**
+   * ローリングウィンドウ内の試合取得（新しい順）
+   */
+  getWindowMatches(now = Date.now()) {
+    const cutoff = now - this.windowDays * 24 * 60 * 60 * 1000;
+
+    return [...this.matches.values()]
+      .filter(match => (match.info.gameCreation || 0) >= cutoff)
+      .sort((a, b) => (b.info.gameCreation || 0) - (a.info.gameCreation || 0));
+  }
+
+  /**
+   * ウィンドウ外シャードの削除
+   */
+  async prune(now = Date.now()) {
+    const cutoffShard = this.getShardName({ info: { gameCreation: now - this.windowDays * 24 * 60 * 60 * 1000 } });
+    const shardFiles = (await fs.readdir(this.storeDir)).filter(file => file.endsWith('.jsonl'));
+    let removed = 0;
+
+    for (const shardFile of shardFiles) {
+      // シャード名は日付順にソート可能（YYYY-MM-DD.jsonl）
+      if (shardFile < cutoffShard) {
+        await fs.remove(join(this.storeDir, shardFile));
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.load();
+      this.log('info', `Pruned ${removed} shards older than ${this.windowDays} days`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * 試合データを集計用フィールドに圧縮
+   */
+  compactMatch(match) {
+    const { gameCreation, gameDuration, gameMode, gameVersion, queueId, platformId, participants = [] } = match.info;
+
+    return {
+      metadata: { matchId: match.metadata.matchId },
+      info: {
+        gameCreation,
+        gameDuration,
+        gameMode,
+        gameVersion,
+        queueId,
+        platformId,
+        participants: participants.map(participant => this.compactParticipant(participant))
+      }
+    };
+  }
+
+  /**
+   * 参加者データを集計用フィールドに圧縮
+   */
+  compactParticipant(participant) {
+    const compact = this.pickFields(participant, PARTICIPANT_FIELDS);
+
+    if (participant.challenges) {
+      compact.challenges = this.pickFields(participant.challenges, CHALLENGE_FIELDS);
+    }
+
+    return compact;
+  }
+
+  /**
+   * 指定フィールドのみ抽出
+   */
+  pickFields(source, fields) {
+    return Object.fromEntries(
+      fields
+        .filter(field => source[field] !== undefined)
+        .map(field => [field, source[field]])
+    );
+  }
+
+  /**
+   * シャード名（試合開始日UTC）
+   */
+  getShardName(match) {
+    const date = new Date(match.info.gameCreation || 0).toISOString().slice(0, 10);
+    return `${date}.jsonl`;
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [MATCH-STORE] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
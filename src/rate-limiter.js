@@ -0,0 +1,239 @@
+/**
+ * ヘッダー駆動型レートリミッター
+ * X-App-Rate-Limit / X-Method-Rate-Limit ヘッダーから実際の制限値を学習し、
+ * ルーティングホスト単位（アプリ制限）とメソッド単位で送信タイミングを調整する
+ */
+
+// 個人用APIキーの制限値（ヘッダー受信前の初期値）
+const DEFAULT_APP_LIMIT = '20:1,100:120';
+const DEFAULT_METHOD_LIMIT = null;
+
+// Riotのメソッド単位レート制限の区分（パスのIDやPUUIDの表記に依存せず判定する）
+// 先頭から順に照合するため、固定セグメントを含むパターンを先に並べる
+const METHOD_ENDPOINTS = [
+  ['account-v1.getByRiotId', /^\/riot\/account\/v1\/accounts\/by-riot-id\/[^/]+\/[^/]+$/],
+  ['champion-v3.getChampionInfo', /^\/lol\/champion\/v3\/champion-rotations$/],
+  ['league-v4.getChallengerLeague', /^\/lol\/league\/v4\/challengerleagues\/by-queue\/[^/]+$/],
+  ['league-v4.getGrandmasterLeague', /^\/lol\/league\/v4\/grandmasterleagues\/by-queue\/[^/]+$/],
+  ['league-v4.getMasterLeague', /^\/lol\/league\/v4\/masterleagues\/by-queue\/[^/]+$/],
+  ['league-v4.getLeagueEntriesByPUUID', /^\/lol\/league\/v4\/entries\/by-puuid\/[^/]+$/],
+  ['lol-status-v4.getPlatformData', /^\/lol\/status\/v4\/platform-data$/],
+  ['match-v5.getMatchIdsByPUUID', /^\/lol\/match\/v5\/matches\/by-puuid\/[^/]+\/ids$/],
+  ['match-v5.getMatch', /^\/lol\/match\/v5\/matches\/[^/]+$/],
+  ['summoner-v4.getByPUUID', /^\/lol\/summoner\/v4\/summoners\/by-puuid\/[^/]+$/],
+  ['summoner-v4.getBySummonerId', /^\/lol\/summoner\/v4\/summoners\/[^/]+$/]
+];
+
+export class RateLimiter {
+  constructor(config = {}) {
+    this.config = config;
+    this.defaultAppLimit = config.appRateLimit || DEFAULT_APP_LIMIT;
+    this.defaultMethodLimit = config.methodRateLimit || DEFAULT_METHOD_LIMIT;
+    // 制限値ぎりぎりを避けるため、各ウィンドウで残しておくリクエスト数
+    this.safetyMargin = config.safetyMargin ?? 1;
+    this.buckets = new Map();
+    this.waitedMs = 0;
+  }
+
+  /**
+   * リクエスト送信枠の確保（枠が空くまで待機）
+   */
+  async acquire(url) {
+    const buckets = this.getBucketsForUrl(url);
+
+    for (;;) {
+      const now = Date.now();
+      const waitTime = Math.max(...buckets.map(bucket => this.getWaitTime(bucket, now)));
+
+      if (waitTime <= 0) {
+        buckets.forEach(bucket => this.record(bucket, now));
+        return;
+      }
+
+      this.log('debug', `Rate limit budget exhausted for ${buckets.map(b => b.key).join(', ')}, waiting ${waitTime}ms`);
+      this.waitedMs += waitTime;
+      await this.sleep(waitTime);
+    }
+  }
+
+  /**
+   * レスポンスヘッダーから制限値と消費数を同期
+   */
+  update(url, headers) {
+    const [appBucket, methodBucket] = this.getBucketsForUrl(url);
+
+    this.syncBucket(
+      appBucket,
+      headers.get('X-App-Rate-Limit'),
+      headers.get('X-App-Rate-Limit-Count')
+    );
+    this.syncBucket(
+      methodBucket,
+      headers.get('X-Method-Rate-Limit'),
+      headers.get('X-Method-Rate-Limit-Count')
+    );
+  }
+
+  /**
+   * 429応答時のペナルティ（Retry-After経過まで該当バケットを停止）
+   */
+  penalize(url, retryAfterMs, limitType) {
+    const [appBucket, methodBucket] = this.getBucketsForUrl(url);
+    const until = Date.now() + retryAfterMs;
+
+    // X-Rate-Limit-Type: application / method / service
+    const targets = limitType === 'method' ? [methodBucket]
+      : limitType === 'application' ? [appBucket]
+      : [appBucket, methodBucket];
+
+    targets.forEach(bucket => {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    });
+
+    this.log('warn', `Rate limited (${limitType || 'unknown'}) on ${targets.map(b => b.key).join(', ')}, blocking for ${retryAfterMs}ms`);
+  }
+
+  /**
+   * URLに対応するバケット取得（[アプリ, メソッド]）
+   */
+  getBucketsForUrl(url) {
+    const { host, pathname } = new URL(url);
+    const methodKey = this.getMethodKey(pathname);
+
+    return [
+      this.getBucket(`app:${host}`, this.defaultAppLimit),
+      this.getBucket(`method:${host}:${methodKey}`, this.defaultMethodLimit)
+    ];
+  }
+
+  /**
+   * パスからメソッド識別子を取得（未定義のエンドポイントはパスごとに別バケット）
+   */
+  getMethodKey(pathname) {
+    const endpoint = METHOD_ENDPOINTS.find(([, pattern]) => pattern.test(pathname));
+    if (endpoint) return endpoint[0];
+
+    this.log('debug', `No method rate limit entry for ${pathname}`);
+    return pathname;
+  }
+
+  /**
+   * バケット取得（未作成なら初期化）
+   */
+  getBucket(key, defaultLimit) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        key,
+        windows: this.parseLimitHeader(defaultLimit).map(([limit, seconds]) =>
+          this.createWindow(limit, seconds)
+        ),
+        blockedUntil: 0
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * 制限ウィンドウ生成
+   */
+  createWindow(limit, seconds) {
+    return {
+      limit,
+      windowMs: seconds * 1000,
+      timestamps: []
+    };
+  }
+
+  /**
+   * バケットの待機時間計算
+   */
+  getWaitTime(bucket, now) {
+    let waitTime = bucket.blockedUntil - now;
+
+    bucket.windows.forEach(window => {
+      window.timestamps = window.timestamps.filter(t => t > now - window.windowMs);
+      const capacity = Math.max(1, window.limit - this.safetyMargin);
+
+      if (window.timestamps.length >= capacity) {
+        // 最古のリクエストがウィンドウから外れるまで待つ
+        const oldest = window.timestamps[window.timestamps.length - capacity];
+        waitTime = Math.max(waitTime, oldest + window.windowMs - now + 1);
+      }
+    });
+
+    return waitTime;
+  }
+
+  /**
+   * リクエスト記録
+   */
+  record(bucket, now) {
+    bucket.windows.forEach(window => window.timestamps.push(now));
+  }
+
+  /**
+   * ヘッダー値でバケットを同期
+   */
+  syncBucket(bucket, limitHeader, countHeader) {
+    if (limitHeader) {
+      const limits = this.parseLimitHeader(limitHeader);
+      const changed = limits.length !== bucket.windows.length ||
+        limits.some(([limit, seconds], i) =>
+          bucket.windows[i].limit !== limit || bucket.windows[i].windowMs !== seconds * 1000
+        );
+
+      if (changed) {
+        this.log('info', `Rate limit for ${bucket.key}: ${limitHeader}`);
+        bucket.windows = limits.map(([limit, seconds]) => {
+          const existing = bucket.windows.find(w => w.windowMs === seconds * 1000);
+          return { ...this.createWindow(limit, seconds), timestamps: existing?.timestamps || [] };
+        });
+      }
+    }
+
+    if (countHeader) {
+      const now = Date.now();
+      this.parseLimitHeader(countHeader).forEach(([count, seconds]) => {
+        const window = bucket.windows.find(w => w.windowMs === seconds * 1000);
+        if (!window) return;
+
+        // サーバー側の消費数が多い場合（他プロセスや前回ビルド分）は補正する
+        const missing = count - window.timestamps.length;
+        for (let i = 0; i < missing; i++) {
+          window.timestamps.push(now);
+        }
+      });
+    }
+  }
+
+  /**
+   * "20:1,100:120" 形式のヘッダーをパース
+   */
+  parseLimitHeader(header) {
+    if (!header) return [];
+
+    return header
+      .split(',')
+      .map(part => part.trim().split(':').map(Number))
+      .filter(([value, seconds]) => Number.isFinite(value) && Number.isFinite(seconds) && seconds > 0);
+  }
+
+  /**
+   * 待機処理
+   */
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [RATE-LIMITER] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
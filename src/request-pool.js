@@ -0,0 +1,75 @@
+/**
+ * 並列リクエストプール
+ * 同時実行数を制限しつつタスクを並列実行する（送信間隔の制御はRateLimiterが担当）
+ */
+
+export class RequestPool {
+  constructor(config = {}) {
+    this.concurrency = Math.max(1, config.concurrency || 10);
+    this.active = 0;
+    this.queue = [];
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * タスク実行（空きが出るまでキューで待機）
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * 全要素を並列処理し、入力順で結果を返す（失敗した要素はnull）
+   */
+  async map(items, fn, onError = null) {
+    return Promise.all(items.map((item, index) =>
+      this.run(() => fn(item, index)).catch(error => {
+        if (onError) onError(error, item);
+        return null;
+      })
+    ));
+  }
+
+  /**
+   * 次のタスクを起動
+   */
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(
+          result => {
+            this.completed++;
+            resolve(result);
+          },
+          error => {
+            this.failed++;
+            reject(error);
+          }
+        )
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * 実行統計取得
+   */
+  getStats() {
+    return {
+      completed: this.completed,
+      failed: this.failed,
+      active: this.active,
+      queued: this.queue.length
+    };
+  }
+}
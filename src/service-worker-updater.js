@@ -7,6 +7,9 @@ import fs from 'fs-extra';
 import { join } from 'path';
 import { glob } from 'glob';
 
+// 画像最適化パイプラインの派生画像（ImageOptimizerの出力先）
+const OPTIMIZED_IMAGES_PATTERN = 'images/optimized/**';
+
 export class ServiceWorkerUpdater {
   constructor(config) {
     this.config = config;
@@ -44,11 +47,17 @@ export class ServiceWorkerUpdater {
    */
   async collectFilesToCache() {
     const patterns = [
-      '*.html',
+      // サイト直下は言語選択ページのみ（旧レイアウトのページが残っていてもキャッシュしない）
+      'index.html',
       'images/**/*.{png,jpg,jpeg,gif,webp}',
+      // 画像未取得時の代替画像（オフラインでも表示できるように）
+      'images/champion/placeholder.svg',
       '*.js',
       '*.css',
-      '*.json'
+      '*.json',
+      // 言語別ページ（<outputDir>/<locale>/）
+      ...(this.config.locales || []).flatMap(locale =>
+        [`${locale}/*.html`, `${locale}/*.js`, `${locale}/*.json`])
     ];
 
     const allFiles = [];
@@ -57,7 +66,9 @@ export class ServiceWorkerUpdater {
       try {
         const files = await glob(pattern, { 
           cwd: this.outputDir,
-          nodir: true 
+          nodir: true,
+          // AVIF/WebP派生画像は<picture>でブラウザが選んだ形式・幅のみ実行時にキャッシュ
+          ignore: OPTIMIZED_IMAGES_PATTERN
         });
         allFiles.push(...files);
       } catch (error) {
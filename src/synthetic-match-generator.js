@@ -0,0 +1,313 @@
+/**
+ * 合成試合ジェネレーター（開発用）
+ * シード固定の乱数でmatch-v5形式の試合を生成し、本番と同じ対面抽出・カウンター計算経路に流す。
+ * チャンピオンごとの実力・レーン適性・対面相性を潜在値として持たせ、現実的な偏りのある統計を再現する
+ */
+
+const LANES = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+
+// タグ → 主レーン候補（先頭タグを主、2番目を副として扱う）
+const TAG_LANES = {
+  Fighter: ['TOP', 'JUNGLE'],
+  Tank: ['TOP', 'UTILITY'],
+  Mage: ['MIDDLE', 'UTILITY'],
+  Assassin: ['MIDDLE', 'JUNGLE'],
+  Marksman: ['BOTTOM'],
+  Support: ['UTILITY']
+};
+
+const LANE_ROLES = {
+  TOP: { role: 'SOLO', lane: 'TOP' },
+  JUNGLE: { role: 'NONE', lane: 'JUNGLE' },
+  MIDDLE: { role: 'SOLO', lane: 'MIDDLE' },
+  BOTTOM: { role: 'CARRY', lane: 'BOTTOM' },
+  UTILITY: { role: 'SUPPORT', lane: 'BOTTOM' }
+};
+
+export class SyntheticMatchGenerator {
+  constructor(config = {}) {
+    this.config = config;
+    this.seed = config.syntheticSeed ?? 1337;
+    this.matchCount = config.syntheticMatches || 5000;
+    this.windowDays = config.matchWindowDays || 14;
+    this.random = this.createRandom(this.seed);
+  }
+
+  /**
+   * 試合生成
+   */
+  generateMatches(champions, version, regions = ['jp1'], now = Date.now()) {
+    this.random = this.createRandom(this.seed);
+
+    const profiles = this.buildChampionProfiles(champions);
+    const lanePools = this.buildLanePools(profiles);
+    const missingLanes = LANES.filter(lane => lanePools[lane].length < 2);
+    if (missingLanes.length > 0) {
+      this.log('warn', `Not enough champions for lanes: ${missingLanes.join(', ')}`);
+      return [];
+    }
+
+    const allPool = Object.entries(profiles).map(([key, profile]) => ({ key, weight: profile.popularity }));
+    const patches = this.getRecentPatches(version);
+    const players = regions.map(region =>
+      Array.from({ length: 300 }, (_, index) => `synthetic-${region}-${index}`)
+    );
+    const matches = [];
+
+    for (let i = 0; i < this.matchCount; i++) {
+      const regionIndex = i % regions.length;
+      // 現パッチ6割、前パッチ4割
+      const patch = this.random() < 0.6 ? patches[0] : patches[1];
+      const gameCreation = now - Math.floor(this.random() * this.windowDays * 24 * 60 * 60 * 1000);
+
+      const match = this.generateMatch({
+        matchId: `${regions[regionIndex].toUpperCase()}_SYN${String(i).padStart(6, '0')}`,
+        platformId: regions[regionIndex].toUpperCase(),
+        gameVersion: `${patch}.${500 + (i % 100)}.${1000 + i}`,
+        gameCreation,
+        players: players[regionIndex],
+        lanePools,
+        allPool,
+        profiles
+      });
+      if (match) matches.push(match);
+    }
+
+    this.log('info', `Generated ${matches.length} synthetic matches (seed ${this.seed}, ${Object.keys(profiles).length} champions)`);
+    return matches;
+  }
+
+  /**
+   * 1試合生成（各レーン1対1、10体重複なし。揃わなければnull）
+   */
+  generateMatch({ matchId, platformId, gameVersion, gameCreation, players, lanePools, allPool, profiles }) {
+    const lanes = this.pickLanes(lanePools, allPool);
+    if (!lanes) return null;
+
+    // 勝敗: 各レーンの実力差 + 対面相性の合計（対数オッズ）
+    const score = lanes.reduce((sum, { lane, blue, red }) =>
+      sum + profiles[blue].strength - profiles[red].strength + this.getMatchupEffect(blue, red, lane), 0);
+    const blueWin = this.random() < 1 / (1 + Math.exp(-score));
+    const gameDuration = 1200 + Math.floor(this.random() * 1200);
+    const firstBloodIndex = Math.floor(this.random() * 10);
+    const playerOffset = Math.floor(this.random() * players.length);
+
+    const participants = [100, 200].flatMap(teamId => lanes.map(({ lane, blue, red }, laneIndex) => {
+      const championKey = teamId === 100 ? blue : red;
+      const win = teamId === 100 ? blueWin : !blueWin;
+      const index = (teamId === 100 ? 0 : 5) + laneIndex;
+      return this.generateParticipant({
+        profile: profiles[championKey],
+        lane,
+        teamId,
+        win,
+        gameDuration,
+        puuid: players[(playerOffset + index * 7) % players.length],
+        firstBlood: index === firstBloodIndex
+      });
+    }));
+
+    return {
+      metadata: { matchId },
+      info: {
+        gameCreation,
+        gameDuration,
+        gameMode: 'CLASSIC',
+        gameVersion,
+        queueId: 420,
+        platformId,
+        participants
+      }
+    };
+  }
+
+  /**
+   * 全レーンの対面を抽選（候補の少ないレーンから。尽きたら全体からオフロールで補充）
+   */
+  pickLanes(lanePools, allPool) {
+    const picked = new Set();
+    const picks = {};
+    const order = [...LANES].sort((a, b) => lanePools[a].length - lanePools[b].length);
+
+    for (const lane of order) {
+      const [blue, red] = [0, 1].map(() =>
+        this.pickChampion(lanePools[lane], picked) ?? this.pickChampion(allPool, picked));
+      if (blue === null || red === null) return null;
+      picks[lane] = { lane, blue, red };
+    }
+
+    return LANES.map(lane => picks[lane]);
+  }
+
+  /**
+   * 参加者データ生成（match-v5の集計対象フィールドのみ）
+   */
+  generateParticipant({ profile, lane, teamId, win, gameDuration, puuid, firstBlood }) {
+    const minutes = gameDuration / 60;
+    const isJungle = lane === 'JUNGLE';
+    const isSupport = lane === 'UTILITY';
+
+    return {
+      puuid,
+      championId: profile.numericKey,
+      championName: profile.id,
+      teamId,
+      win,
+      teamPosition: lane,
+      individualPosition: lane,
+      role: LANE_ROLES[lane].role,
+      lane: LANE_ROLES[lane].lane,
+      kills: Math.floor(this.random() * (win ? 12 : 8)),
+      deaths: Math.floor(this.random() * (win ? 6 : 10)),
+      assists: Math.floor(this.random() * (isSupport ? 20 : 12)),
+      champLevel: Math.min(18, 10 + Math.floor(minutes / 4)),
+      goldEarned: Math.round(minutes * (isSupport ? 280 : 420) * (0.85 + this.random() * 0.3)),
+      totalMinionsKilled: Math.round(minutes * (isSupport ? 1 : isJungle ? 1.5 : 7.5) * (0.8 + this.random() * 0.4)),
+      neutralMinionsKilled: Math.round(minutes * (isJungle ? 5.5 : 0.2) * (0.8 + this.random() * 0.4)),
+      totalDamageDealtToChampions: Math.round(minutes * (isSupport ? 350 : 800) * (0.7 + this.random() * 0.6)),
+      firstBloodKill: firstBlood,
+      firstBloodAssist: false,
+      challenges: {
+        jungleCsBefore10Minutes: isJungle ? Math.round(45 + this.random() * 30 + profile.strength * 20) : 0,
+        enemyJungleMonsterKills: isJungle ? Math.floor(this.random() * 12) : 0
+      }
+    };
+  }
+
+  /**
+   * チャンピオン潜在値生成（実力・人気・レーン適性）
+   */
+  buildChampionProfiles(champions) {
+    const profiles = {};
+
+    Object.values(champions)
+      .sort((a, b) => Number(a.key) - Number(b.key))
+      .forEach(champion => {
+        const tags = champion.tags?.length ? champion.tags : ['Fighter'];
+        const laneWeights = {};
+        tags.slice(0, 2).forEach((tag, tagIndex) => {
+          (TAG_LANES[tag] || []).forEach((lane, laneIndex) => {
+            const weight = (tagIndex === 0 ? 1 : 0.4) * (laneIndex === 0 ? 1 : 0.35);
+            laneWeights[lane] = Math.max(laneWeights[lane] || 0, weight);
+          });
+        });
+
+        profiles[champion.key] = {
+          id: champion.id,
+          numericKey: Number(champion.key),
+          // 実力: 対数オッズで標準偏差0.12程度（勝率45〜55%に収まる）
+          strength: this.normal() * 0.12,
+          // 人気: 対数正規分布（一部のチャンピオンに試合が集中）
+          popularity: Math.exp(this.normal() * 0.9),
+          laneWeights
+        };
+      });
+
+    return profiles;
+  }
+
+  /**
+   * レーン別の抽選テーブル
+   */
+  buildLanePools(profiles) {
+    return Object.fromEntries(LANES.map(lane => [lane,
+      Object.entries(profiles)
+        .filter(([, profile]) => profile.laneWeights[lane])
+        .map(([key, profile]) => ({ key, weight: profile.popularity * profile.laneWeights[lane] }))
+    ]));
+  }
+
+  /**
+   * 重み付き抽選（同一試合で選択済みのチャンピオンは除外、候補が尽きたらnull）
+   */
+  pickChampion(pool, picked) {
+    const candidates = pool.filter(entry => !picked.has(entry.key));
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+    let threshold = this.random() * total;
+
+    for (const entry of candidates) {
+      threshold -= entry.weight;
+      if (threshold <= 0) {
+        picked.add(entry.key);
+        return entry.key;
+      }
+    }
+
+    const last = candidates[candidates.length - 1];
+    picked.add(last.key);
+    return last.key;
+  }
+
+  /**
+   * 対面相性（シードとペアから決定的に算出、反対側から見ると符号反転）
+   */
+  getMatchupEffect(championKey, enemyKey, lane) {
+    const [first, second] = [championKey, enemyKey].sort();
+    const sign = first === championKey ? 1 : -1;
+    const random = this.createRandom(this.hashString(`${this.seed}:${first}:${second}:${lane}`));
+
+    // 大半は小さな差、一部に明確なカウンター関係
+    const base = (random() + random() + random() - 1.5) * 0.35;
+    const hardCounter = random() < 0.08 ? (random() < 0.5 ? -0.6 : 0.6) : 0;
+
+    return sign * (base + hardCounter);
+  }
+
+  /**
+   * 直近2パッチ（"15.13.1" → ["15.13", "15.12"]）
+   */
+  getRecentPatches(version) {
+    const [major, minor] = (version || '15.1.1').split('.').map(Number);
+    const previous = minor > 1 ? `${major}.${minor - 1}` : `${major - 1}.24`;
+    return [`${major}.${minor}`, previous];
+  }
+
+  /**
+   * 標準正規乱数（Box-Muller）
+   */
+  normal() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * シード付き乱数（mulberry32）
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * 文字列ハッシュ（FNV-1a）
+   */
+  hashString(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [SYNTHETIC-GENERATOR] [${level.toUpperCase()}]`;
+
+    if (level === 'debug' && !this.config.debug) return;
+
+    console.log(prefix, message, ...args);
+  }
+}
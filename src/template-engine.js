@@ -0,0 +1,338 @@
+/**
+ * ビルド時HTMLテンプレート（文脈に応じた自動エスケープ）
+ * - html`...` タグ付きテンプレート: 埋め込み値を テキスト / 属性値 / URL属性（srcset含む） / 属性リスト の文脈で自動エスケープ
+ * - templates/*.html: {{name}} プレースホルダーを同じ規則でエスケープ
+ * SafeHtml（html`...` の結果）のみテキスト文脈にそのまま埋め込まれる
+ */
+
+import fs from 'fs-extra';
+import { join } from 'path';
+
+// URLとして解釈される属性（スキーム検査の対象）
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'data', 'manifest']);
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// 走査状態
+const TEXT = 'text';
+const TAG = 'tag';
+const ATTRIBUTE_NAME = 'attribute-name';
+const BEFORE_VALUE = 'before-value';
+const QUOTED_VALUE = 'quoted-value';
+const UNQUOTED_VALUE = 'unquoted-value';
+const COMMENT = 'comment';
+const RAW_TEXT = 'raw-text';
+
+/**
+ * エスケープ済みHTML断片
+ */
+export class SafeHtml {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * テキスト文脈のエスケープ
+ */
+export function escapeText(value) {
+  return String(value).replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+}
+
+/**
+ * 属性値文脈のエスケープ（引用符付き属性値を前提）
+ */
+export function escapeAttribute(value) {
+  return String(value).replace(/[&<>"']/g, c =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * URLの無害化（相対URLと http/https/mailto のみ許可、不正なスキームは "#" に置換）
+ */
+export function sanitizeUrl(value) {
+  // ブラウザと同様に前後の空白・制御文字と内部のタブ・改行を除去してからスキームを判定
+  const url = String(value)
+    .replace(/^[\u0000- ]+|[\u0000- ]+$/g, '')
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/ /g, '%20');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (scheme && !SAFE_URL_SCHEMES.has(scheme[1].toLowerCase())) {
+    return '#';
+  }
+  return url.replace(/["'<>`]/g, c => encodeURIComponent(c));
+}
+
+/**
+ * srcsetの無害化（候補ごとのURLを sanitizeUrl で検査し、幅・密度の記述子はそのまま）
+ */
+export function sanitizeSrcset(value) {
+  return String(value).split(',').map(candidate => {
+    const [url, ...descriptors] = candidate.trim().split(/\s+/);
+    return [sanitizeUrl(url), ...descriptors].join(' ');
+  }).join(', ');
+}
+
+/**
+ * 断片の連結（区切り文字はエスケープ対象外）
+ */
+export function joinHtml(values, separator = '') {
+  return new SafeHtml(values.map(value => renderValue(value, { type: 'text' })).join(separator));
+}
+
+/**
+ * タグ付きテンプレート: html`<td>${name}</td>` → SafeHtml
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(renderParts(getContexts(strings), strings, values));
+}
+
+/**
+ * テンプレートファイルの読み込み・描画（templates/<name>.html）
+ */
+export class TemplateEngine {
+  constructor(config = {}) {
+    this.config = config;
+    this.templatesDir = config.templatesDir || join(process.cwd(), 'templates');
+    this.cache = new Map();
+  }
+
+  /**
+   * テンプレート描画（全プレースホルダーに値が必要）
+   */
+  render(name, data = {}) {
+    const template = this.load(name);
+    const values = template.names.map(key => {
+      if (!(key in data)) {
+        throw new Error(`Missing template value "${key}" for ${name}.html`);
+      }
+      return data[key];
+    });
+
+    return new SafeHtml(renderParts(template.contexts, template.strings, values));
+  }
+
+  /**
+   * テンプレートのコンパイル（プレースホルダー位置の文脈を事前に確定しキャッシュ）
+   */
+  load(name) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    const source = fs.readFileSync(join(this.templatesDir, `${name}.html`), 'utf8');
+    const strings = [];
+    const names = [];
+    let lastIndex = 0;
+    for (const match of source.matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)) {
+      strings.push(source.slice(lastIndex, match.index));
+      names.push(match[1]);
+      lastIndex = match.index + match[0].length;
+    }
+    strings.push(source.slice(lastIndex));
+
+    const template = { strings, names, contexts: scanContexts(strings, `${name}.html`) };
+    this.cache.set(name, template);
+    this.log('debug', `Compiled template ${name}.html (${names.length} placeholders)`);
+    return template;
+  }
+
+  /**
+   * ログ出力
+   */
+  log(level, message, ...args) {
+    if (level === 'debug' && !this.config.debug) return;
+
+    const timestamp = new Date().toISOString();
+    const prefix = `[${timestamp}] [TEMPLATE-ENGINE] [${level.toUpperCase()}]`;
+    console.log(prefix, message, ...args);
+  }
+}
+
+// 呼び出し箇所ごとの文脈キャッシュ（タグ付きテンプレートの strings は同一オブジェクト）
+const contextCache = new WeakMap();
+
+function getContexts(strings) {
+  if (!contextCache.has(strings)) {
+    contextCache.set(strings, scanContexts(strings, 'html``'));
+  }
+  return contextCache.get(strings);
+}
+
+function renderParts(contexts, strings, values) {
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value, contexts[index]) + strings[index + 1];
+  });
+  return output;
+}
+
+function renderValue(value, context) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, context)).join('');
+  }
+
+  switch (context.type) {
+    case 'text':
+      return value instanceof SafeHtml ? value.html : escapeText(value);
+    case 'attribute':
+      return escapeAttribute(value);
+    case 'url':
+      return escapeAttribute(sanitizeUrl(value));
+    case 'srcset':
+      return escapeAttribute(sanitizeSrcset(value));
+    case 'attributes':
+      return renderAttributes(value);
+    default:
+      throw new Error(`Unknown template context: ${context.type}`);
+  }
+}
+
+/**
+ * 属性リスト文脈: { bgcolor: '#e3f2fd', hidden: true } → ' bgcolor="#e3f2fd" hidden'
+ */
+function renderAttributes(attributes) {
+  if (typeof attributes !== 'object' || attributes instanceof SafeHtml) {
+    throw new Error('Only attribute objects can be interpolated inside a tag');
+  }
+
+  return Object.entries(attributes).map(([name, value]) => {
+    if (!/^[a-z][a-z0-9-]*$/i.test(name) || /^on/i.test(name) || name.toLowerCase() === 'style') {
+      throw new Error(`Unsupported attribute name: ${name}`);
+    }
+    if (value === null || value === undefined || value === false) return '';
+    if (value === true) return ` ${name}`;
+
+    const lowerName = name.toLowerCase();
+    const escaped = lowerName === 'srcset' ? escapeAttribute(sanitizeSrcset(value)) :
+      URL_ATTRIBUTES.has(lowerName) ? escapeAttribute(sanitizeUrl(value)) : escapeAttribute(value);
+    return ` ${name}="${escaped}"`;
+  }).join('');
+}
+
+/**
+ * 静的部分を走査して各埋め込み位置の文脈を決定
+ */
+function scanContexts(strings, source) {
+  const state = { mode: TEXT, tagName: '', closing: false, attribute: '', quote: '' };
+
+  return strings.slice(0, -1).map((chunk, index) => {
+    scan(state, chunk);
+    return contextOf(state, source, index);
+  });
+}
+
+function contextOf(state, source, index) {
+  const where = `${source} (placeholder ${index + 1})`;
+
+  switch (state.mode) {
+    case TEXT:
+      return { type: 'text' };
+    case TAG:
+      return { type: 'attributes' };
+    case QUOTED_VALUE:
+      if (/^on/.test(state.attribute) || state.attribute === 'style') {
+        throw new Error(`Interpolation inside ${state.attribute} attribute is not supported: ${where}`);
+      }
+      if (state.attribute === 'srcset') {
+        return { type: 'srcset' };
+      }
+      return { type: URL_ATTRIBUTES.has(state.attribute) ? 'url' : 'attribute' };
+    case ATTRIBUTE_NAME:
+    case BEFORE_VALUE:
+    case UNQUOTED_VALUE:
+      throw new Error(`Attribute values must be quoted: ${where}`);
+    default:
+      throw new Error(`Interpolation inside <${state.tagName || '!--'}> is not supported: ${where}`);
+  }
+}
+
+function scan(state, chunk) {
+  for (let i = 0; i < chunk.length; i++) {
+    const char = chunk[i];
+
+    switch (state.mode) {
+      case TEXT: {
+        if (chunk.startsWith('<!--', i)) {
+          state.mode = COMMENT;
+          i += 3;
+          break;
+        }
+        const tag = /^<(\/?)([a-z][\w-]*|!)/i.exec(chunk.slice(i, i + 64));
+        if (tag) {
+          state.mode = TAG;
+          state.closing = tag[1] === '/';
+          state.tagName = tag[2].toLowerCase();
+          i += tag[0].length - 1;
+        }
+        break;
+      }
+      case TAG:
+        if (char === '>') {
+          endTag(state);
+        } else if (!/[\s/]/.test(char)) {
+          const name = /^[^\s=>/]+/.exec(chunk.slice(i))[0];
+          state.attribute = name.toLowerCase();
+          state.mode = ATTRIBUTE_NAME;
+          i += name.length - 1;
+        }
+        break;
+      case ATTRIBUTE_NAME:
+        if (char === '=') {
+          state.mode = BEFORE_VALUE;
+        } else if (char === '>') {
+          endTag(state);
+        } else if (!/\s/.test(char)) {
+          state.mode = TAG;
+          i--;
+        }
+        break;
+      case BEFORE_VALUE:
+        if (char === '"' || char === "'") {
+          state.mode = QUOTED_VALUE;
+          state.quote = char;
+        } else if (char === '>') {
+          endTag(state);
+        } else if (!/\s/.test(char)) {
+          state.mode = UNQUOTED_VALUE;
+        }
+        break;
+      case QUOTED_VALUE:
+        if (char === state.quote) {
+          state.mode = TAG;
+        }
+        break;
+      case UNQUOTED_VALUE:
+        if (char === '>') {
+          endTag(state);
+        } else if (/\s/.test(char)) {
+          state.mode = TAG;
+        }
+        break;
+      case COMMENT:
+        if (chunk.startsWith('-->', i)) {
+          state.mode = TEXT;
+          i += 2;
+        }
+        break;
+      case RAW_TEXT:
+        if (chunk.slice(i, i + state.tagName.length + 2).toLowerCase() === `</${state.tagName}`) {
+          state.mode = TAG;
+          state.closing = true;
+          i += state.tagName.length + 1;
+        }
+        break;
+    }
+  }
+}
+
+function endTag(state) {
+  state.mode = !state.closing && RAW_TEXT_ELEMENTS.has(state.tagName) ? RAW_TEXT : TEXT;
+}
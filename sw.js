@@ -1,1604 +0,0 @@
-/**
- * FastestLOLCounterFinder Service Worker
- * Cache First Strategy for Maximum Performance
- * Auto-generated on 2025-07-03T21:20:42.744Z
- * Version: 1751577642719
- */
-
-const CACHE_NAME = 'fastest-lol-counter-v1751577642719';
-const CACHE_VERSION = '1751577642719';
-
-// キャッシュ対象ファイル一覧
-const FILES_TO_CACHE = [
-  "a-z.html",
-  "category-assassin.html",
-  "category-fighter.html",
-  "category-mage.html",
-  "category-marksman.html",
-  "category-support.html",
-  "category-tank.html",
-  "images/champion/loading/Aatrox_0.jpg",
-  "images/champion/loading/Ahri_0.jpg",
-  "images/champion/loading/Akali_0.jpg",
-  "images/champion/loading/Akshan_0.jpg",
-  "images/champion/loading/Alistar_0.jpg",
-  "images/champion/loading/Ambessa_0.jpg",
-  "images/champion/loading/Amumu_0.jpg",
-  "images/champion/loading/Anivia_0.jpg",
-  "images/champion/loading/Annie_0.jpg",
-  "images/champion/loading/Aphelios_0.jpg",
-  "images/champion/loading/Ashe_0.jpg",
-  "images/champion/loading/AurelionSol_0.jpg",
-  "images/champion/loading/Aurora_0.jpg",
-  "images/champion/loading/Azir_0.jpg",
-  "images/champion/loading/Bard_0.jpg",
-  "images/champion/loading/Belveth_0.jpg",
-  "images/champion/loading/Blitzcrank_0.jpg",
-  "images/champion/loading/Brand_0.jpg",
-  "images/champion/loading/Braum_0.jpg",
-  "images/champion/loading/Briar_0.jpg",
-  "images/champion/loading/Caitlyn_0.jpg",
-  "images/champion/loading/Camille_0.jpg",
-  "images/champion/loading/Cassiopeia_0.jpg",
-  "images/champion/loading/Chogath_0.jpg",
-  "images/champion/loading/Corki_0.jpg",
-  "images/champion/loading/Darius_0.jpg",
-  "images/champion/loading/Diana_0.jpg",
-  "images/champion/loading/DrMundo_0.jpg",
-  "images/champion/loading/Draven_0.jpg",
-  "images/champion/loading/Ekko_0.jpg",
-  "images/champion/loading/Elise_0.jpg",
-  "images/champion/loading/Evelynn_0.jpg",
-  "images/champion/loading/Ezreal_0.jpg",
-  "images/champion/loading/Fiddlesticks_0.jpg",
-  "images/champion/loading/Fiora_0.jpg",
-  "images/champion/loading/Fizz_0.jpg",
-  "images/champion/loading/Galio_0.jpg",
-  "images/champion/loading/Gangplank_0.jpg",
-  "images/champion/loading/Garen_0.jpg",
-  "images/champion/loading/Gnar_0.jpg",
-  "images/champion/loading/Gragas_0.jpg",
-  "images/champion/loading/Graves_0.jpg",
-  "images/champion/loading/Gwen_0.jpg",
-  "images/champion/loading/Hecarim_0.jpg",
-  "images/champion/loading/Heimerdinger_0.jpg",
-  "images/champion/loading/Hwei_0.jpg",
-  "images/champion/loading/Illaoi_0.jpg",
-  "images/champion/loading/Irelia_0.jpg",
-  "images/champion/loading/Ivern_0.jpg",
-  "images/champion/loading/Janna_0.jpg",
-  "images/champion/loading/JarvanIV_0.jpg",
-  "images/champion/loading/Jax_0.jpg",
-  "images/champion/loading/Jayce_0.jpg",
-  "images/champion/loading/Jhin_0.jpg",
-  "images/champion/loading/Jinx_0.jpg",
-  "images/champion/loading/KSante_0.jpg",
-  "images/champion/loading/Kaisa_0.jpg",
-  "images/champion/loading/Kalista_0.jpg",
-  "images/champion/loading/Karma_0.jpg",
-  "images/champion/loading/Karthus_0.jpg",
-  "images/champion/loading/Kassadin_0.jpg",
-  "images/champion/loading/Katarina_0.jpg",
-  "images/champion/loading/Kayle_0.jpg",
-  "images/champion/loading/Kayn_0.jpg",
-  "images/champion/loading/Kennen_0.jpg",
-  "images/champion/loading/Khazix_0.jpg",
-  "images/champion/loading/Kindred_0.jpg",
-  "images/champion/loading/Kled_0.jpg",
-  "images/champion/loading/KogMaw_0.jpg",
-  "images/champion/loading/Leblanc_0.jpg",
-  "images/champion/loading/LeeSin_0.jpg",
-  "images/champion/loading/Leona_0.jpg",
-  "images/champion/loading/Lillia_0.jpg",
-  "images/champion/loading/Lissandra_0.jpg",
-  "images/champion/loading/Lucian_0.jpg",
-  "images/champion/loading/Lulu_0.jpg",
-  "images/champion/loading/Lux_0.jpg",
-  "images/champion/loading/Malphite_0.jpg",
-  "images/champion/loading/Malzahar_0.jpg",
-  "images/champion/loading/Maokai_0.jpg",
-  "images/champion/loading/MasterYi_0.jpg",
-  "images/champion/loading/Mel_0.jpg",
-  "images/champion/loading/Milio_0.jpg",
-  "images/champion/loading/MissFortune_0.jpg",
-  "images/champion/loading/MonkeyKing_0.jpg",
-  "images/champion/loading/Mordekaiser_0.jpg",
-  "images/champion/loading/Morgana_0.jpg",
-  "images/champion/loading/Naafiri_0.jpg",
-  "images/champion/loading/Nami_0.jpg",
-  "images/champion/loading/Nasus_0.jpg",
-  "images/champion/loading/Nautilus_0.jpg",
-  "images/champion/loading/Neeko_0.jpg",
-  "images/champion/loading/Nidalee_0.jpg",
-  "images/champion/loading/Nilah_0.jpg",
-  "images/champion/loading/Nocturne_0.jpg",
-  "images/champion/loading/Nunu_0.jpg",
-  "images/champion/loading/Olaf_0.jpg",
-  "images/champion/loading/Orianna_0.jpg",
-  "images/champion/loading/Ornn_0.jpg",
-  "images/champion/loading/Pantheon_0.jpg",
-  "images/champion/loading/Poppy_0.jpg",
-  "images/champion/loading/Pyke_0.jpg",
-  "images/champion/loading/Qiyana_0.jpg",
-  "images/champion/loading/Quinn_0.jpg",
-  "images/champion/loading/Rakan_0.jpg",
-  "images/champion/loading/Rammus_0.jpg",
-  "images/champion/loading/RekSai_0.jpg",
-  "images/champion/loading/Rell_0.jpg",
-  "images/champion/loading/Renata_0.jpg",
-  "images/champion/loading/Renekton_0.jpg",
-  "images/champion/loading/Rengar_0.jpg",
-  "images/champion/loading/Riven_0.jpg",
-  "images/champion/loading/Rumble_0.jpg",
-  "images/champion/loading/Ryze_0.jpg",
-  "images/champion/loading/Samira_0.jpg",
-  "images/champion/loading/Sejuani_0.jpg",
-  "images/champion/loading/Senna_0.jpg",
-  "images/champion/loading/Seraphine_0.jpg",
-  "images/champion/loading/Sett_0.jpg",
-  "images/champion/loading/Shaco_0.jpg",
-  "images/champion/loading/Shen_0.jpg",
-  "images/champion/loading/Shyvana_0.jpg",
-  "images/champion/loading/Singed_0.jpg",
-  "images/champion/loading/Sion_0.jpg",
-  "images/champion/loading/Sivir_0.jpg",
-  "images/champion/loading/Skarner_0.jpg",
-  "images/champion/loading/Smolder_0.jpg",
-  "images/champion/loading/Sona_0.jpg",
-  "images/champion/loading/Soraka_0.jpg",
-  "images/champion/loading/Swain_0.jpg",
-  "images/champion/loading/Sylas_0.jpg",
-  "images/champion/loading/Syndra_0.jpg",
-  "images/champion/loading/TahmKench_0.jpg",
-  "images/champion/loading/Taliyah_0.jpg",
-  "images/champion/loading/Talon_0.jpg",
-  "images/champion/loading/Taric_0.jpg",
-  "images/champion/loading/Teemo_0.jpg",
-  "images/champion/loading/Thresh_0.jpg",
-  "images/champion/loading/Tristana_0.jpg",
-  "images/champion/loading/Trundle_0.jpg",
-  "images/champion/loading/Tryndamere_0.jpg",
-  "images/champion/loading/TwistedFate_0.jpg",
-  "images/champion/loading/Twitch_0.jpg",
-  "images/champion/loading/Udyr_0.jpg",
-  "images/champion/loading/Urgot_0.jpg",
-  "images/champion/loading/Varus_0.jpg",
-  "images/champion/loading/Vayne_0.jpg",
-  "images/champion/loading/Veigar_0.jpg",
-  "images/champion/loading/Velkoz_0.jpg",
-  "images/champion/loading/Vex_0.jpg",
-  "images/champion/loading/Vi_0.jpg",
-  "images/champion/loading/Viego_0.jpg",
-  "images/champion/loading/Viktor_0.jpg",
-  "images/champion/loading/Vladimir_0.jpg",
-  "images/champion/loading/Volibear_0.jpg",
-  "images/champion/loading/Warwick_0.jpg",
-  "images/champion/loading/Xayah_0.jpg",
-  "images/champion/loading/Xerath_0.jpg",
-  "images/champion/loading/XinZhao_0.jpg",
-  "images/champion/loading/Yasuo_0.jpg",
-  "images/champion/loading/Yone_0.jpg",
-  "images/champion/loading/Yorick_0.jpg",
-  "images/champion/loading/Yuumi_0.jpg",
-  "images/champion/loading/Zac_0.jpg",
-  "images/champion/loading/Zed_0.jpg",
-  "images/champion/loading/Zeri_0.jpg",
-  "images/champion/loading/Ziggs_0.jpg",
-  "images/champion/loading/Zilean_0.jpg",
-  "images/champion/loading/Zoe_0.jpg",
-  "images/champion/loading/Zyra_0.jpg",
-  "images/champion/passive/Aatrox_Passive.png",
-  "images/champion/passive/Ahri_SoulEater2.png",
-  "images/champion/passive/Akali_P.png",
-  "images/champion/passive/Alistar_E.png",
-  "images/champion/passive/Amumu_Passive.png",
-  "images/champion/passive/Anivia_P.png",
-  "images/champion/passive/Annie_Passive.png",
-  "images/champion/passive/ApheliosP.png",
-  "images/champion/passive/Armordillo_ScavengeArmor.png",
-  "images/champion/passive/Armsmaster_MasterOfArms.png",
-  "images/champion/passive/Ashe_P.png",
-  "images/champion/passive/AurelionSolP.png",
-  "images/champion/passive/AuroraPassive.Aurora.png",
-  "images/champion/passive/Azir_Passive.png",
-  "images/champion/passive/Bard_Passive.png",
-  "images/champion/passive/Belveth_Passive.png",
-  "images/champion/passive/Blitzcrank_ManaBarrier.png",
-  "images/champion/passive/BrandP.png",
-  "images/champion/passive/Braum_Passive.png",
-  "images/champion/passive/BriarP.png",
-  "images/champion/passive/Caitlyn_Headshot.png",
-  "images/champion/passive/Camille_Passive.png",
-  "images/champion/passive/Cardmaster_SealFate.png",
-  "images/champion/passive/Cassiopeia_Passive.png",
-  "images/champion/passive/Corki_RapidReload.png",
-  "images/champion/passive/Darius_Icon_Hemorrhage.png",
-  "images/champion/passive/Diana_Passive_LunarBlade.png",
-  "images/champion/passive/DrMundo_P.png",
-  "images/champion/passive/Draven_passive.png",
-  "images/champion/passive/Ekko_P.png",
-  "images/champion/passive/ElisePassive.png",
-  "images/champion/passive/Evelynn_Passive.png",
-  "images/champion/passive/Ezreal_RisingSpellForce.png",
-  "images/champion/passive/FallenAngel_Empathize.png",
-  "images/champion/passive/FiddlesticksP.png",
-  "images/champion/passive/Fiora_P.png",
-  "images/champion/passive/Fizz_P.png",
-  "images/champion/passive/Galio_Passive.png",
-  "images/champion/passive/Gangplank_Passive.png",
-  "images/champion/passive/Garen_Passive.png",
-  "images/champion/passive/Gnar_Passive.png",
-  "images/champion/passive/GragasPassiveHeal.png",
-  "images/champion/passive/GravesTrueGrit.png",
-  "images/champion/passive/GreenTerror_TailSpike.png",
-  "images/champion/passive/Gwen_Passive.png",
-  "images/champion/passive/Hecarim_Passive.png",
-  "images/champion/passive/Heimerdinger_Passive.png",
-  "images/champion/passive/HweiPassive.png",
-  "images/champion/passive/Icon_Ambessa_Passive.Domina.png",
-  "images/champion/passive/Icons_KSante_P.png",
-  "images/champion/passive/Icons_Naafiri_P.png",
-  "images/champion/passive/Icons_Smolder_Passive.png",
-  "images/champion/passive/Icons_Vex_Passive.png",
-  "images/champion/passive/Illaoi_P.png",
-  "images/champion/passive/Irelia_Passive.png",
-  "images/champion/passive/IvernP.png",
-  "images/champion/passive/Janna_Tailwind.png",
-  "images/champion/passive/JarvanIVP.png",
-  "images/champion/passive/Jayce_Passive.png",
-  "images/champion/passive/Jester_CarefulStrikes.png",
-  "images/champion/passive/Jhin_P.png",
-  "images/champion/passive/Jinx_Passive.png",
-  "images/champion/passive/Kaisa_Passive.png",
-  "images/champion/passive/Kalista_Passive.png",
-  "images/champion/passive/Karma_Passive.png",
-  "images/champion/passive/Karthus_Passive.png",
-  "images/champion/passive/Kassadin_Passive.png",
-  "images/champion/passive/Katarina_Passive.png",
-  "images/champion/passive/Kayle_P.png",
-  "images/champion/passive/Kayn_Passive_Primary.png",
-  "images/champion/passive/Kennen_Passive.png",
-  "images/champion/passive/Khazix_P.png",
-  "images/champion/passive/Kindred_Passive.png",
-  "images/champion/passive/Kled_P.png",
-  "images/champion/passive/KogMaw_IcathianSurprise.png",
-  "images/champion/passive/LeblancP.Leblanc_Rework.png",
-  "images/champion/passive/LeeSinPassive.png",
-  "images/champion/passive/LeonaSunlight.png",
-  "images/champion/passive/Lillia_Icon_Passive.png",
-  "images/champion/passive/Lissandra_Passive.png",
-  "images/champion/passive/Lucian_Passive.png",
-  "images/champion/passive/Lulu_PixFaerieCompanion.png",
-  "images/champion/passive/LuxIlluminatingFraulein.png",
-  "images/champion/passive/Malphite_GraniteShield.png",
-  "images/champion/passive/Malzahar_Passive.png",
-  "images/champion/passive/Maokai_Passive.png",
-  "images/champion/passive/MasterYi_Passive1.png",
-  "images/champion/passive/Mel_Passive.png",
-  "images/champion/passive/Milio_P.png",
-  "images/champion/passive/MissFortune_W.png",
-  "images/champion/passive/MonkeyKingStoneSkin.png",
-  "images/champion/passive/MordekaiserPassive.png",
-  "images/champion/passive/NIlahP.png",
-  "images/champion/passive/NamiPassive.png",
-  "images/champion/passive/Nasus_Passive.png",
-  "images/champion/passive/Nautilus_StaggeringBlow.png",
-  "images/champion/passive/Neeko_P.png",
-  "images/champion/passive/Nidalee_Passive.png",
-  "images/champion/passive/Nocturne_UmbraBlades.png",
-  "images/champion/passive/NunuPassive.png",
-  "images/champion/passive/Olaf_Passive.png",
-  "images/champion/passive/OriannaPassive.png",
-  "images/champion/passive/OrnnP.png",
-  "images/champion/passive/Pantheon_Passive.png",
-  "images/champion/passive/Poppy_Passive.png",
-  "images/champion/passive/PykePassive.png",
-  "images/champion/passive/Qiyana_Passive.png",
-  "images/champion/passive/Quinn_Passive.png",
-  "images/champion/passive/Rakan_P.png",
-  "images/champion/passive/RekSai_Passive.png",
-  "images/champion/passive/RellP.png",
-  "images/champion/passive/Renata_P.png",
-  "images/champion/passive/Renekton_Passive.png",
-  "images/champion/passive/Rengar_P.png",
-  "images/champion/passive/RivenRunicBlades.png",
-  "images/champion/passive/Rumble_JunkyardTitan1.png",
-  "images/champion/passive/Ryze_P.png",
-  "images/champion/passive/SamiraP.png",
-  "images/champion/passive/Sejuani_passive.png",
-  "images/champion/passive/Senna_Passive.png",
-  "images/champion/passive/Seraphine_Passive.png",
-  "images/champion/passive/Sett_P.png",
-  "images/champion/passive/Shen_Passive.png",
-  "images/champion/passive/ShyvanaReinforcedScales.png",
-  "images/champion/passive/Singed_Passive.png",
-  "images/champion/passive/Sion_Passive1.png",
-  "images/champion/passive/Sivir_Passive.png",
-  "images/champion/passive/Skarner_Passive.png",
-  "images/champion/passive/Sona_Passive_Charged.png",
-  "images/champion/passive/Soraka_Passive.png",
-  "images/champion/passive/Swain_P.png",
-  "images/champion/passive/SylasP.png",
-  "images/champion/passive/SyndraPassive.png",
-  "images/champion/passive/TahmKenchP.png",
-  "images/champion/passive/Taliyah_Passive.png",
-  "images/champion/passive/TalonP.png",
-  "images/champion/passive/Taric_Passive.png",
-  "images/champion/passive/TeemoPassive.ASU_Teemo.png",
-  "images/champion/passive/Thresh_Passive.png",
-  "images/champion/passive/Tristana_Passive.png",
-  "images/champion/passive/Trundle_Passive.png",
-  "images/champion/passive/Tryndamere_Passive.png",
-  "images/champion/passive/Twitch_Passive.png",
-  "images/champion/passive/Udyr_P.png",
-  "images/champion/passive/Urgot_Passive.png",
-  "images/champion/passive/VarusPassive.png",
-  "images/champion/passive/Vayne_NightHunter.png",
-  "images/champion/passive/VeigarEntropy.png",
-  "images/champion/passive/VelKoz_Passive.png",
-  "images/champion/passive/ViPassive.png",
-  "images/champion/passive/Viego_Passive.png",
-  "images/champion/passive/Viktor_Passive.ViktorVGU.png",
-  "images/champion/passive/VladimirP.png",
-  "images/champion/passive/Volibear_Icon_P.png",
-  "images/champion/passive/WarwickP.png",
-  "images/champion/passive/XayahPassive.png",
-  "images/champion/passive/Xerath_Passive1.png",
-  "images/champion/passive/XinZhaoP.png",
-  "images/champion/passive/Yasuo_Passive.png",
-  "images/champion/passive/YonePassive.png",
-  "images/champion/passive/Yorick_P.png",
-  "images/champion/passive/YuumiP2.png",
-  "images/champion/passive/ZacPassive.png",
-  "images/champion/passive/ZedP.png",
-  "images/champion/passive/ZeriP.png",
-  "images/champion/passive/ZiggsPassiveReady.png",
-  "images/champion/passive/Zilean_Passive.png",
-  "images/champion/passive/Zoe_P.png",
-  "images/champion/passive/ZyraP.png",
-  "images/champion/passive/akshan_p.png",
-  "images/champion/spell/AatroxE.png",
-  "images/champion/spell/AatroxQ.png",
-  "images/champion/spell/AatroxR.png",
-  "images/champion/spell/AatroxW.png",
-  "images/champion/spell/AhriE.png",
-  "images/champion/spell/AhriQ.png",
-  "images/champion/spell/AhriR.png",
-  "images/champion/spell/AhriW.png",
-  "images/champion/spell/AkaliE.png",
-  "images/champion/spell/AkaliQ.png",
-  "images/champion/spell/AkaliR.png",
-  "images/champion/spell/AkaliW.png",
-  "images/champion/spell/AkshanE.png",
-  "images/champion/spell/AkshanQ.png",
-  "images/champion/spell/AkshanR.png",
-  "images/champion/spell/AkshanW.png",
-  "images/champion/spell/AlistarE.png",
-  "images/champion/spell/AlphaStrike.png",
-  "images/champion/spell/AmbessaE.png",
-  "images/champion/spell/AmbessaQ.png",
-  "images/champion/spell/AmbessaR.png",
-  "images/champion/spell/AmbessaW.png",
-  "images/champion/spell/AnnieE.png",
-  "images/champion/spell/AnnieQ.png",
-  "images/champion/spell/AnnieR.png",
-  "images/champion/spell/AnnieW.png",
-  "images/champion/spell/ApheliosE_ClientTooltipWrapper.png",
-  "images/champion/spell/ApheliosQ_ClientTooltipWrapper.png",
-  "images/champion/spell/ApheliosR.png",
-  "images/champion/spell/ApheliosW.png",
-  "images/champion/spell/AsheQ.png",
-  "images/champion/spell/AsheSpiritOfTheHawk.png",
-  "images/champion/spell/AspectOfTheCougar.png",
-  "images/champion/spell/AuraofDespair.png",
-  "images/champion/spell/AurelionSolE.png",
-  "images/champion/spell/AurelionSolQ.png",
-  "images/champion/spell/AurelionSolR.png",
-  "images/champion/spell/AurelionSolW.png",
-  "images/champion/spell/AuroraE.png",
-  "images/champion/spell/AuroraQ.png",
-  "images/champion/spell/AuroraR.png",
-  "images/champion/spell/AuroraW.png",
-  "images/champion/spell/AzirEWrapper.png",
-  "images/champion/spell/AzirQWrapper.png",
-  "images/champion/spell/AzirR.png",
-  "images/champion/spell/AzirW.png",
-  "images/champion/spell/BandageToss.png",
-  "images/champion/spell/BardE.png",
-  "images/champion/spell/BardQ.png",
-  "images/champion/spell/BardR.png",
-  "images/champion/spell/BardW.png",
-  "images/champion/spell/BelvethE.png",
-  "images/champion/spell/BelvethQ.png",
-  "images/champion/spell/BelvethR.png",
-  "images/champion/spell/BelvethW.png",
-  "images/champion/spell/BrandE.png",
-  "images/champion/spell/BrandQ.png",
-  "images/champion/spell/BrandR.png",
-  "images/champion/spell/BrandW.png",
-  "images/champion/spell/BraumE.png",
-  "images/champion/spell/BraumQ.png",
-  "images/champion/spell/BraumRWrapper.png",
-  "images/champion/spell/BraumW.png",
-  "images/champion/spell/BriarE.png",
-  "images/champion/spell/BriarQ.png",
-  "images/champion/spell/BriarR.png",
-  "images/champion/spell/BriarW.png",
-  "images/champion/spell/Bushwhack.png",
-  "images/champion/spell/CaitlynE.png",
-  "images/champion/spell/CaitlynQ.png",
-  "images/champion/spell/CaitlynR.png",
-  "images/champion/spell/CaitlynW.png",
-  "images/champion/spell/CamilleE.png",
-  "images/champion/spell/CamilleQ.png",
-  "images/champion/spell/CamilleR.png",
-  "images/champion/spell/CamilleW.png",
-  "images/champion/spell/CardmasterStack.png",
-  "images/champion/spell/CarpetBomb.png",
-  "images/champion/spell/CassiopeiaE.png",
-  "images/champion/spell/CassiopeiaQ.png",
-  "images/champion/spell/CassiopeiaR.png",
-  "images/champion/spell/CassiopeiaW.png",
-  "images/champion/spell/ChronoShift.png",
-  "images/champion/spell/Crystallize.png",
-  "images/champion/spell/CurseoftheSadMummy.png",
-  "images/champion/spell/DariusAxeGrabCone.png",
-  "images/champion/spell/DariusCleave.png",
-  "images/champion/spell/DariusExecute.png",
-  "images/champion/spell/DariusNoxianTacticsONH.png",
-  "images/champion/spell/Deceive.png",
-  "images/champion/spell/DefensiveBallCurl.png",
-  "images/champion/spell/Destiny.png",
-  "images/champion/spell/DianaOrbs.png",
-  "images/champion/spell/DianaQ.png",
-  "images/champion/spell/DianaR.png",
-  "images/champion/spell/DianaTeleport.png",
-  "images/champion/spell/DrMundoE.png",
-  "images/champion/spell/DrMundoQ.png",
-  "images/champion/spell/DrMundoR.png",
-  "images/champion/spell/DrMundoW.png",
-  "images/champion/spell/DravenDoubleShot.png",
-  "images/champion/spell/DravenFury.png",
-  "images/champion/spell/DravenRCast.png",
-  "images/champion/spell/DravenSpinning.png",
-  "images/champion/spell/EkkoE.png",
-  "images/champion/spell/EkkoQ.png",
-  "images/champion/spell/EkkoR.png",
-  "images/champion/spell/EkkoW.png",
-  "images/champion/spell/EliseHumanE.png",
-  "images/champion/spell/EliseHumanQ.png",
-  "images/champion/spell/EliseHumanW.png",
-  "images/champion/spell/EliseR.png",
-  "images/champion/spell/EnchantedCrystalArrow.png",
-  "images/champion/spell/EvelynnE.png",
-  "images/champion/spell/EvelynnQ.png",
-  "images/champion/spell/EvelynnR.png",
-  "images/champion/spell/EvelynnW.png",
-  "images/champion/spell/EyeOfTheStorm.png",
-  "images/champion/spell/EzrealE.png",
-  "images/champion/spell/EzrealQ.png",
-  "images/champion/spell/EzrealR.png",
-  "images/champion/spell/EzrealW.png",
-  "images/champion/spell/Feast.png",
-  "images/champion/spell/FeralScream.png",
-  "images/champion/spell/FerociousHowl.png",
-  "images/champion/spell/FiddleSticksE.png",
-  "images/champion/spell/FiddleSticksQ.png",
-  "images/champion/spell/FiddleSticksR.png",
-  "images/champion/spell/FiddleSticksW.png",
-  "images/champion/spell/FioraE.png",
-  "images/champion/spell/FioraQ.png",
-  "images/champion/spell/FioraR.png",
-  "images/champion/spell/FioraW.png",
-  "images/champion/spell/FizzE.png",
-  "images/champion/spell/FizzQ.png",
-  "images/champion/spell/FizzR.png",
-  "images/champion/spell/FizzW.png",
-  "images/champion/spell/FlashFrost.png",
-  "images/champion/spell/Fling.png",
-  "images/champion/spell/ForcePulse.png",
-  "images/champion/spell/Frostbite.png",
-  "images/champion/spell/GGun.png",
-  "images/champion/spell/GalioE.png",
-  "images/champion/spell/GalioQ.png",
-  "images/champion/spell/GalioR.png",
-  "images/champion/spell/GalioW.png",
-  "images/champion/spell/GangplankE.png",
-  "images/champion/spell/GangplankQWrapper.png",
-  "images/champion/spell/GangplankR.png",
-  "images/champion/spell/GangplankW.png",
-  "images/champion/spell/GarenE.png",
-  "images/champion/spell/GarenQ.png",
-  "images/champion/spell/GarenR.png",
-  "images/champion/spell/GarenW.png",
-  "images/champion/spell/GlacialStorm.png",
-  "images/champion/spell/GnarE.png",
-  "images/champion/spell/GnarQ.png",
-  "images/champion/spell/GnarR.png",
-  "images/champion/spell/GnarW.png",
-  "images/champion/spell/GragasE.png",
-  "images/champion/spell/GragasQ.png",
-  "images/champion/spell/GragasR.png",
-  "images/champion/spell/GragasW.png",
-  "images/champion/spell/GravesChargeShot.png",
-  "images/champion/spell/GravesMove.png",
-  "images/champion/spell/GravesQLineSpell.png",
-  "images/champion/spell/GravesSmokeGrenade.png",
-  "images/champion/spell/GwenE.png",
-  "images/champion/spell/GwenQ.png",
-  "images/champion/spell/GwenR.png",
-  "images/champion/spell/GwenW.png",
-  "images/champion/spell/HallucinateFull.png",
-  "images/champion/spell/Headbutt.png",
-  "images/champion/spell/HecarimRamp.png",
-  "images/champion/spell/HecarimRapidSlash.png",
-  "images/champion/spell/HecarimUlt.png",
-  "images/champion/spell/HecarimW.png",
-  "images/champion/spell/HeimerdingerE.png",
-  "images/champion/spell/HeimerdingerQ.png",
-  "images/champion/spell/HeimerdingerR.png",
-  "images/champion/spell/HeimerdingerW.png",
-  "images/champion/spell/Highlander.png",
-  "images/champion/spell/HowlingGale.png",
-  "images/champion/spell/HweiE.png",
-  "images/champion/spell/HweiQ.png",
-  "images/champion/spell/HweiR.png",
-  "images/champion/spell/HweiW.png",
-  "images/champion/spell/IllaoiE.png",
-  "images/champion/spell/IllaoiQ.png",
-  "images/champion/spell/IllaoiR.png",
-  "images/champion/spell/IllaoiW.png",
-  "images/champion/spell/InsanityPotion.png",
-  "images/champion/spell/IreliaE.png",
-  "images/champion/spell/IreliaQ.png",
-  "images/champion/spell/IreliaR.png",
-  "images/champion/spell/IreliaW.png",
-  "images/champion/spell/IvernE.png",
-  "images/champion/spell/IvernQ.png",
-  "images/champion/spell/IvernR.png",
-  "images/champion/spell/IvernW.png",
-  "images/champion/spell/JackInTheBox.png",
-  "images/champion/spell/JarvanIVCataclysm.png",
-  "images/champion/spell/JarvanIVDemacianStandard.png",
-  "images/champion/spell/JarvanIVDragonStrike.png",
-  "images/champion/spell/JarvanIVGoldenAegis.png",
-  "images/champion/spell/JavelinToss.png",
-  "images/champion/spell/JaxE.png",
-  "images/champion/spell/JaxQ.png",
-  "images/champion/spell/JaxR.png",
-  "images/champion/spell/JaxW.png",
-  "images/champion/spell/JayceStanceHtG.png",
-  "images/champion/spell/JayceStaticField.png",
-  "images/champion/spell/JayceThunderingBlow.png",
-  "images/champion/spell/JayceToTheSkies.png",
-  "images/champion/spell/JhinE.png",
-  "images/champion/spell/JhinQ.png",
-  "images/champion/spell/JhinR.png",
-  "images/champion/spell/JhinW.png",
-  "images/champion/spell/JinxE.png",
-  "images/champion/spell/JinxQ.png",
-  "images/champion/spell/JinxR.png",
-  "images/champion/spell/JinxW.png",
-  "images/champion/spell/KSanteE.png",
-  "images/champion/spell/KSanteQ.png",
-  "images/champion/spell/KSanteR.png",
-  "images/champion/spell/KSanteW.png",
-  "images/champion/spell/KaisaE.png",
-  "images/champion/spell/KaisaQ.png",
-  "images/champion/spell/KaisaR.png",
-  "images/champion/spell/KaisaW.png",
-  "images/champion/spell/KalistaExpungeWrapper.png",
-  "images/champion/spell/KalistaMysticShot.png",
-  "images/champion/spell/KalistaRx.png",
-  "images/champion/spell/KalistaW.png",
-  "images/champion/spell/KarmaMantra.png",
-  "images/champion/spell/KarmaQ.png",
-  "images/champion/spell/KarmaSolKimShield.png",
-  "images/champion/spell/KarmaSpiritBind.png",
-  "images/champion/spell/KarthusDefile.png",
-  "images/champion/spell/KarthusFallenOne.png",
-  "images/champion/spell/KarthusLayWasteA1.png",
-  "images/champion/spell/KarthusWallOfPain.png",
-  "images/champion/spell/KatarinaEWrapper.png",
-  "images/champion/spell/KatarinaQ.png",
-  "images/champion/spell/KatarinaR.png",
-  "images/champion/spell/KatarinaW.png",
-  "images/champion/spell/KayleE.png",
-  "images/champion/spell/KayleQ.png",
-  "images/champion/spell/KayleR.png",
-  "images/champion/spell/KayleW.png",
-  "images/champion/spell/KaynE.png",
-  "images/champion/spell/KaynQ.png",
-  "images/champion/spell/KaynR.png",
-  "images/champion/spell/KaynW.png",
-  "images/champion/spell/KennenBringTheLight.png",
-  "images/champion/spell/KennenLightningRush.png",
-  "images/champion/spell/KennenShurikenHurlMissile1.png",
-  "images/champion/spell/KennenShurikenStorm.png",
-  "images/champion/spell/KhazixE.png",
-  "images/champion/spell/KhazixQ.png",
-  "images/champion/spell/KhazixR.png",
-  "images/champion/spell/KhazixW.png",
-  "images/champion/spell/KindredEWrapper.png",
-  "images/champion/spell/KindredQ.png",
-  "images/champion/spell/KindredR.png",
-  "images/champion/spell/KindredW.png",
-  "images/champion/spell/KledE.png",
-  "images/champion/spell/KledQ.png",
-  "images/champion/spell/KledR.png",
-  "images/champion/spell/KledW.png",
-  "images/champion/spell/KogMawBioArcaneBarrage.png",
-  "images/champion/spell/KogMawLivingArtillery.png",
-  "images/champion/spell/KogMawQ.png",
-  "images/champion/spell/KogMawVoidOoze.png",
-  "images/champion/spell/Landslide.png",
-  "images/champion/spell/LeblancE.png",
-  "images/champion/spell/LeblancQ.png",
-  "images/champion/spell/LeblancR.png",
-  "images/champion/spell/LeblancW.png",
-  "images/champion/spell/LeeSinEOne.png",
-  "images/champion/spell/LeeSinQOne.png",
-  "images/champion/spell/LeeSinR.png",
-  "images/champion/spell/LeeSinWOne.png",
-  "images/champion/spell/LeonaShieldOfDaybreak.png",
-  "images/champion/spell/LeonaSolarBarrier.png",
-  "images/champion/spell/LeonaSolarFlare.png",
-  "images/champion/spell/LeonaZenithBlade.png",
-  "images/champion/spell/LilliaE.png",
-  "images/champion/spell/LilliaQ.png",
-  "images/champion/spell/LilliaR.png",
-  "images/champion/spell/LilliaW.png",
-  "images/champion/spell/LissandraE.png",
-  "images/champion/spell/LissandraQ.png",
-  "images/champion/spell/LissandraR.png",
-  "images/champion/spell/LissandraW.png",
-  "images/champion/spell/LucianE.png",
-  "images/champion/spell/LucianQ.png",
-  "images/champion/spell/LucianR.png",
-  "images/champion/spell/LucianW.png",
-  "images/champion/spell/LuluE.png",
-  "images/champion/spell/LuluQ.png",
-  "images/champion/spell/LuluR.png",
-  "images/champion/spell/LuluW.png",
-  "images/champion/spell/LuxLightBinding.png",
-  "images/champion/spell/LuxLightStrikeKugel.png",
-  "images/champion/spell/LuxPrismaticWave.png",
-  "images/champion/spell/LuxR.png",
-  "images/champion/spell/MalzaharE.png",
-  "images/champion/spell/MalzaharQ.png",
-  "images/champion/spell/MalzaharR.png",
-  "images/champion/spell/MalzaharW.png",
-  "images/champion/spell/MaokaiE.png",
-  "images/champion/spell/MaokaiQ.png",
-  "images/champion/spell/MaokaiR.png",
-  "images/champion/spell/MaokaiW.png",
-  "images/champion/spell/Meditate.png",
-  "images/champion/spell/MegaAdhesive.png",
-  "images/champion/spell/MelE.png",
-  "images/champion/spell/MelQ.png",
-  "images/champion/spell/MelR.png",
-  "images/champion/spell/MelW.png",
-  "images/champion/spell/MilioE.png",
-  "images/champion/spell/MilioQ.png",
-  "images/champion/spell/MilioR.png",
-  "images/champion/spell/MilioW.png",
-  "images/champion/spell/MissFortuneBulletTime.png",
-  "images/champion/spell/MissFortuneRicochetShot.png",
-  "images/champion/spell/MissFortuneScattershot.png",
-  "images/champion/spell/MissFortuneViciousStrikes.png",
-  "images/champion/spell/MissileBarrage.png",
-  "images/champion/spell/MonkeyKingDecoy.png",
-  "images/champion/spell/MonkeyKingDoubleAttack.png",
-  "images/champion/spell/MonkeyKingNimbus.png",
-  "images/champion/spell/MonkeyKingSpinToWin.png",
-  "images/champion/spell/MordekaiserE.png",
-  "images/champion/spell/MordekaiserQ.png",
-  "images/champion/spell/MordekaiserR.png",
-  "images/champion/spell/MordekaiserW.png",
-  "images/champion/spell/MorganaE.png",
-  "images/champion/spell/MorganaQ.png",
-  "images/champion/spell/MorganaR.png",
-  "images/champion/spell/MorganaW.png",
-  "images/champion/spell/NaafiriE.png",
-  "images/champion/spell/NaafiriQ.png",
-  "images/champion/spell/NaafiriR.png",
-  "images/champion/spell/NaafiriW.png",
-  "images/champion/spell/NamiE.png",
-  "images/champion/spell/NamiQ.png",
-  "images/champion/spell/NamiR.png",
-  "images/champion/spell/NamiW.png",
-  "images/champion/spell/NasusE.png",
-  "images/champion/spell/NasusQ.png",
-  "images/champion/spell/NasusR.png",
-  "images/champion/spell/NasusW.png",
-  "images/champion/spell/NautilusAnchorDrag.png",
-  "images/champion/spell/NautilusGrandLine.png",
-  "images/champion/spell/NautilusPiercingGaze.png",
-  "images/champion/spell/NautilusSplashZone.png",
-  "images/champion/spell/NeekoE.png",
-  "images/champion/spell/NeekoQ.png",
-  "images/champion/spell/NeekoR.png",
-  "images/champion/spell/NeekoW.png",
-  "images/champion/spell/NetherBlade.png",
-  "images/champion/spell/NilahE.png",
-  "images/champion/spell/NilahQ.png",
-  "images/champion/spell/NilahR.png",
-  "images/champion/spell/NilahW.png",
-  "images/champion/spell/NocturneDuskbringer.png",
-  "images/champion/spell/NocturneParanoia.png",
-  "images/champion/spell/NocturneShroudofDarkness.png",
-  "images/champion/spell/NocturneUnspeakableHorror.png",
-  "images/champion/spell/NullLance.png",
-  "images/champion/spell/NunuE.png",
-  "images/champion/spell/NunuQ.png",
-  "images/champion/spell/NunuR.png",
-  "images/champion/spell/NunuW.png",
-  "images/champion/spell/Obduracy.png",
-  "images/champion/spell/OlafAxeThrowCast.png",
-  "images/champion/spell/OlafFrenziedStrikes.png",
-  "images/champion/spell/OlafRagnarok.png",
-  "images/champion/spell/OlafRecklessStrike.png",
-  "images/champion/spell/OrianaDetonateCommand.png",
-  "images/champion/spell/OrianaDissonanceCommand.png",
-  "images/champion/spell/OrianaIzunaCommand.png",
-  "images/champion/spell/OrianaRedactCommand.png",
-  "images/champion/spell/OrnnE.png",
-  "images/champion/spell/OrnnQ.png",
-  "images/champion/spell/OrnnR.png",
-  "images/champion/spell/OrnnW.png",
-  "images/champion/spell/Overdrive.png",
-  "images/champion/spell/PantheonE.png",
-  "images/champion/spell/PantheonQ.png",
-  "images/champion/spell/PantheonR.png",
-  "images/champion/spell/PantheonW.png",
-  "images/champion/spell/PhosphorusBomb.png",
-  "images/champion/spell/PickACard.png",
-  "images/champion/spell/PoisonTrail.png",
-  "images/champion/spell/PoppyE.png",
-  "images/champion/spell/PoppyQ.png",
-  "images/champion/spell/PoppyR.png",
-  "images/champion/spell/PoppyW.png",
-  "images/champion/spell/PowerBall.png",
-  "images/champion/spell/PowerFist.png",
-  "images/champion/spell/PrimalSurge.png",
-  "images/champion/spell/Pulverize.png",
-  "images/champion/spell/PuncturingTaunt.png",
-  "images/champion/spell/PykeE.png",
-  "images/champion/spell/PykeQ.png",
-  "images/champion/spell/PykeR.png",
-  "images/champion/spell/PykeW.png",
-  "images/champion/spell/QiyanaE.png",
-  "images/champion/spell/QiyanaQ.png",
-  "images/champion/spell/QiyanaR.png",
-  "images/champion/spell/QiyanaW.png",
-  "images/champion/spell/QuinnE.png",
-  "images/champion/spell/QuinnQ.png",
-  "images/champion/spell/QuinnR.png",
-  "images/champion/spell/QuinnW.png",
-  "images/champion/spell/RakanE.png",
-  "images/champion/spell/RakanQ.png",
-  "images/champion/spell/RakanR.png",
-  "images/champion/spell/RakanW.png",
-  "images/champion/spell/ReapTheWhirlwind.png",
-  "images/champion/spell/RekSaiE.png",
-  "images/champion/spell/RekSaiQ.png",
-  "images/champion/spell/RekSaiR.png",
-  "images/champion/spell/RekSaiW.png",
-  "images/champion/spell/RellE.png",
-  "images/champion/spell/RellQ.png",
-  "images/champion/spell/RellR.png",
-  "images/champion/spell/RellW_Dismount.png",
-  "images/champion/spell/RenataE.png",
-  "images/champion/spell/RenataQ.png",
-  "images/champion/spell/RenataR.png",
-  "images/champion/spell/RenataW.png",
-  "images/champion/spell/RenektonCleave.png",
-  "images/champion/spell/RenektonPreExecute.png",
-  "images/champion/spell/RenektonReignOfTheTyrant.png",
-  "images/champion/spell/RenektonSliceAndDice.png",
-  "images/champion/spell/RengarE.png",
-  "images/champion/spell/RengarQ.png",
-  "images/champion/spell/RengarR.png",
-  "images/champion/spell/RengarW.png",
-  "images/champion/spell/RiftWalk.png",
-  "images/champion/spell/RivenFeint.png",
-  "images/champion/spell/RivenFengShuiEngine.png",
-  "images/champion/spell/RivenMartyr.png",
-  "images/champion/spell/RivenTriCleave.png",
-  "images/champion/spell/RocketGrab.png",
-  "images/champion/spell/RumbleCarpetBomb.png",
-  "images/champion/spell/RumbleFlameThrower.png",
-  "images/champion/spell/RumbleGrenade.png",
-  "images/champion/spell/RumbleShield.png",
-  "images/champion/spell/Rupture.png",
-  "images/champion/spell/RyzeE.png",
-  "images/champion/spell/RyzeQWrapper.png",
-  "images/champion/spell/RyzeR.png",
-  "images/champion/spell/RyzeW.png",
-  "images/champion/spell/SamiraE.png",
-  "images/champion/spell/SamiraQ.png",
-  "images/champion/spell/SamiraR.png",
-  "images/champion/spell/SamiraW.png",
-  "images/champion/spell/SeismicShard.png",
-  "images/champion/spell/SejuaniE.png",
-  "images/champion/spell/SejuaniQ.png",
-  "images/champion/spell/SejuaniR.png",
-  "images/champion/spell/SejuaniW.png",
-  "images/champion/spell/SennaE.png",
-  "images/champion/spell/SennaQ.png",
-  "images/champion/spell/SennaR.png",
-  "images/champion/spell/SennaW.png",
-  "images/champion/spell/SeraphineE.png",
-  "images/champion/spell/SeraphineQ.png",
-  "images/champion/spell/SeraphineR.png",
-  "images/champion/spell/SeraphineW.png",
-  "images/champion/spell/SettE.png",
-  "images/champion/spell/SettQ.png",
-  "images/champion/spell/SettR.png",
-  "images/champion/spell/SettW.png",
-  "images/champion/spell/ShenE.png",
-  "images/champion/spell/ShenQ.png",
-  "images/champion/spell/ShenR.png",
-  "images/champion/spell/ShenW.png",
-  "images/champion/spell/ShyvanaDoubleAttack.png",
-  "images/champion/spell/ShyvanaFireball.png",
-  "images/champion/spell/ShyvanaImmolationAura.png",
-  "images/champion/spell/ShyvanaTransformCast.png",
-  "images/champion/spell/SionE.png",
-  "images/champion/spell/SionQ.png",
-  "images/champion/spell/SionR.png",
-  "images/champion/spell/SionW.png",
-  "images/champion/spell/SivirE.png",
-  "images/champion/spell/SivirQ.png",
-  "images/champion/spell/SivirR.png",
-  "images/champion/spell/SivirW.png",
-  "images/champion/spell/SkarnerE.png",
-  "images/champion/spell/SkarnerQ.png",
-  "images/champion/spell/SkarnerR.png",
-  "images/champion/spell/SkarnerW.png",
-  "images/champion/spell/SmolderE.png",
-  "images/champion/spell/SmolderQ.png",
-  "images/champion/spell/SmolderR.png",
-  "images/champion/spell/SmolderW.png",
-  "images/champion/spell/SonaE.png",
-  "images/champion/spell/SonaQ.png",
-  "images/champion/spell/SonaR.png",
-  "images/champion/spell/SonaW.png",
-  "images/champion/spell/SorakaE.png",
-  "images/champion/spell/SorakaQ.png",
-  "images/champion/spell/SorakaR.png",
-  "images/champion/spell/SorakaW.png",
-  "images/champion/spell/SowTheWind.png",
-  "images/champion/spell/StaticField.png",
-  "images/champion/spell/SwainE.png",
-  "images/champion/spell/SwainQ.png",
-  "images/champion/spell/SwainR.png",
-  "images/champion/spell/SwainW.png",
-  "images/champion/spell/SylasE.png",
-  "images/champion/spell/SylasQ.png",
-  "images/champion/spell/SylasR.png",
-  "images/champion/spell/SylasW.png",
-  "images/champion/spell/SyndraE.png",
-  "images/champion/spell/SyndraQ.png",
-  "images/champion/spell/SyndraR.png",
-  "images/champion/spell/SyndraW.png",
-  "images/champion/spell/TahmKenchE.png",
-  "images/champion/spell/TahmKenchQ.png",
-  "images/champion/spell/TahmKenchRWrapper.png",
-  "images/champion/spell/TahmKenchW.png",
-  "images/champion/spell/TaliyahE.png",
-  "images/champion/spell/TaliyahQ.png",
-  "images/champion/spell/TaliyahR.png",
-  "images/champion/spell/TaliyahWVC.png",
-  "images/champion/spell/TalonE.png",
-  "images/champion/spell/TalonQ.png",
-  "images/champion/spell/TalonR.png",
-  "images/champion/spell/TalonW.png",
-  "images/champion/spell/Tantrum.png",
-  "images/champion/spell/TaricE.png",
-  "images/champion/spell/TaricQ.png",
-  "images/champion/spell/TaricR.png",
-  "images/champion/spell/TaricW.png",
-  "images/champion/spell/TeemoE.png",
-  "images/champion/spell/TeemoQ.png",
-  "images/champion/spell/TeemoR.png",
-  "images/champion/spell/TeemoW.png",
-  "images/champion/spell/ThreshE.png",
-  "images/champion/spell/ThreshQ.png",
-  "images/champion/spell/ThreshRPenta.png",
-  "images/champion/spell/ThreshW.png",
-  "images/champion/spell/TimeWarp.png",
-  "images/champion/spell/Tremors2.png",
-  "images/champion/spell/TristanaE.png",
-  "images/champion/spell/TristanaQ.png",
-  "images/champion/spell/TristanaR.png",
-  "images/champion/spell/TristanaW.png",
-  "images/champion/spell/TrundleCircle.png",
-  "images/champion/spell/TrundlePain.png",
-  "images/champion/spell/TrundleTrollSmash.png",
-  "images/champion/spell/TryndamereE.png",
-  "images/champion/spell/TryndamereQ.png",
-  "images/champion/spell/TryndamereW.png",
-  "images/champion/spell/TwitchExpunge.png",
-  "images/champion/spell/TwitchFullAutomatic.png",
-  "images/champion/spell/TwitchHideInShadows.png",
-  "images/champion/spell/TwitchVenomCask.png",
-  "images/champion/spell/TwoShivPoison.png",
-  "images/champion/spell/UFSlash.png",
-  "images/champion/spell/UdyrE.png",
-  "images/champion/spell/UdyrQ.png",
-  "images/champion/spell/UdyrR.png",
-  "images/champion/spell/UdyrW.png",
-  "images/champion/spell/UndyingRage.png",
-  "images/champion/spell/UrgotE.png",
-  "images/champion/spell/UrgotQ.png",
-  "images/champion/spell/UrgotR.png",
-  "images/champion/spell/UrgotW.png",
-  "images/champion/spell/VarusE.png",
-  "images/champion/spell/VarusQ.png",
-  "images/champion/spell/VarusR.png",
-  "images/champion/spell/VarusW.png",
-  "images/champion/spell/VayneCondemn.png",
-  "images/champion/spell/VayneInquisition.png",
-  "images/champion/spell/VayneSilveredBolts.png",
-  "images/champion/spell/VayneTumble.png",
-  "images/champion/spell/VeigarBalefulStrike.png",
-  "images/champion/spell/VeigarDarkMatter.png",
-  "images/champion/spell/VeigarEventHorizon.png",
-  "images/champion/spell/VeigarR.png",
-  "images/champion/spell/VelkozE.png",
-  "images/champion/spell/VelkozQ.png",
-  "images/champion/spell/VelkozR.png",
-  "images/champion/spell/VelkozW.png",
-  "images/champion/spell/VexE.png",
-  "images/champion/spell/VexQ.png",
-  "images/champion/spell/VexR.png",
-  "images/champion/spell/VexW.png",
-  "images/champion/spell/ViE.png",
-  "images/champion/spell/ViQ.png",
-  "images/champion/spell/ViR.png",
-  "images/champion/spell/ViW.png",
-  "images/champion/spell/ViegoE.png",
-  "images/champion/spell/ViegoQ.png",
-  "images/champion/spell/ViegoR.png",
-  "images/champion/spell/ViegoW.png",
-  "images/champion/spell/ViktorE.png",
-  "images/champion/spell/ViktorQ.png",
-  "images/champion/spell/ViktorR.png",
-  "images/champion/spell/ViktorW.png",
-  "images/champion/spell/VladimirE.png",
-  "images/champion/spell/VladimirHemoplague.png",
-  "images/champion/spell/VladimirQ.png",
-  "images/champion/spell/VladimirSanguinePool.png",
-  "images/champion/spell/VolibearE.png",
-  "images/champion/spell/VolibearQ.png",
-  "images/champion/spell/VolibearR.png",
-  "images/champion/spell/VolibearW.png",
-  "images/champion/spell/Volley.png",
-  "images/champion/spell/VorpalSpikes.png",
-  "images/champion/spell/WarwickE.png",
-  "images/champion/spell/WarwickQ.png",
-  "images/champion/spell/WarwickR.png",
-  "images/champion/spell/WarwickW.png",
-  "images/champion/spell/WildCards.png",
-  "images/champion/spell/WujuStyle.png",
-  "images/champion/spell/XayahE.png",
-  "images/champion/spell/XayahQ.png",
-  "images/champion/spell/XayahR.png",
-  "images/champion/spell/XayahW.png",
-  "images/champion/spell/XerathArcaneBarrage2.png",
-  "images/champion/spell/XerathArcanopulseChargeUp.png",
-  "images/champion/spell/XerathLocusOfPower2.png",
-  "images/champion/spell/XerathMageSpear.png",
-  "images/champion/spell/XinZhaoE.png",
-  "images/champion/spell/XinZhaoQ.png",
-  "images/champion/spell/XinZhaoR.png",
-  "images/champion/spell/XinZhaoW.png",
-  "images/champion/spell/YasuoE.png",
-  "images/champion/spell/YasuoQ1Wrapper.png",
-  "images/champion/spell/YasuoR.png",
-  "images/champion/spell/YasuoW.png",
-  "images/champion/spell/YoneE.png",
-  "images/champion/spell/YoneQ.png",
-  "images/champion/spell/YoneR.png",
-  "images/champion/spell/YoneW.png",
-  "images/champion/spell/YorickE.png",
-  "images/champion/spell/YorickQ.png",
-  "images/champion/spell/YorickR.png",
-  "images/champion/spell/YorickW.png",
-  "images/champion/spell/YuumiE.png",
-  "images/champion/spell/YuumiQ.png",
-  "images/champion/spell/YuumiR.png",
-  "images/champion/spell/YuumiW.png",
-  "images/champion/spell/ZacE.png",
-  "images/champion/spell/ZacQ.png",
-  "images/champion/spell/ZacR.png",
-  "images/champion/spell/ZacW.png",
-  "images/champion/spell/ZedE.png",
-  "images/champion/spell/ZedQ.png",
-  "images/champion/spell/ZedR.png",
-  "images/champion/spell/ZedW.png",
-  "images/champion/spell/ZeriE.png",
-  "images/champion/spell/ZeriQ.png",
-  "images/champion/spell/ZeriR.png",
-  "images/champion/spell/ZeriW.png",
-  "images/champion/spell/ZiggsE.png",
-  "images/champion/spell/ZiggsQ.png",
-  "images/champion/spell/ZiggsR.png",
-  "images/champion/spell/ZiggsW.png",
-  "images/champion/spell/ZileanQ.png",
-  "images/champion/spell/ZileanW.png",
-  "images/champion/spell/ZoeE.png",
-  "images/champion/spell/ZoeQ.png",
-  "images/champion/spell/ZoeR.png",
-  "images/champion/spell/ZoeW.png",
-  "images/champion/spell/ZyraE.png",
-  "images/champion/spell/ZyraQ.png",
-  "images/champion/spell/ZyraR.png",
-  "images/champion/spell/ZyraW.png",
-  "images/champion/spell/trundledesecrate.png",
-  "images/champion/splash/Aatrox_0.jpg",
-  "images/champion/splash/Ahri_0.jpg",
-  "images/champion/splash/Akali_0.jpg",
-  "images/champion/splash/Akshan_0.jpg",
-  "images/champion/splash/Alistar_0.jpg",
-  "images/champion/splash/Ambessa_0.jpg",
-  "images/champion/splash/Amumu_0.jpg",
-  "images/champion/splash/Anivia_0.jpg",
-  "images/champion/splash/Annie_0.jpg",
-  "images/champion/splash/Aphelios_0.jpg",
-  "images/champion/splash/Ashe_0.jpg",
-  "images/champion/splash/AurelionSol_0.jpg",
-  "images/champion/splash/Aurora_0.jpg",
-  "images/champion/splash/Azir_0.jpg",
-  "images/champion/splash/Bard_0.jpg",
-  "images/champion/splash/Belveth_0.jpg",
-  "images/champion/splash/Blitzcrank_0.jpg",
-  "images/champion/splash/Brand_0.jpg",
-  "images/champion/splash/Braum_0.jpg",
-  "images/champion/splash/Briar_0.jpg",
-  "images/champion/splash/Caitlyn_0.jpg",
-  "images/champion/splash/Camille_0.jpg",
-  "images/champion/splash/Cassiopeia_0.jpg",
-  "images/champion/splash/Chogath_0.jpg",
-  "images/champion/splash/Corki_0.jpg",
-  "images/champion/splash/Darius_0.jpg",
-  "images/champion/splash/Diana_0.jpg",
-  "images/champion/splash/DrMundo_0.jpg",
-  "images/champion/splash/Draven_0.jpg",
-  "images/champion/splash/Ekko_0.jpg",
-  "images/champion/splash/Elise_0.jpg",
-  "images/champion/splash/Evelynn_0.jpg",
-  "images/champion/splash/Ezreal_0.jpg",
-  "images/champion/splash/Fiddlesticks_0.jpg",
-  "images/champion/splash/Fiora_0.jpg",
-  "images/champion/splash/Fizz_0.jpg",
-  "images/champion/splash/Galio_0.jpg",
-  "images/champion/splash/Gangplank_0.jpg",
-  "images/champion/splash/Garen_0.jpg",
-  "images/champion/splash/Gnar_0.jpg",
-  "images/champion/splash/Gragas_0.jpg",
-  "images/champion/splash/Graves_0.jpg",
-  "images/champion/splash/Gwen_0.jpg",
-  "images/champion/splash/Hecarim_0.jpg",
-  "images/champion/splash/Heimerdinger_0.jpg",
-  "images/champion/splash/Hwei_0.jpg",
-  "images/champion/splash/Illaoi_0.jpg",
-  "images/champion/splash/Irelia_0.jpg",
-  "images/champion/splash/Ivern_0.jpg",
-  "images/champion/splash/Janna_0.jpg",
-  "images/champion/splash/JarvanIV_0.jpg",
-  "images/champion/splash/Jax_0.jpg",
-  "images/champion/splash/Jayce_0.jpg",
-  "images/champion/splash/Jhin_0.jpg",
-  "images/champion/splash/Jinx_0.jpg",
-  "images/champion/splash/KSante_0.jpg",
-  "images/champion/splash/Kaisa_0.jpg",
-  "images/champion/splash/Kalista_0.jpg",
-  "images/champion/splash/Karma_0.jpg",
-  "images/champion/splash/Karthus_0.jpg",
-  "images/champion/splash/Kassadin_0.jpg",
-  "images/champion/splash/Katarina_0.jpg",
-  "images/champion/splash/Kayle_0.jpg",
-  "images/champion/splash/Kayn_0.jpg",
-  "images/champion/splash/Kennen_0.jpg",
-  "images/champion/splash/Khazix_0.jpg",
-  "images/champion/splash/Kindred_0.jpg",
-  "images/champion/splash/Kled_0.jpg",
-  "images/champion/splash/KogMaw_0.jpg",
-  "images/champion/splash/Leblanc_0.jpg",
-  "images/champion/splash/LeeSin_0.jpg",
-  "images/champion/splash/Leona_0.jpg",
-  "images/champion/splash/Lillia_0.jpg",
-  "images/champion/splash/Lissandra_0.jpg",
-  "images/champion/splash/Lucian_0.jpg",
-  "images/champion/splash/Lulu_0.jpg",
-  "images/champion/splash/Lux_0.jpg",
-  "images/champion/splash/Malphite_0.jpg",
-  "images/champion/splash/Malzahar_0.jpg",
-  "images/champion/splash/Maokai_0.jpg",
-  "images/champion/splash/MasterYi_0.jpg",
-  "images/champion/splash/Mel_0.jpg",
-  "images/champion/splash/Milio_0.jpg",
-  "images/champion/splash/MissFortune_0.jpg",
-  "images/champion/splash/MonkeyKing_0.jpg",
-  "images/champion/splash/Mordekaiser_0.jpg",
-  "images/champion/splash/Morgana_0.jpg",
-  "images/champion/splash/Naafiri_0.jpg",
-  "images/champion/splash/Nami_0.jpg",
-  "images/champion/splash/Nasus_0.jpg",
-  "images/champion/splash/Nautilus_0.jpg",
-  "images/champion/splash/Neeko_0.jpg",
-  "images/champion/splash/Nidalee_0.jpg",
-  "images/champion/splash/Nilah_0.jpg",
-  "images/champion/splash/Nocturne_0.jpg",
-  "images/champion/splash/Nunu_0.jpg",
-  "images/champion/splash/Olaf_0.jpg",
-  "images/champion/splash/Orianna_0.jpg",
-  "images/champion/splash/Ornn_0.jpg",
-  "images/champion/splash/Pantheon_0.jpg",
-  "images/champion/splash/Poppy_0.jpg",
-  "images/champion/splash/Pyke_0.jpg",
-  "images/champion/splash/Qiyana_0.jpg",
-  "images/champion/splash/Quinn_0.jpg",
-  "images/champion/splash/Rakan_0.jpg",
-  "images/champion/splash/Rammus_0.jpg",
-  "images/champion/splash/RekSai_0.jpg",
-  "images/champion/splash/Rell_0.jpg",
-  "images/champion/splash/Renata_0.jpg",
-  "images/champion/splash/Renekton_0.jpg",
-  "images/champion/splash/Rengar_0.jpg",
-  "images/champion/splash/Riven_0.jpg",
-  "images/champion/splash/Rumble_0.jpg",
-  "images/champion/splash/Ryze_0.jpg",
-  "images/champion/splash/Samira_0.jpg",
-  "images/champion/splash/Sejuani_0.jpg",
-  "images/champion/splash/Senna_0.jpg",
-  "images/champion/splash/Seraphine_0.jpg",
-  "images/champion/splash/Sett_0.jpg",
-  "images/champion/splash/Shaco_0.jpg",
-  "images/champion/splash/Shen_0.jpg",
-  "images/champion/splash/Shyvana_0.jpg",
-  "images/champion/splash/Singed_0.jpg",
-  "images/champion/splash/Sion_0.jpg",
-  "images/champion/splash/Sivir_0.jpg",
-  "images/champion/splash/Skarner_0.jpg",
-  "images/champion/splash/Smolder_0.jpg",
-  "images/champion/splash/Sona_0.jpg",
-  "images/champion/splash/Soraka_0.jpg",
-  "images/champion/splash/Swain_0.jpg",
-  "images/champion/splash/Sylas_0.jpg",
-  "images/champion/splash/Syndra_0.jpg",
-  "images/champion/splash/TahmKench_0.jpg",
-  "images/champion/splash/Taliyah_0.jpg",
-  "images/champion/splash/Talon_0.jpg",
-  "images/champion/splash/Taric_0.jpg",
-  "images/champion/splash/Teemo_0.jpg",
-  "images/champion/splash/Thresh_0.jpg",
-  "images/champion/splash/Tristana_0.jpg",
-  "images/champion/splash/Trundle_0.jpg",
-  "images/champion/splash/Tryndamere_0.jpg",
-  "images/champion/splash/TwistedFate_0.jpg",
-  "images/champion/splash/Twitch_0.jpg",
-  "images/champion/splash/Udyr_0.jpg",
-  "images/champion/splash/Urgot_0.jpg",
-  "images/champion/splash/Varus_0.jpg",
-  "images/champion/splash/Vayne_0.jpg",
-  "images/champion/splash/Veigar_0.jpg",
-  "images/champion/splash/Velkoz_0.jpg",
-  "images/champion/splash/Vex_0.jpg",
-  "images/champion/splash/Vi_0.jpg",
-  "images/champion/splash/Viego_0.jpg",
-  "images/champion/splash/Viktor_0.jpg",
-  "images/champion/splash/Vladimir_0.jpg",
-  "images/champion/splash/Volibear_0.jpg",
-  "images/champion/splash/Warwick_0.jpg",
-  "images/champion/splash/Xayah_0.jpg",
-  "images/champion/splash/Xerath_0.jpg",
-  "images/champion/splash/XinZhao_0.jpg",
-  "images/champion/splash/Yasuo_0.jpg",
-  "images/champion/splash/Yone_0.jpg",
-  "images/champion/splash/Yorick_0.jpg",
-  "images/champion/splash/Yuumi_0.jpg",
-  "images/champion/splash/Zac_0.jpg",
-  "images/champion/splash/Zed_0.jpg",
-  "images/champion/splash/Zeri_0.jpg",
-  "images/champion/splash/Ziggs_0.jpg",
-  "images/champion/splash/Zilean_0.jpg",
-  "images/champion/splash/Zoe_0.jpg",
-  "images/champion/splash/Zyra_0.jpg",
-  "images/champion/square/Aatrox.png",
-  "images/champion/square/Ahri.png",
-  "images/champion/square/Akali.png",
-  "images/champion/square/Akshan.png",
-  "images/champion/square/Alistar.png",
-  "images/champion/square/Ambessa.png",
-  "images/champion/square/Amumu.png",
-  "images/champion/square/Anivia.png",
-  "images/champion/square/Annie.png",
-  "images/champion/square/Aphelios.png",
-  "images/champion/square/Ashe.png",
-  "images/champion/square/AurelionSol.png",
-  "images/champion/square/Aurora.png",
-  "images/champion/square/Azir.png",
-  "images/champion/square/Bard.png",
-  "images/champion/square/Belveth.png",
-  "images/champion/square/Blitzcrank.png",
-  "images/champion/square/Brand.png",
-  "images/champion/square/Braum.png",
-  "images/champion/square/Briar.png",
-  "images/champion/square/Caitlyn.png",
-  "images/champion/square/Camille.png",
-  "images/champion/square/Cassiopeia.png",
-  "images/champion/square/Chogath.png",
-  "images/champion/square/Corki.png",
-  "images/champion/square/Darius.png",
-  "images/champion/square/Diana.png",
-  "images/champion/square/DrMundo.png",
-  "images/champion/square/Draven.png",
-  "images/champion/square/Ekko.png",
-  "images/champion/square/Elise.png",
-  "images/champion/square/Evelynn.png",
-  "images/champion/square/Ezreal.png",
-  "images/champion/square/Fiddlesticks.png",
-  "images/champion/square/Fiora.png",
-  "images/champion/square/Fizz.png",
-  "images/champion/square/Galio.png",
-  "images/champion/square/Gangplank.png",
-  "images/champion/square/Garen.png",
-  "images/champion/square/Gnar.png",
-  "images/champion/square/Gragas.png",
-  "images/champion/square/Graves.png",
-  "images/champion/square/Gwen.png",
-  "images/champion/square/Hecarim.png",
-  "images/champion/square/Heimerdinger.png",
-  "images/champion/square/Hwei.png",
-  "images/champion/square/Illaoi.png",
-  "images/champion/square/Irelia.png",
-  "images/champion/square/Ivern.png",
-  "images/champion/square/Janna.png",
-  "images/champion/square/JarvanIV.png",
-  "images/champion/square/Jax.png",
-  "images/champion/square/Jayce.png",
-  "images/champion/square/Jhin.png",
-  "images/champion/square/Jinx.png",
-  "images/champion/square/KSante.png",
-  "images/champion/square/Kaisa.png",
-  "images/champion/square/Kalista.png",
-  "images/champion/square/Karma.png",
-  "images/champion/square/Karthus.png",
-  "images/champion/square/Kassadin.png",
-  "images/champion/square/Katarina.png",
-  "images/champion/square/Kayle.png",
-  "images/champion/square/Kayn.png",
-  "images/champion/square/Kennen.png",
-  "images/champion/square/Khazix.png",
-  "images/champion/square/Kindred.png",
-  "images/champion/square/Kled.png",
-  "images/champion/square/KogMaw.png",
-  "images/champion/square/Leblanc.png",
-  "images/champion/square/LeeSin.png",
-  "images/champion/square/Leona.png",
-  "images/champion/square/Lillia.png",
-  "images/champion/square/Lissandra.png",
-  "images/champion/square/Lucian.png",
-  "images/champion/square/Lulu.png",
-  "images/champion/square/Lux.png",
-  "images/champion/square/Malphite.png",
-  "images/champion/square/Malzahar.png",
-  "images/champion/square/Maokai.png",
-  "images/champion/square/MasterYi.png",
-  "images/champion/square/Mel.png",
-  "images/champion/square/Milio.png",
-  "images/champion/square/MissFortune.png",
-  "images/champion/square/MonkeyKing.png",
-  "images/champion/square/Mordekaiser.png",
-  "images/champion/square/Morgana.png",
-  "images/champion/square/Naafiri.png",
-  "images/champion/square/Nami.png",
-  "images/champion/square/Nasus.png",
-  "images/champion/square/Nautilus.png",
-  "images/champion/square/Neeko.png",
-  "images/champion/square/Nidalee.png",
-  "images/champion/square/Nilah.png",
-  "images/champion/square/Nocturne.png",
-  "images/champion/square/Nunu.png",
-  "images/champion/square/Olaf.png",
-  "images/champion/square/Orianna.png",
-  "images/champion/square/Ornn.png",
-  "images/champion/square/Pantheon.png",
-  "images/champion/square/Poppy.png",
-  "images/champion/square/Pyke.png",
-  "images/champion/square/Qiyana.png",
-  "images/champion/square/Quinn.png",
-  "images/champion/square/Rakan.png",
-  "images/champion/square/Rammus.png",
-  "images/champion/square/RekSai.png",
-  "images/champion/square/Rell.png",
-  "images/champion/square/Renata.png",
-  "images/champion/square/Renekton.png",
-  "images/champion/square/Rengar.png",
-  "images/champion/square/Riven.png",
-  "images/champion/square/Rumble.png",
-  "images/champion/square/Ryze.png",
-  "images/champion/square/Samira.png",
-  "images/champion/square/Sejuani.png",
-  "images/champion/square/Senna.png",
-  "images/champion/square/Seraphine.png",
-  "images/champion/square/Sett.png",
-  "images/champion/square/Shaco.png",
-  "images/champion/square/Shen.png",
-  "images/champion/square/Shyvana.png",
-  "images/champion/square/Singed.png",
-  "images/champion/square/Sion.png",
-  "images/champion/square/Sivir.png",
-  "images/champion/square/Skarner.png",
-  "images/champion/square/Smolder.png",
-  "images/champion/square/Sona.png",
-  "images/champion/square/Soraka.png",
-  "images/champion/square/Swain.png",
-  "images/champion/square/Sylas.png",
-  "images/champion/square/Syndra.png",
-  "images/champion/square/TahmKench.png",
-  "images/champion/square/Taliyah.png",
-  "images/champion/square/Talon.png",
-  "images/champion/square/Taric.png",
-  "images/champion/square/Teemo.png",
-  "images/champion/square/Thresh.png",
-  "images/champion/square/Tristana.png",
-  "images/champion/square/Trundle.png",
-  "images/champion/square/Tryndamere.png",
-  "images/champion/square/TwistedFate.png",
-  "images/champion/square/Twitch.png",
-  "images/champion/square/Udyr.png",
-  "images/champion/square/Urgot.png",
-  "images/champion/square/Varus.png",
-  "images/champion/square/Vayne.png",
-  "images/champion/square/Veigar.png",
-  "images/champion/square/Velkoz.png",
-  "images/champion/square/Vex.png",
-  "images/champion/square/Vi.png",
-  "images/champion/square/Viego.png",
-  "images/champion/square/Viktor.png",
-  "images/champion/square/Vladimir.png",
-  "images/champion/square/Volibear.png",
-  "images/champion/square/Warwick.png",
-  "images/champion/square/Xayah.png",
-  "images/champion/square/Xerath.png",
-  "images/champion/square/XinZhao.png",
-  "images/champion/square/Yasuo.png",
-  "images/champion/square/Yone.png",
-  "images/champion/square/Yorick.png",
-  "images/champion/square/Yuumi.png",
-  "images/champion/square/Zac.png",
-  "images/champion/square/Zed.png",
-  "images/champion/square/Zeri.png",
-  "images/champion/square/Ziggs.png",
-  "images/champion/square/Zilean.png",
-  "images/champion/square/Zoe.png",
-  "images/champion/square/Zyra.png",
-  "index.html",
-  "manifest.json",
-  "package-lock.json",
-  "package.json",
-  "sw.js",
-  "z-a.html"
-];
-
-// インストール時の処理
-self.addEventListener('install', (event) => {
-  console.log('[SW] Service Worker installing...');
-  
-  event.waitUntil(
-    (async () => {
-      try {
-        const cache = await caches.open(CACHE_NAME);
-        console.log('[SW] Opened cache:', CACHE_NAME);
-        
-        // 全ファイルをプリキャッシュ
-        await cache.addAll(FILES_TO_CACHE);
-        console.log('[SW] All files cached successfully');
-        
-        // 即座にアクティベート
-        await self.skipWaiting();
-        
-      } catch (error) {
-        console.error('[SW] Failed to cache files:', error);
-      }
-    })()
-  );
-});
-
-// アクティベート時の処理
-self.addEventListener('activate', (event) => {
-  console.log('[SW] Service Worker activating...');
-  
-  event.waitUntil(
-    (async () => {
-      try {
-        // 古いキャッシュをクリーンアップ
-        const cacheNames = await caches.keys();
-        const oldCaches = cacheNames.filter(name => 
-          name.startsWith('fastest-lol-counter-') && name !== CACHE_NAME
-        );
-        
-        await Promise.all(
-          oldCaches.map(name => {
-            console.log('[SW] Deleting old cache:', name);
-            return caches.delete(name);
-          })
-        );
-        
-        // 全クライアントを制御下に置く
-        await self.clients.claim();
-        
-        console.log('[SW] Service Worker activated successfully');
-        
-      } catch (error) {
-        console.error('[SW] Failed to activate:', error);
-      }
-    })()
-  );
-});
-
-// フェッチ時の処理（Cache First戦略）
-self.addEventListener('fetch', (event) => {
-  // HTMLファイルの場合は特別処理
-  if (event.request.mode === 'navigate') {
-    event.respondWith(handleNavigationRequest(event.request));
-    return;
-  }
-  
-  // 静的リソースはCache First
-  event.respondWith(handleStaticRequest(event.request));
-});
-
-/**
- * ナビゲーションリクエスト処理
- */
-async function handleNavigationRequest(request) {
-  try {
-    // ネットワークから最新を取得を試行
-    const networkResponse = await fetch(request);
-    if (networkResponse && networkResponse.status === 200) {
-      return networkResponse;
-    }
-  } catch (error) {
-    console.log('[SW] Network failed for navigation:', error.message);
-  }
-  
-  // ネットワーク失敗時はキャッシュから
-  const cache = await caches.open(CACHE_NAME);
-  
-  // 要求されたURLに対応するHTMLファイルを検索
-  const url = new URL(request.url);
-  let cachedResponse;
-  
-  // 正確なパスマッチを試行
-  cachedResponse = await cache.match(request);
-  if (cachedResponse) {
-    return cachedResponse;
-  }
-  
-  // パス正規化してマッチを試行
-  const pathname = url.pathname === '/' ? '/index.html' : url.pathname;
-  cachedResponse = await cache.match(pathname);
-  if (cachedResponse) {
-    return cachedResponse;
-  }
-  
-  // フォールバック: index.htmlを返す
-  cachedResponse = await cache.match('/index.html');
-  if (cachedResponse) {
-    return cachedResponse;
-  }
-  
-  // 全て失敗した場合はエラーページ
-  return new Response(
-    createOfflineHTML(),
-    {
-      status: 200,
-      headers: { 'Content-Type': 'text/html; charset=utf-8' }
-    }
-  );
-}
-
-/**
- * 静的リソースリクエスト処理（Cache First）
- */
-async function handleStaticRequest(request) {
-  try {
-    // まずキャッシュから確認
-    const cache = await caches.open(CACHE_NAME);
-    const cachedResponse = await cache.match(request);
-    
-    if (cachedResponse) {
-      console.log('[SW] Serving from cache:', request.url);
-      return cachedResponse;
-    }
-    
-    // キャッシュにない場合はネットワークから取得
-    console.log('[SW] Fetching from network:', request.url);
-    const networkResponse = await fetch(request);
-    
-    // レスポンスが有効で、GETリクエストの場合はキャッシュに保存
-    if (networkResponse && 
-        networkResponse.status === 200 && 
-        request.method === 'GET') {
-      
-      const responseToCache = networkResponse.clone();
-      await cache.put(request, responseToCache);
-      console.log('[SW] Cached new resource:', request.url);
-    }
-    
-    return networkResponse;
-    
-  } catch (error) {
-    console.error('[SW] Failed to handle request:', request.url, error);
-    
-    // 画像の場合は代替画像を返す
-    if (request.url.includes('/images/')) {
-      return createPlaceholderImage();
-    }
-    
-    // その他は基本エラーレスポンス
-    return new Response('Resource not available offline', {
-      status: 503,
-      statusText: 'Service Unavailable'
-    });
-  }
-}
-
-/**
- * オフライン用HTMLページ生成
- */
-function createOfflineHTML() {
-  return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>オフライン - FastestLOLCounterFinder</title>
-</head>
-<body>
-    <table width="100%" cellpadding="20" cellspacing="0" border="0">
-        <tr>
-            <td align="center">
-                <h1>オフラインモード</h1>
-                <p>インターネット接続が利用できません。</p>
-                <p>キャッシュされたページは引き続き利用可能です。</p>
-                <p><a href="/">ホームページに戻る</a></p>
-            </td>
-        </tr>
-    </table>
-</body>
-</html>`;
-}
-
-/**
- * プレースホルダー画像生成
- */
-function createPlaceholderImage() {
-  // 1x1の透明PNG
-  const transparentPNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
-  
-  return new Response(
-    Uint8Array.from(atob(transparentPNG), c => c.charCodeAt(0)),
-    {
-      status: 200,
-      headers: {
-        'Content-Type': 'image/png',
-        'Cache-Control': 'public, max-age=3600'
-      }
-    }
-  );
-}
-
-// メッセージ処理
-self.addEventListener('message', (event) => {
-  if (event.data && event.data.type === 'SKIP_WAITING') {
-    self.skipWaiting();
-  }
-});
-
-console.log('[SW] Service Worker script loaded. Version:', CACHE_VERSION);
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * APIリクエストのリトライポリシーのテスト（FixtureFetchの障害注入で再現）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { Response } from 'node-fetch';
+import { ApiClient, ApiRequestError } from '../src/api-client.js';
+import { FixtureFetch } from '../src/fixture-fetch.js';
+
+const FIXTURE_DIR = join(process.cwd(), 'tests', 'fixtures', 'riot');
+const MATCH_URL = 'https://asia.api.riotgames.com/lol/match/v5/matches/JP1_5100000000';
+
+/**
+ * 待機時間を記録するだけのクライアントを生成
+ */
+function createClient(fetchImpl, retry = {}) {
+  const client = new ApiClient({
+    targetRegion: 'jp1',
+    accountRegion: 'asia',
+    fetch: fetchImpl,
+    retry: { maxAttempts: 4, baseDelayMs: 100, maxDelayMs: 1000, ...retry }
+  });
+  client.delays = [];
+  client.sleep = async ms => { client.delays.push(ms); };
+  return client;
+}
+
+describe('ApiClient retry policy', () => {
+  test('retries 5xx responses with exponential backoff', async () => {
+    const fixtureFetch = new FixtureFetch({ fixtureDir: FIXTURE_DIR, faults: [{ match: 'JP1_5100000000', status: 503, times: 2 }] });
+    const client = createClient(fixtureFetch.fetch);
+
+    const match = await client.makeRequest(MATCH_URL);
+
+    assert.equal(match.metadata.matchId, 'JP1_5100000000');
+    assert.deepEqual(fixtureFetch.requests.map(request => request.status), [503, 503, 200]);
+    // ジッターは 50〜100% の範囲
+    assert.ok(client.delays[0] >= 50 && client.delays[0] <= 100);
+    assert.ok(client.delays[1] >= 100 && client.delays[1] <= 200);
+    assert.deepEqual(client.errors.map(error => error.category), ['server', 'server']);
+  });
+
+  for (const status of [401, 403, 404]) {
+    test(`fails fast on HTTP ${status}`, async () => {
+      const fixtureFetch = new FixtureFetch({ fixtureDir: FIXTURE_DIR, faults: [{ match: 'JP1_5100000000', status }] });
+      const client = createClient(fixtureFetch.fetch);
+
+      await assert.rejects(client.makeRequest(MATCH_URL), error =>
+        error instanceof ApiRequestError && error.status === status && !error.retryable);
+      assert.equal(fixtureFetch.requests.length, 1);
+      assert.deepEqual(client.delays, []);
+    });
+  }
+
+  test('gives up after maxAttempts', async () => {
+    const fixtureFetch = new FixtureFetch({ fixtureDir: FIXTURE_DIR, faults: [{ match: 'JP1_5100000000', status: 500, times: 10 }] });
+    const client = createClient(fixtureFetch.fetch, { maxAttempts: 3 });
+
+    await assert.rejects(client.makeRequest(MATCH_URL), { category: 'server', status: 500 });
+    assert.equal(fixtureFetch.requests.length, 3);
+    assert.equal(client.delays.length, 2);
+  });
+
+  test('retries transport failures as network errors', async () => {
+    const fixtureFetch = new FixtureFetch({ fixtureDir: FIXTURE_DIR });
+    let failures = 1;
+    const client = createClient(async (url, options) => {
+      if (failures-- > 0) throw new Error('socket hang up');
+      return fixtureFetch.fetch(url, options);
+    });
+
+    const match = await client.makeRequest(MATCH_URL);
+
+    assert.equal(match.metadata.matchId, 'JP1_5100000000');
+    assert.deepEqual(client.errors.map(error => error.category), ['network']);
+  });
+
+  test('does not retry an unparseable 200 response', async () => {
+    let calls = 0;
+    const client = createClient(async () => {
+      calls++;
+      return new Response('<html>maintenance</html>', { status: 200 });
+    });
+
+    await assert.rejects(client.makeRequest(MATCH_URL), SyntaxError);
+    assert.equal(calls, 1);
+    assert.deepEqual(client.delays, []);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * 構造化キャッシュのテスト（試合シャードの参照・旧ファイルの削除・チェックサム検証）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { CacheStore } from '../src/cache-store.js';
+import { MatchStore } from '../src/match-store.js';
+
+function createMatch(matchId, gameCreation) {
+  return {
+    metadata: { matchId },
+    info: { gameCreation, queueId: 420, participants: [{ puuid: 'p1', championId: 266, teamId: 100, win: true }] }
+  };
+}
+
+describe('CacheStore', () => {
+  let workDir;
+  let config;
+  const gameData = {
+    metadata: { version: '15.13.1', currentPatch: '15.13' },
+    champions: { Aatrox: { id: 'Aatrox', key: '266' } },
+    championStats: { Aatrox: { id: 'Aatrox' } },
+    rawMatchups: [],
+    highEloPlayers: [{ puuid: 'p1' }],
+    matchData: [createMatch('JP1_1', Date.UTC(2025, 6, 1)), createMatch('JP1_2', Date.UTC(2025, 6, 2))]
+  };
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-cache-'));
+    // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+    config = { cacheDir: relative(process.cwd(), workDir), matchWindowDays: 36500 };
+
+    const matchStore = new MatchStore(config);
+    await matchStore.load();
+    await matchStore.addMatches(gameData.matchData);
+
+    // schema version 1 のレイアウト（試合の複製・旧形式 cache.json）
+    await fs.outputFile(join(workDir, 'raw', 'matches.jsonl'), '{}\n');
+    await fs.outputJson(join(workDir, 'cache.json'), {});
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('ignores an implicit legacy cache.json unless requested', () => {
+    assert.equal(new CacheStore(config).exists(), true);
+    assert.equal(new CacheStore(config).exists({ includeLegacy: false }), false);
+    // 明示指定した旧形式ファイルは常に対象
+    assert.equal(new CacheStore({ ...config, cachePath: join(workDir, 'cache.json') }).exists({ includeLegacy: false }), true);
+  });
+
+  test('references match store shards instead of duplicating raw matches', async () => {
+    const manifest = await new CacheStore(config).save(gameData);
+
+    assert.deepEqual(manifest.files.matches.shards.map(shard => shard.path), ['matches/2025-07-01.jsonl', 'matches/2025-07-02.jsonl']);
+    assert.equal(await fs.pathExists(join(workDir, 'raw', 'matches.jsonl')), false);
+    assert.equal(await fs.pathExists(join(workDir, 'cache.json')), false);
+    assert.ok(await fs.pathExists(join(workDir, 'raw', 'players.json')));
+  });
+
+  test('loads raw matches from the referenced shards', async () => {
+    const loaded = await new CacheStore(config).load({ includeRaw: true });
+
+    assert.deepEqual(loaded.matchData.map(match => match.metadata.matchId), ['JP1_1', 'JP1_2']);
+    assert.deepEqual(loaded.highEloPlayers, [{ puuid: 'p1' }]);
+    assert.deepEqual((await new CacheStore(config).load({ includeRaw: false })).matchData, []);
+  });
+
+  test('does not reference match shards for synthetic builds', async () => {
+    const syntheticDir = join(workDir, 'synthetic');
+    await fs.copy(join(workDir, 'matches'), join(syntheticDir, 'matches'));
+    const syntheticConfig = { ...config, cacheDir: relative(process.cwd(), syntheticDir) };
+    const synthetic = { ...gameData, metadata: { ...gameData.metadata, synthetic: { seed: 1337, matches: 2 } } };
+
+    const manifest = await new CacheStore(syntheticConfig).save(synthetic);
+    assert.equal(manifest.schemaVersion, 2);
+    assert.equal(manifest.files.matches, undefined);
+    assert.deepEqual((await new CacheStore(syntheticConfig).load({ includeRaw: true })).matchData, []);
+  });
+
+  test('detects a modified shard', async () => {
+    await fs.appendFile(join(workDir, 'matches', '2025-07-02.jsonl'), JSON.stringify(createMatch('JP1_3', Date.UTC(2025, 6, 2))) + '\n');
+
+    await assert.rejects(new CacheStore(config).load({ includeRaw: true }), /Checksum mismatch for cache file matches\/2025-07-02\.jsonl/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * チャンピオンID正規化のテスト（数値key ↔ id ↔ 表示名）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChampionRegistry } from '../src/champion-registry.js';
+import { ApiClient } from '../src/api-client.js';
+import { HtmlGenerator } from '../src/html-generator.js';
+
+const CHAMPIONS = {
+  Aatrox: { id: 'Aatrox', key: '266', name: 'エイトロックス', tags: ['Fighter', 'Tank'] },
+  MonkeyKing: { id: 'MonkeyKing', key: '62', name: 'ウーコン', tags: ['Fighter', 'Tank'] },
+  Darius: { id: 'Darius', key: '122', name: 'ダリウス', tags: ['Fighter', 'Tank'] }
+};
+
+function participant(championId, championName, teamId, teamPosition, win) {
+  return { championId, championName, teamId, teamPosition, win };
+}
+
+describe('ChampionRegistry', () => {
+  const registry = new ChampionRegistry(CHAMPIONS);
+
+  test('resolves numeric keys, ids and localized names to the same champion', () => {
+    for (const ref of [62, '62', 'MonkeyKing', 'monkeyking', 'ウーコン']) {
+      assert.equal(registry.getId(ref), 'MonkeyKing', `ref ${ref}`);
+    }
+    assert.equal(registry.getKey('Aatrox'), '266');
+    assert.equal(registry.getName(266), 'エイトロックス');
+  });
+
+  test('returns null for unknown references', () => {
+    assert.equal(registry.resolve(9999), null);
+    assert.equal(registry.resolve('Unknown'), null);
+    assert.equal(registry.resolve(undefined), null);
+    assert.equal(registry.getPageFile(''), null);
+  });
+
+  test('builds page file names from the Data Dragon id', () => {
+    assert.equal(registry.getPageFile(62), 'monkeyking.html');
+    assert.equal(registry.getPageFile('Darius'), 'darius.html');
+  });
+
+  test('lists champions in numeric key order', () => {
+    assert.deepEqual(registry.list().map(champion => champion.id), ['MonkeyKing', 'Darius', 'Aatrox']);
+    assert.equal(registry.size, 3);
+  });
+});
+
+describe('champion id normalisation in the pipeline', () => {
+  const match = {
+    metadata: { matchId: 'JP1_1' },
+    info: {
+      participants: [
+        participant(266, 'Aatrox', 100, 'TOP', true),
+        participant(62, 'MonkeyKing', 200, 'TOP', false)
+      ]
+    }
+  };
+
+  test('matchups carry Data Dragon ids and localized names', () => {
+    const [matchup] = new ApiClient({}).extractMatchupData([match], new ChampionRegistry(CHAMPIONS));
+
+    assert.equal(matchup.champion1.id, 'Aatrox');
+    assert.equal(matchup.champion1.name, 'エイトロックス');
+    assert.equal(matchup.champion2.id, 'MonkeyKing');
+  });
+
+  test('keeps unknown champions from match data as-is', () => {
+    const unknownMatch = {
+      metadata: { matchId: 'JP1_2' },
+      info: { participants: [participant(950, 'NewChampion', 100, 'TOP', true), participant(266, 'Aatrox', 200, 'TOP', false)] }
+    };
+    const [matchup] = new ApiClient({}).extractMatchupData([unknownMatch], new ChampionRegistry(CHAMPIONS));
+
+    assert.equal(matchup.champion1.id, 'NewChampion');
+    assert.equal(matchup.champion2.id, 'Aatrox');
+  });
+
+  test('listing rows and counter links resolve numeric keys', () => {
+    const generator = new HtmlGenerator({ outputDir: '.tmp/test-output' }, {});
+    generator.championRegistry = new ChampionRegistry(CHAMPIONS);
+
+    const championStats = {
+      Aatrox: {
+        id: 'Aatrox',
+        key: '266',
+        name: 'エイトロックス',
+        overallStats: { totalGames: 40, wins: 26, winRate: 0.65, isReliable: true },
+        counterRelationships: { strongCounters: [{ championId: 62, championName: 'ウーコン' }], counters: [], counteredBy: [] },
+        lanePerformance: {}
+      }
+    };
+    const [aatrox] = generator.sortChampions({ champions: CHAMPIONS, championStats }, champions =>
+      champions.filter(champion => champion.id === 'Aatrox'));
+
+    assert.equal(aatrox.overallStats.winRate, 0.65);
+    assert.match(String(generator.generateChampionListingRow(aatrox)), /<td>65\.0%<\/td>\n<td>ウーコン<\/td>/);
+    assert.equal(generator.getChampionPageFile(62), 'monkeyking.html');
+  });
+});
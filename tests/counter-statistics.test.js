@@ -0,0 +1,293 @@
+/**
+ * カウンター統計計算のテスト
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiClient } from '../src/api-client.js';
+import { CHAMPIONS, buildMatchups, buildMatches } from './helpers/synthetic.js';
+
+function createClient() {
+  return new ApiClient({ targetRegion: 'jp1', accountRegion: 'asia' });
+}
+
+/**
+ * 実力差なし（期待勝率50%）の状態で対面統計を処理
+ */
+function processWithoutStrengths(stats) {
+  const client = createClient();
+  client.fitStrengthModel = () => ({});
+
+  const championStats = Object.fromEntries(['A', 'B'].map(id => [id, {
+    id,
+    name: id,
+    overallStats: { totalGames: 0, wins: 0, winRate: 0.5, isReliable: false },
+    counterRelationships: { strongCounters: [], counters: [], counteredBy: [], matchups: [] },
+    lanePerformance: {}
+  }]));
+
+  const matchupStats = new Map(stats.map(({ wins, total }, index) =>
+    [`A_vs_B_TOP_${index}`, { championId: 'A', vsChampionId: 'B', lane: 'TOP', wins, total }]
+  ));
+
+  client.processCounterRelationships(matchupStats, championStats);
+  return championStats.A.counterRelationships;
+}
+
+describe('calculateCounterRelationships', () => {
+  // A > B > C > A のじゃんけん構造（全体の実力はほぼ互角）
+  const matchups = [
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 40, wins: 32 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Garen', games: 40, wins: 16 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Darius', champion2: 'Garen', games: 40, wins: 24 }),
+    ...buildMatchups({ lane: 'MIDDLE', champion1: 'Ahri', champion2: 'Zed', games: 10, wins: 5 }),
+    ...buildMatchups({ lane: 'MIDDLE', champion1: 'Aatrox', champion2: 'Zed', games: 20, wins: 10 })
+  ];
+
+  test('aggregates overall stats per champion', () => {
+    const stats = createClient().calculateCounterRelationships(matchups, CHAMPIONS);
+
+    assert.equal(stats.Aatrox.overallStats.totalGames, 100);
+    assert.equal(stats.Aatrox.overallStats.wins, 58);
+    assert.equal(stats.Aatrox.overallStats.winRate, 0.58);
+    assert.equal(stats.Aatrox.overallStats.isReliable, true);
+    assert.equal(stats.Ahri.overallStats.totalGames, 10);
+    assert.equal(stats.Ahri.overallStats.isReliable, false);
+  });
+
+  test('computes lane win rate and play rate', () => {
+    const stats = createClient().calculateCounterRelationships(matchups, CHAMPIONS);
+    const { TOP, MIDDLE } = stats.Aatrox.lanePerformance;
+
+    // 採用率の分母は分析した全試合数（150試合）
+    assert.deepEqual(TOP, { games: 80, wins: 48, winRate: 0.6, playRate: 80 / 150 });
+    assert.deepEqual(MIDDLE, { games: 20, wins: 10, winRate: 0.5, playRate: 20 / 150 });
+  });
+
+  test('records favorable matchups and their mirror in counteredBy', () => {
+    const stats = createClient().calculateCounterRelationships(matchups, CHAMPIONS);
+
+    const favorable = [...stats.Aatrox.counterRelationships.strongCounters, ...stats.Aatrox.counterRelationships.counters];
+    const vsDarius = favorable.find(counter => counter.championId === 'Darius');
+    assert.ok(vsDarius, 'Darius should be a favorable matchup for Aatrox');
+    assert.equal(vsDarius.lane, 'TOP');
+    assert.equal(vsDarius.sampleSize, 40);
+    assert.equal(vsDarius.rawWinRate, 0.8);
+    assert.ok(vsDarius.adjustedWinRate > 0.56);
+
+    const threat = stats.Darius.counterRelationships.counteredBy.find(counter => counter.championId === 'Aatrox');
+    assert.ok(threat, 'Aatrox should counter Darius');
+    assert.ok(threat.enemyWinRate > 0.5);
+    assert.equal(threat.enemyWinRate, 1 - threat.matchupWinRate);
+  });
+
+  test('ignores champions missing from Data Dragon data', () => {
+    const unknown = buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Unknown', games: 10, wins: 10 });
+    const stats = createClient().calculateCounterRelationships(unknown, CHAMPIONS);
+
+    assert.equal(stats.Unknown, undefined);
+    assert.equal(stats.Aatrox.overallStats.totalGames, 10);
+  });
+
+  test('handles champion ids containing separators', () => {
+    const champions = {
+      KogMaw: { id: 'Kog_Maw', key: '96', name: 'コグ＝マウ' },
+      Odd: { id: 'Nunu_vs_Willump', key: '20', name: 'ヌヌ＆ウィルンプ' },
+      Garen: CHAMPIONS.Garen
+    };
+    const oddMatchups = [
+      ...buildMatchups({ lane: 'BOTTOM', champion1: 'Kog_Maw', champion2: 'Nunu_vs_Willump', games: 40, wins: 32 }),
+      ...buildMatchups({ lane: 'BOTTOM', champion1: 'Kog_Maw', champion2: 'Garen', games: 40, wins: 16 }),
+      ...buildMatchups({ lane: 'BOTTOM', champion1: 'Nunu_vs_Willump', champion2: 'Garen', games: 40, wins: 24 })
+    ];
+
+    const stats = createClient().calculateCounterRelationships(oddMatchups, champions);
+    const counters = stats.Kog_Maw.counterRelationships.counters;
+
+    assert.equal(counters.length, 1);
+    assert.equal(counters[0].championId, 'Nunu_vs_Willump');
+    assert.equal(counters[0].championName, 'ヌヌ＆ウィルンプ');
+    assert.equal(counters[0].lane, 'BOTTOM');
+  });
+});
+
+describe('processCounterRelationships thresholds', () => {
+  test('skips matchups below the minimum sample size', () => {
+    assert.equal(processWithoutStrengths([{ wins: 4, total: 4 }]).counters.length, 0);
+    assert.equal(processWithoutStrengths([{ wins: 5, total: 5 }]).counters.length, 1);
+  });
+
+  test('classifies by adjusted win rate', () => {
+    // 事前分布（20試合分の50%）で縮小: (wins + 10) / (total + 20)
+    const relationships = processWithoutStrengths([
+      { wins: 30, total: 40 }, // 66.7% → strong
+      { wins: 28, total: 40 }, // 63.3% → counter
+      { wins: 24, total: 40 }, // 56.7% → counter
+      { wins: 23, total: 40 }, // 55.0% → 中立
+      { wins: 17, total: 40 }, // 45.0% → 中立
+      { wins: 16, total: 40 } // 43.3% → countered
+    ]);
+
+    assert.deepEqual(relationships.strongCounters.map(counter => counter.sampleSize), [40]);
+    assert.equal(relationships.counters.length, 2);
+    assert.equal(relationships.counteredBy.length, 1);
+    assert.ok(Math.abs(relationships.counteredBy[0].enemyWinRate - (1 - 26 / 60)) < 1e-9);
+    // 中立の対面も含め全対面を記録
+    assert.deepEqual(relationships.matchups.map(matchup => Math.round(matchup.adjustedWinRate * 60)), [40, 38, 34, 33, 27, 26]);
+  });
+
+  test('ranks counters by the lower bound of the adjusted interval', () => {
+    const relationships = processWithoutStrengths([
+      { wins: 10, total: 10 }, // 20 / 30 = 66.7%
+      { wins: 75, total: 110 } // 85 / 130 = 65.4%
+    ]);
+
+    // 補正勝率は少数サンプル側が高いが、区間下限は大量サンプル側が上
+    assert.deepEqual(relationships.strongCounters.map(counter => counter.sampleSize), [110, 10]);
+  });
+});
+
+describe('calculateJungleMatchups', () => {
+  test('skips small samples and shrinks win rates toward 50%', () => {
+    const championStats = { Zed: { name: 'ゼド' }, Darius: { name: 'ダリウス' }, Garen: { name: 'ガレン' } };
+    createClient().calculateJungleMatchups([
+      ...buildMatchups({ lane: 'JUNGLE', champion1: 'Zed', champion2: 'Darius', games: 1, wins: 1 }),
+      ...buildMatchups({ lane: 'JUNGLE', champion1: 'Zed', champion2: 'Garen', games: 10, wins: 10 })
+    ], championStats);
+
+    assert.deepEqual(championStats.Zed.jungleMatchups.map(matchup => matchup.championId), ['Garen']);
+    assert.equal(championStats.Darius.jungleMatchups.length, 0);
+    // 事前分布（20試合分の50%）で縮小: (10 + 10) / (10 + 20)
+    const [matchup] = championStats.Zed.jungleMatchups;
+    assert.ok(Math.abs(matchup.winRate - 20 / 30) < 1e-9);
+    assert.equal(matchup.rawWinRate, 1);
+    assert.ok(Math.abs(championStats.Garen.jungleMatchups[0].winRate - 10 / 30) < 1e-9);
+  });
+});
+
+describe('duo relationships', () => {
+  const matchData = [
+    ...buildMatches({ team: [['Ahri', 'BOTTOM'], ['Zed', 'UTILITY'], ['Aatrox', 'TOP']], enemyTeam: [['Darius', 'BOTTOM'], ['Garen', 'UTILITY']], games: 5, wins: 4 }),
+    // 最小試合数未満の組み合わせ
+    ...buildMatches({ team: [['Aatrox', 'BOTTOM'], ['Zed', 'UTILITY']], enemyTeam: [['Darius', 'BOTTOM'], ['Garen', 'UTILITY']], games: 4, wins: 4 }),
+    // ADCが2人いるチームはペアを組めないため対象外
+    ...buildMatches({ team: [['Ahri', 'BOTTOM'], ['Zed', 'BOTTOM']], enemyTeam: [['Darius', 'BOTTOM'], ['Garen', 'UTILITY']], games: 3, wins: 0 })
+  ];
+
+  test('pairs the BOTTOM and UTILITY players of each team', () => {
+    const duoMatchups = createClient().extractDuoMatchups(matchData);
+
+    assert.equal(duoMatchups.length, 9);
+    assert.deepEqual(duoMatchups[0].team1, { carry: { id: 'Ahri', name: 'Ahri' }, support: { id: 'Zed', name: 'Zed' }, win: true, teamId: 100 });
+    assert.deepEqual(duoMatchups[0].team2, { carry: { id: 'Darius', name: 'Darius' }, support: { id: 'Garen', name: 'Garen' }, win: false, teamId: 200 });
+    assert.equal(duoMatchups[0].lane, 'BOTTOM_DUO');
+  });
+
+  test('keeps partners and enemy duos with at least the minimum sample size', () => {
+    const client = createClient();
+    const championStats = Object.fromEntries(Object.values(CHAMPIONS).map(champion => [champion.id, { name: champion.name }]));
+    client.calculateDuoRelationships(client.extractDuoMatchups(matchData), championStats);
+
+    const partnerIds = championId => championStats[championId].duoRelationships.partners.map(partner => partner.championId);
+    assert.deepEqual(partnerIds('Ahri'), ['Zed']);
+    assert.deepEqual(partnerIds('Zed'), ['Ahri']);
+    assert.deepEqual(partnerIds('Aatrox'), []);
+    assert.deepEqual(championStats.Garen.duoRelationships.partners.map(partner => [partner.championId, partner.sampleSize]), [['Darius', 9]]);
+
+    const [favorable] = championStats.Ahri.duoRelationships.favorableDuos;
+    assert.deepEqual([favorable.carry.championId, favorable.support.championId, favorable.sampleSize], ['Darius', 'Garen', 5]);
+    // 4試合のエイトロックス+ゼドは除外
+    assert.deepEqual(championStats.Darius.duoRelationships.unfavorableDuos.map(duo => duo.carry.championId), ['Ahri']);
+    assert.equal(championStats.Darius.duoRelationships.favorableDuos.length, 0);
+  });
+});
+
+describe('calculateSynergyRelationships', () => {
+  test('splits allies into best and worst partners above the synergy sample size', () => {
+    const client = createClient();
+    // 全員の全体勝率が50%（期待勝率50%）
+    const championStats = client.calculateCounterRelationships([
+      ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 20, wins: 10 }),
+      ...buildMatchups({ lane: 'MIDDLE', champion1: 'Ahri', champion2: 'Zed', games: 20, wins: 10 }),
+      ...buildMatchups({ lane: 'JUNGLE', champion1: 'Garen', champion2: 'Darius', games: 20, wins: 10 })
+    ], CHAMPIONS);
+
+    client.calculateSynergyRelationships([
+      ...buildMatches({ team: [['Aatrox', 'TOP'], ['Ahri', 'MIDDLE']], enemyTeam: [['Darius', 'TOP']], games: 10, wins: 8 }),
+      ...buildMatches({ team: [['Aatrox', 'TOP'], ['Zed', 'MIDDLE']], enemyTeam: [['Darius', 'TOP']], games: 12, wins: 3 }),
+      // 最小試合数（10）未満
+      ...buildMatches({ team: [['Aatrox', 'TOP'], ['Garen', 'JUNGLE']], enemyTeam: [['Darius', 'TOP']], games: 9, wins: 9 })
+    ], championStats);
+
+    const { bestPartners, worstPartners } = championStats.Aatrox.synergyRelationships;
+    assert.deepEqual(bestPartners.map(partner => [partner.championId, partner.sampleSize]), [['Ahri', 10]]);
+    assert.deepEqual(worstPartners.map(partner => [partner.championId, partner.sampleSize]), [['Zed', 12]]);
+    assert.ok(Math.abs(bestPartners[0].expectedWinRate - 0.5) < 1e-9);
+    assert.ok(bestPartners[0].synergy > 0 && worstPartners[0].synergy < 0);
+    assert.deepEqual(championStats.Garen.synergyRelationships, { bestPartners: [], worstPartners: [] });
+  });
+});
+
+describe('classifyCounterStrength', () => {
+  const client = createClient();
+  const narrow = winRate => ({ lower: winRate - 0.01, upper: winRate + 0.01 });
+
+  test('returns INSUFFICIENT_DATA when the interval includes 50%', () => {
+    assert.equal(client.classifyCounterStrength(0.7, { lower: 0.45, upper: 0.9 }), 'INSUFFICIENT_DATA');
+    assert.equal(client.classifyCounterStrength(0.6, { lower: 0.5, upper: 0.7 }), 'INSUFFICIENT_DATA');
+    assert.equal(client.classifyCounterStrength(0.4, { lower: 0.3, upper: 0.5 }), 'INSUFFICIENT_DATA');
+  });
+
+  test('tiers by distance from 50% in both directions', () => {
+    assert.equal(client.classifyCounterStrength(0.66, narrow(0.66)), 'HARD_COUNTER');
+    assert.equal(client.classifyCounterStrength(0.61, narrow(0.61)), 'STRONG_COUNTER');
+    assert.equal(client.classifyCounterStrength(0.57, narrow(0.57)), 'SOFT_COUNTER');
+    assert.equal(client.classifyCounterStrength(0.53, narrow(0.53)), 'NEUTRAL');
+    assert.equal(client.classifyCounterStrength(0.34, narrow(0.34)), 'HARD_COUNTER');
+    assert.equal(client.classifyCounterStrength(0.43, narrow(0.43)), 'SOFT_COUNTER');
+  });
+});
+
+describe('determineLane', () => {
+  const client = createClient();
+
+  test('uses teamPosition when valid', () => {
+    assert.equal(client.determineLane({ teamPosition: 'UTILITY', role: 'SOLO' }), 'UTILITY');
+    assert.equal(client.determineLane({ teamPosition: 'JUNGLE', role: 'NONE' }), 'JUNGLE');
+  });
+
+  test('falls back to role when teamPosition is empty or invalid', () => {
+    assert.equal(client.determineLane({ teamPosition: '', role: 'SOLO' }), 'TOP');
+    assert.equal(client.determineLane({ teamPosition: 'Invalid', role: 'DUO_CARRY' }), 'BOTTOM');
+    assert.equal(client.determineLane({ role: 'DUO_SUPPORT' }), 'UTILITY');
+    assert.equal(client.determineLane({ role: 'NONE' }), 'JUNGLE');
+  });
+
+  test('returns null when neither field identifies a lane', () => {
+    assert.equal(client.determineLane({ teamPosition: '', role: 'CARRY' }), null);
+    assert.equal(client.determineLane({}), null);
+  });
+});
+
+describe('statistics helpers', () => {
+  const client = createClient();
+
+  test('posterior interval is the Beta credible interval', () => {
+    // 観測なし・事前分布 Beta(1, 1)（一様分布）
+    const uniform = client.calculatePosteriorWinRate(0, 0, 0.5, 2).interval;
+    assert.ok(Math.abs(uniform.lower - 0.025) < 1e-9 && Math.abs(uniform.upper - 0.975) < 1e-9);
+    assert.ok(Math.abs(client.regularizedIncompleteBeta(0.3, 2, 5) - 0.579825) < 1e-9);
+
+    // 10戦10勝 → Beta(20, 10): 区間の両端で累積確率が2.5% / 97.5%
+    const { winRate, interval } = client.calculatePosteriorWinRate(10, 10, 0.5);
+    assert.equal(winRate, 20 / 30);
+    assert.ok(Math.abs(client.regularizedIncompleteBeta(interval.lower, 20, 10) - 0.025) < 1e-9);
+    assert.ok(Math.abs(client.regularizedIncompleteBeta(interval.upper, 20, 10) - 0.975) < 1e-9);
+  });
+
+  test('normalCDF matches known values', () => {
+    assert.ok(Math.abs(client.normalCDF(0) - 0.5) < 1e-7);
+    assert.ok(Math.abs(client.normalCDF(1.96) - 0.975) < 1e-4);
+    assert.ok(Math.abs(client.normalCDF(-1.96) - 0.025) < 1e-4);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * 公開データセットのテスト（ページと同じ補正勝率・旧版の削除）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { ApiClient } from '../src/api-client.js';
+import { DatasetExporter } from '../src/dataset-exporter.js';
+import { CHAMPIONS, buildMatchups } from './helpers/synthetic.js';
+
+describe('DatasetExporter', () => {
+  let workDir;
+  let exporter;
+  const rawMatchups = [
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 40, wins: 32 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Garen', games: 40, wins: 16 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Darius', champion2: 'Garen', games: 40, wins: 24 }),
+    // 最小試合数未満
+    ...buildMatchups({ lane: 'MIDDLE', champion1: 'Ahri', champion2: 'Zed', games: 3, wins: 2 })
+  ];
+  const championStats = new ApiClient({}).calculateCounterRelationships(rawMatchups, CHAMPIONS);
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-dataset-'));
+    // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+    exporter = new DatasetExporter({ outputDir: relative(process.cwd(), workDir) });
+    await fs.outputJson(join(workDir, 'api', 'v1', 'index.json'), {});
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('exports the adjusted win rate shown on the pages as delta', async () => {
+    const index = await exporter.exportDataset({ metadata: {}, champions: CHAMPIONS, championStats, rawMatchups });
+    const ids = index.champions.map(champion => champion[0]);
+    const readLane = lane => fs.readJson(join(exporter.outputDir, 'lanes', `${lane}.json`));
+    const findDelta = (matrix, championId, enemyId) => {
+      const row = matrix.champion.findIndex((champion, i) =>
+        ids[champion] === championId && ids[matrix.enemy[i]] === enemyId);
+      return matrix.delta[row];
+    };
+    const adjusted = (championId, enemyId) => championStats[championId].counterRelationships.matchups
+      .find(matchup => matchup.championId === enemyId).adjustedWinRate;
+
+    const top = await readLane('top');
+    // index は数値key順（Garen 86 < Darius 122 < Aatrox 266）
+    assert.equal(findDelta(top, 'Darius', 'Aatrox'), Math.round((adjusted('Darius', 'Aatrox') - 0.5) * 1000));
+    assert.equal(findDelta(top, 'Darius', 'Aatrox'), -Math.round((adjusted('Aatrox', 'Darius') - 0.5) * 1000));
+    assert.equal(findDelta(top, 'Garen', 'Aatrox'), Math.round((adjusted('Garen', 'Aatrox') - 0.5) * 1000));
+
+    const middle = await readLane('middle');
+    assert.equal(findDelta(middle, 'Ahri', 'Zed'), null);
+    assert.deepEqual(middle.games, [3]);
+  });
+
+  test('removes outdated dataset versions', async () => {
+    assert.equal(await fs.pathExists(join(workDir, 'api', 'v1')), false);
+    assert.ok(await fs.pathExists(join(exporter.outputDir, 'index.json')));
+  });
+});
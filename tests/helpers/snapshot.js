@@ -0,0 +1,28 @@
+/**
+ * スナップショット比較ヘルパー
+ * UPDATE_SNAPSHOTS=1 の場合は保存のみ、それ以外は保存済み内容との完全一致を検証
+ * （スナップショットが無い場合も失敗させ、CIで未コミットのスナップショットを見逃さない）
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const SNAPSHOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+export async function assertSnapshot(name, actual) {
+  const snapshotFile = join(SNAPSHOT_DIR, `${name}.snap.html`);
+
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    await fs.outputFile(snapshotFile, actual, 'utf8');
+    return;
+  }
+
+  if (!await fs.pathExists(snapshotFile)) {
+    assert.fail(`Snapshot missing: ${name} (run with UPDATE_SNAPSHOTS=1 to create)`);
+  }
+
+  const expected = await fs.readFile(snapshotFile, 'utf8');
+  assert.equal(actual, expected, `Snapshot mismatch: ${name} (run with UPDATE_SNAPSHOTS=1 to update)`);
+}
@@ -0,0 +1,45 @@
+/**
+ * テスト用の合成データ
+ */
+
+// Data Dragon形式の最小チャンピオンデータ
+export const CHAMPIONS = {
+  Aatrox: { id: 'Aatrox', key: '266', name: 'エイトロックス', tags: ['Fighter', 'Tank'] },
+  Darius: { id: 'Darius', key: '122', name: 'ダリウス', tags: ['Fighter', 'Tank'] },
+  Garen: { id: 'Garen', key: '86', name: 'ガレン', tags: ['Fighter', 'Tank'] },
+  Ahri: { id: 'Ahri', key: '103', name: 'アーリ', tags: ['Mage', 'Assassin'] },
+  Zed: { id: 'Zed', key: '238', name: 'ゼド', tags: ['Assassin'] }
+};
+
+/**
+ * 対面データ生成（champion1 が wins 勝 / games - wins 敗）
+ */
+export function buildMatchups({ lane, champion1, champion2, games, wins, region = 'jp1', patch = '15.13' }) {
+  return Array.from({ length: games }, (_, index) => ({
+    matchId: `JP1_${lane}_${champion1}_${champion2}_${index}`,
+    region,
+    patch,
+    lane,
+    champion1: { id: champion1, name: champion1, win: index < wins, teamId: 100 },
+    champion2: { id: champion2, name: champion2, win: index >= wins, teamId: 200 }
+  }));
+}
+
+/**
+ * 試合データ生成（team が wins 勝 / games - wins 敗、各メンバーは [チャンピオン, teamPosition]）
+ */
+export function buildMatches({ team, enemyTeam, games, wins, patch = '15.13' }) {
+  const label = [...team, ...enemyTeam].map(([champion]) => champion).join('_');
+  const toParticipants = (members, teamId, win) => members.map(([champion, teamPosition]) => ({
+    championId: Number(CHAMPIONS[champion]?.key), championName: champion, teamId, teamPosition, win
+  }));
+
+  return Array.from({ length: games }, (_, index) => ({
+    metadata: { matchId: `JP1_${label}_${index}` },
+    info: {
+      platformId: 'JP1',
+      gameVersion: `${patch}.1.1`,
+      participants: [...toParticipants(team, 100, index < wins), ...toParticipants(enemyTeam, 200, index >= wins)]
+    }
+  }));
+}
@@ -0,0 +1,247 @@
+/**
+ * HTMLテーブル生成のテスト（スナップショット + 構造検証）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { ApiClient } from '../src/api-client.js';
+import { HtmlGenerator } from '../src/html-generator.js';
+import { CHAMPIONS, buildMatchups } from './helpers/synthetic.js';
+import { assertSnapshot } from './helpers/snapshot.js';
+
+function createGenerator() {
+  return new HtmlGenerator({ outputDir: '.tmp/test-output' }, {});
+}
+
+function buildChampionStats() {
+  const matchups = [
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 40, wins: 32 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Garen', games: 40, wins: 16 }),
+    ...buildMatchups({ lane: 'TOP', champion1: 'Darius', champion2: 'Garen', games: 40, wins: 24 }),
+    ...buildMatchups({ lane: 'MIDDLE', champion1: 'Aatrox', champion2: 'Zed', games: 20, wins: 10 })
+  ];
+
+  return new ApiClient({}).calculateCounterRelationships(matchups, CHAMPIONS);
+}
+
+/**
+ * ドラフト補助スクリプトを最小限のDOMスタブ上で実行し、送信後の結果HTMLを返す
+ */
+async function runDraftScript(script, data, { role, enemies }) {
+  const selects = enemies.map(value => ({ value: String(value), appendChild() {} }));
+  const results = { innerHTML: '' };
+  let onSubmit = null;
+  const form = {
+    querySelectorAll: () => selects,
+    querySelector: () => ({ value: role }),
+    addEventListener: (type, listener) => { onSubmit = listener; }
+  };
+  const context = {
+    document: {
+      documentElement: { lang: 'ja' },
+      getElementById: id => (id === 'draft-form' ? form : results),
+      createElement: () => ({})
+    },
+    fetch: async () => ({ json: async () => data })
+  };
+  context.window = context;
+
+  vm.runInNewContext(script, context);
+  await new Promise(resolve => setImmediate(resolve));
+  onSubmit({ preventDefault() {} });
+  return results.innerHTML;
+}
+
+describe('HtmlGenerator table builders', () => {
+  const championStats = buildChampionStats();
+
+  test('counter table matches snapshot', async () => {
+    const html = String(createGenerator().generateFullCounterTable(championStats.Aatrox));
+
+    assert.match(html, /<a href="darius\.html">ダリウス<\/a>/);
+    assert.match(html, /<a href="garen\.html">ガレン<\/a>/);
+    await assertSnapshot('counter-table-aatrox', html);
+  });
+
+  test('counter table shows placeholders without data', () => {
+    const html = String(createGenerator().generateFullCounterTable(championStats.Ahri));
+
+    assert.equal(html.match(/データ収集中\.\.\./g).length, 2);
+    assert.equal((html.match(/<table/g) || []).length, (html.match(/<\/table>/g) || []).length);
+  });
+
+  test('lane performance table is sorted by games', async () => {
+    const html = String(createGenerator().generateLanePerformanceTable(championStats.Aatrox));
+
+    assert.ok(html.indexOf('トップ') < html.indexOf('ミッド'));
+    assert.match(html, /<td>57\.1%<\/td>/); // 80 / 140試合
+    await assertSnapshot('lane-performance-aatrox', html);
+  });
+
+  test('lane performance table falls back when empty', () => {
+    const html = String(createGenerator().generateLanePerformanceTable({ lanePerformance: {} }));
+    assert.match(html, /レーン別データ収集中/);
+  });
+
+  test('overall stats table matches snapshot', async () => {
+    await assertSnapshot('overall-stats-aatrox', String(createGenerator().generateOverallStatsTable(championStats.Aatrox)));
+  });
+
+  test('listing table renders one row per champion', async () => {
+    const generator = createGenerator();
+    const champions = ['Aatrox', 'Darius', 'Garen'].map(id => championStats[id]);
+    const html = String(generator.generateChampionListingTable(champions));
+
+    assert.equal((html.match(/<tr>/g) || []).length, 3);
+    assert.match(html, /<a href="aatrox\.html">詳細<\/a>/);
+    assert.match(String(generator.generateChampionListingTable([])), /該当チャンピオンなし/);
+    await assertSnapshot('listing-table', html);
+  });
+
+  test('confidence interval and win rate formatting', () => {
+    const generator = createGenerator();
+
+    assert.equal(generator.formatWinRate(0.6234), '62.3%');
+    assert.equal(generator.formatWinRate(0.6234, true), '37.7%');
+    assert.equal(generator.formatConfidenceInterval({ lower: 0.4, upper: 0.55 }), '40.0〜55.0%');
+    assert.equal(generator.formatConfidenceInterval({ lower: 0.4, upper: 0.55 }, true), '45.0〜60.0%');
+  });
+
+  test('champion images use local paths, fixed sizes and a fallback', () => {
+    const generator = new HtmlGenerator({ outputDir: '.tmp/test-output' }, {
+      champions: { Aatrox: { square: '/images/champion/square/Aatrox.png' } }
+    });
+    const row = String(generator.generateChampionListingRow(championStats.Aatrox));
+    const header = String(generator.generateChampionHeader(championStats.Aatrox, {}));
+
+    assert.match(row, /<img src="\.\.\/images\/champion\/square\/Aatrox\.png" width="32" height="32" loading="lazy" alt="">/);
+    assert.match(header, /<img src="\.\.\/images\/champion\/square\/Aatrox\.png" width="120" height="120" alt="">/);
+    assert.match(String(generator.generateChampionImage('Darius', 24)), /src="\.\.\/images\/champion\/placeholder\.svg" width="24" height="24"/);
+  });
+
+  test('champion images prefer optimized AVIF/WebP variants', () => {
+    const square = '/images/champion/square/Aatrox.png';
+    const variant = (format, width) => ({ format, width, height: width, src: `/images/optimized/champion/square/Aatrox-${width}.${format}` });
+    const generator = new HtmlGenerator({ outputDir: '.tmp/test-output' }, {
+      champions: { Aatrox: { square } },
+      optimized: { [square]: { width: 128, height: 128, variants: [variant('avif', 32), variant('webp', 32), variant('avif', 64), variant('webp', 64)] } }
+    });
+    const image = String(generator.generateChampionImage('Aatrox', 32));
+
+    assert.equal(image, '<picture>' +
+      '<source type="image/avif" srcset="../images/optimized/champion/square/Aatrox-32.avif 32w, ../images/optimized/champion/square/Aatrox-64.avif 64w" sizes="32px">' +
+      '<source type="image/webp" srcset="../images/optimized/champion/square/Aatrox-32.webp 32w, ../images/optimized/champion/square/Aatrox-64.webp 64w" sizes="32px">' +
+      '<img src="../images/champion/square/Aatrox.png" width="32" height="32" loading="lazy" alt=""></picture>');
+  });
+
+  test('small champion icons are cut from the sprite sheet without CSS', () => {
+    const generator = new HtmlGenerator({ outputDir: '.tmp/test-output' }, {
+      champions: { Aatrox: { square: '/images/champion/square/Aatrox.png' } },
+      sprites: { Aatrox: { src: '/images/sprite/15.13.1/champion0.png', width: 480, height: 144, x: 96, y: 48, w: 48, h: 48 } }
+    });
+
+    assert.equal(String(generator.generateChampionImage('Aatrox', 24)),
+      '<svg width="24" height="24" viewBox="96 48 48 48" aria-hidden="true">' +
+      // スプライトが読み込めない場合に見える代替画像（該当セルの位置）
+      '<image href="../images/champion/placeholder.svg" x="96" y="48" width="48" height="48"/>' +
+      '<image href="../images/sprite/15.13.1/champion0.png" width="480" height="144"/></svg>');
+    // スプライトのアイコンより大きい表示は個別画像
+    assert.match(String(generator.generateChampionImage('Aatrox', 120, { lazy: false })), /^<img src="\.\.\/images\/champion\/square\/Aatrox\.png" width="120"/);
+  });
+
+  test('regional counters show the same adjusted win rates as the main counter table', () => {
+    const regionalCounters = new ApiClient({}).calculateRegionalCounters([
+      ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 40, wins: 32, region: 'kr' }),
+      ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Garen', games: 40, wins: 16, region: 'kr' }),
+      ...buildMatchups({ lane: 'TOP', champion1: 'Darius', champion2: 'Garen', games: 40, wins: 24, region: 'kr' })
+    ], CHAMPIONS, ['kr']);
+    const generator = createGenerator();
+    const { counters, counteredBy } = regionalCounters.kr.Aatrox.counterRelationships;
+    const html = String(generator.generateRegionalCounterTable(championStats.Aatrox, regionalCounters));
+    const mainTable = String(generator.generateFullCounterTable(regionalCounters.kr.Aatrox));
+
+    // 有利な相手は自分側、苦手な相手は相手側の補正勝率（全体の表の補正勝率・補正相手勝率の列と一致）
+    const favorable = generator.formatWinRate(counters[0].adjustedWinRate);
+    const unfavorable = generator.formatWinRate(counteredBy[0].adjustedWinRate, true);
+    assert.ok(parseFloat(unfavorable) > 50);
+    assert.ok(html.includes(`<td>ダリウス (${favorable})</td>`));
+    assert.ok(html.includes(`<td>ガレン (${unfavorable})</td>`));
+    assert.ok(mainTable.includes(`<td>${favorable}</td>`));
+    assert.ok(mainTable.includes(`<td>${unfavorable}</td>`));
+  });
+
+  test('current patch counters are shown only when several patches were collected', () => {
+    const generator = createGenerator();
+    // 最新パッチはトップの対面のみ（ゼドとのミッド対面は旧パッチ）
+    const currentPatchCounters = new ApiClient({}).calculateCounterRelationships([
+      ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Darius', games: 40, wins: 32 }),
+      ...buildMatchups({ lane: 'TOP', champion1: 'Aatrox', champion2: 'Garen', games: 40, wins: 16 }),
+      ...buildMatchups({ lane: 'TOP', champion1: 'Darius', champion2: 'Garen', games: 40, wins: 24 })
+    ], CHAMPIONS);
+    const gameData = { metadata: { patches: ['15.12', '15.13'], currentPatch: '15.13' }, patchCounters: { '15.13': currentPatchCounters } };
+
+    const table = String(generator.generateCurrentPatchCounterTable(championStats.Aatrox, gameData));
+    assert.match(table, /パッチ15\.13のカウンター/);
+    assert.match(table, /<a href="darius\.html">ダリウス<\/a>/);
+    assert.match(table, /<a href="garen\.html">ガレン<\/a>/);
+    assert.doesNotMatch(table, /zed\.html/);
+
+    const laneTable = String(generator.generateLaneChampionTable([championStats.Aatrox], 'TOP', generator.getCurrentPatchStats(gameData)));
+    assert.match(laneTable, /<td>60\.0% \(80\)<\/td>/);
+
+    const singlePatch = { ...gameData, metadata: { patches: ['15.13'], currentPatch: '15.13' } };
+    assert.equal(String(generator.generateCurrentPatchCounterTable(championStats.Aatrox, singlePatch)), '');
+    assert.doesNotMatch(String(generator.generateLaneChampionTable([championStats.Aatrox], 'TOP', generator.getCurrentPatchStats(singlePatch))), /パッチ/);
+  });
+
+  test('draft matrix includes neutral matchups with their adjusted win rate', () => {
+    const matrix = createGenerator().buildCounterMatrix(championStats, { metadata: { currentPatch: '15.13' } });
+    const ids = matrix.champions.map(champion => champion[0]);
+    const find = (championId, enemyId) => matrix.matchups.find(matchup =>
+      ids[matchup[0]] === championId && ids[matchup[1]] === enemyId);
+
+    // 20試合で五分の対面（strong / counter / counteredBy のいずれにも分類されない）
+    const neutral = find('Aatrox', 'Zed');
+    assert.equal(matrix.lanes[neutral[2]], 'MIDDLE');
+    assert.equal(neutral[3], 20);
+    assert.equal(neutral[4], Math.round(championStats.Aatrox.counterRelationships.matchups
+      .find(matchup => matchup.championId === 'Zed').adjustedWinRate * 1000));
+    assert.ok(find('Zed', 'Aatrox'));
+    assert.equal(matrix.matchups.length, 8);
+  });
+
+  test('draft script scores each enemy once and only with matchups of the selected role', async () => {
+    const data = {
+      lanes: ['TOP', 'MIDDLE'],
+      champions: [['Aatrox', 'エイトロックス', { TOP: 0.1 }], ['Darius', 'ダリウス', { TOP: 0.1 }], ['Zed', 'ゼド', { MIDDLE: 0.1 }]],
+      // [チャンピオン, 敵, レーン, 試合数, 補正勝率×1000]
+      matchups: [[0, 1, 0, 40, 650], [0, 2, 1, 40, 300]]
+    };
+    const script = createGenerator().generateDraftScript();
+    const html = await runDraftScript(script, data, { role: 'TOP', enemies: [1, 1, 2] });
+
+    // ダリウスの重複選択は1体として数え、ゼドはミッドの対面しかないため未集計
+    assert.match(html, />エイトロックス<\/a><\/td><td>65\.0%<\/td><td>1\/2<\/td><td>ダリウス 65\.0%<\/td>/);
+    assert.doesNotMatch(html, /ゼド \d/);
+  });
+
+  test('ability table strips Data Dragon markup and links local icons', () => {
+    const details = {
+      id: 'Aatrox',
+      passive: { name: 'P1', description: '<status>強化</status>攻撃<br><br>回復' },
+      spells: [{ name: 'Q1', description: '<font color="#ff0000">a</font> < b', cooldownBurn: '14/12', costBurn: '0', rangeBurn: '25' }, { name: 'W1', description: '' }]
+    };
+    const html = String(createGenerator().generateAbilityTable(details, {
+      passive: '/images/champion/passive/Aatrox_Passive.png',
+      spells: [null, '/images/champion/spell/AatroxW.png']
+    }));
+
+    assert.match(html, /<td>強化攻撃<br>回復<\/td>/);
+    assert.match(html, /<td>a &lt; b<\/td>\n<td>14\/12<\/td>\n<td>-<\/td>/);
+    assert.match(html, /<img src="\.\.\/images\/champion\/passive\/Aatrox_Passive\.png" width="48" height="48" alt="P1"><br>P1/);
+    assert.match(html, /<td>Q1<\/td>/);
+    assert.match(html, /alt="W1"/);
+    assert.equal(String(createGenerator().generateAbilityTable(null, {})), '');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * 多言語対応のテスト（メッセージカタログ・翻訳関数・ロケール設定）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUPPORTED_LOCALES, parseLocales, getLocaleInfo, createTranslator } from '../src/i18n.js';
+import ja from '../src/locales/ja.js';
+
+describe('i18n', () => {
+  test('every catalog defines the same keys as the default locale', async () => {
+    const expected = Object.keys(ja.messages).sort();
+
+    for (const locale of SUPPORTED_LOCALES) {
+      const { default: catalog } = await import(`../src/locales/${locale}.js`);
+      assert.deepEqual(Object.keys(catalog.messages).sort(), expected, `${locale} catalog keys`);
+    }
+  });
+
+  test('interpolates parameters and falls back to the key', () => {
+    const t = createTranslator('en');
+
+    assert.equal(t('listing.summary', { count: 3, lastUpdate: 'now' }), 'Champions: 3 | Last updated: now');
+    assert.equal(t('draft.enemy'), 'Enemy {slot}');
+    assert.equal(t('missing.key'), 'missing.key');
+  });
+
+  test('parses locale lists and rejects unsupported locales', () => {
+    assert.deepEqual(parseLocales(' JA, en,ja ,ko'), ['ja', 'en', 'ko']);
+    assert.deepEqual(parseLocales(''), ['ja']);
+    assert.equal(getLocaleInfo('ko').ddragonLocale, 'ko_KR');
+    assert.throws(() => getLocaleInfo('fr'), /Unsupported locale: fr/);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * 画像ダウンローダーのテスト（既存画像・スプライトのマッピング、ネットワーク不使用）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { ImageDownloader } from '../src/image-downloader.js';
+
+// PNGヘッダーのみ（実寸の読み取りに必要な範囲）
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.write('IHDR', 12);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+describe('ImageDownloader sprites', () => {
+  let workDir;
+  const gameData = {
+    metadata: { version: '15.13.1' },
+    champions: {
+      Aatrox: { id: 'Aatrox', image: { full: 'Aatrox.png', sprite: 'champion0.png', x: 0, y: 0, w: 48, h: 48 } },
+      Ahri: { id: 'Ahri', image: { full: 'Ahri.png', sprite: 'champion0.png', x: 48, y: 0, w: 48, h: 48 } },
+      Zed: { id: 'Zed', image: { full: 'Zed.png', sprite: 'champion5.png', x: 96, y: 48, w: 48, h: 48 } }
+    }
+  };
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-sprites-'));
+    await fs.outputFile(join(workDir, 'images', 'sprite', '15.13.1', 'champion0.png'), pngHeader(480, 144));
+    await fs.outputFile(join(workDir, 'images', 'champion', 'square', 'Aatrox.png'), pngHeader(128, 128));
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('maps champions to existing sprite sheets of the current version', async () => {
+    const downloader = new ImageDownloader({
+      // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+      outputDir: relative(process.cwd(), workDir),
+      imageEncoder: null
+    });
+    const imageMap = await downloader.collectExistingImages(gameData);
+
+    assert.deepEqual(imageMap.sprites.Ahri, {
+      src: '/images/sprite/15.13.1/champion0.png', width: 480, height: 144, x: 48, y: 0, w: 48, h: 48
+    });
+    assert.ok(imageMap.sprites.Aatrox);
+    // スプライト未取得のチャンピオンは個別画像・代替画像で表示
+    assert.equal(imageMap.sprites.Zed, undefined);
+    assert.equal(imageMap.champions.Aatrox.square, '/images/champion/square/Aatrox.png');
+    assert.equal(imageMap.optimized['/images/champion/square/Aatrox.png'].width, 128);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * 画像最適化パイプラインのテスト（実寸取得・派生画像の生成と再利用）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { ImageOptimizer, readImageInfo } from '../src/image-optimizer.js';
+import { HtmlGenerator } from '../src/html-generator.js';
+
+const SQUARE_PATH = '/images/champion/square/Aatrox.png';
+
+describe('readImageInfo', () => {
+  test('reads dimensions of committed PNG and JPEG images', async () => {
+    const square = await fs.readFile(join(process.cwd(), 'images', 'champion', 'square', 'Aatrox.png'));
+    const loading = await fs.readFile(join(process.cwd(), 'images', 'champion', 'loading', 'Aatrox_0.jpg'));
+
+    assert.deepEqual(readImageInfo(square), { format: 'png', width: 128, height: 128 });
+    assert.deepEqual(readImageInfo(loading), { format: 'jpeg', width: 308, height: 560 });
+  });
+
+  test('reads GIF, WebP and AVIF headers', () => {
+    const gif = Buffer.alloc(10);
+    gif.write('GIF89a');
+    gif.writeUInt16LE(40, 6);
+    gif.writeUInt16LE(30, 8);
+
+    const webp = (chunk, write) => {
+      const buffer = Buffer.alloc(32);
+      buffer.write('RIFF');
+      buffer.write('WEBP', 8);
+      buffer.write(chunk, 12);
+      write(buffer);
+      return buffer;
+    };
+    const lossy = webp('VP8 ', buffer => { buffer.writeUInt16LE(640, 26); buffer.writeUInt16LE(360, 28); });
+    const lossless = webp('VP8L', buffer => buffer.writeUInt32LE((64 - 1) | ((48 - 1) << 14), 21));
+    const extended = webp('VP8X', buffer => { buffer.writeUIntLE(1280 - 1, 24, 3); buffer.writeUIntLE(720 - 1, 27, 3); });
+
+    const avif = Buffer.alloc(40);
+    avif.write('ftypavif', 4);
+    avif.write('ispe', 20);
+    avif.writeUInt32BE(154, 28);
+    avif.writeUInt32BE(280, 32);
+
+    assert.deepEqual(readImageInfo(gif), { format: 'gif', width: 40, height: 30 });
+    assert.deepEqual(readImageInfo(lossy), { format: 'webp', width: 640, height: 360 });
+    assert.deepEqual(readImageInfo(lossless), { format: 'webp', width: 64, height: 48 });
+    assert.deepEqual(readImageInfo(extended), { format: 'webp', width: 1280, height: 720 });
+    assert.deepEqual(readImageInfo(avif), { format: 'avif', width: 154, height: 280 });
+    assert.equal(readImageInfo(Buffer.from('not an image')), null);
+  });
+});
+
+describe('ImageOptimizer', () => {
+  let workDir;
+  let encoded;
+
+  const createOptimizer = imageEncoder => new ImageOptimizer({
+    // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+    outputDir: relative(process.cwd(), workDir),
+    imageVariantWidths: { square: [32, 64, 256] },
+    imageEncoder
+  });
+  const encoder = async ({ output, width, format, quality }) => {
+    encoded.push({ width, format, quality });
+    await fs.writeFile(output, `${format}:${width}`);
+  };
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-images-'));
+    await fs.copy(
+      join(process.cwd(), 'images', 'champion', 'square', 'Aatrox.png'),
+      join(workDir, 'images', 'champion', 'square', 'Aatrox.png')
+    );
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('records real dimensions and variants without upscaling', async () => {
+    encoded = [];
+    const imageMap = { champions: { Aatrox: { square: SQUARE_PATH, passive: null, spells: [null] } } };
+    await createOptimizer(encoder).optimizeImageMap(imageMap);
+
+    const result = imageMap.optimized[SQUARE_PATH];
+    assert.equal(result.width, 128);
+    assert.deepEqual(result.variants.map(variant => `${variant.format}@${variant.width}`), ['avif@32', 'webp@32', 'avif@64', 'webp@64']);
+    assert.equal(result.variants[0].src, '/images/optimized/champion/square/Aatrox-32.avif');
+    assert.deepEqual(encoded[0], { width: 32, format: 'avif', quality: 50 });
+    assert.ok(await fs.pathExists(join(workDir, 'images', 'optimized', 'champion', 'square', 'Aatrox-64.webp')));
+  });
+
+  test('reuses up-to-date variants on the next build', async () => {
+    encoded = [];
+    const optimizer = createOptimizer(encoder);
+    const result = await optimizer.optimizeImage(SQUARE_PATH, [32, 64]);
+
+    assert.equal(result.variants.length, 4);
+    assert.equal(encoded.length, 0);
+    assert.equal(optimizer.stats.reused, 4);
+  });
+
+  test('reuses variants by source content even when checkout mtimes are older', async () => {
+    encoded = [];
+    // git checkout 直後のように派生画像の方が古いmtimeになっても再エンコードしない
+    const past = new Date(Date.now() - 60_000);
+    await fs.utimes(join(workDir, 'images', 'optimized', 'champion', 'square', 'Aatrox-32.avif'), past, past);
+    const hashes = await fs.readJson(join(workDir, 'images', 'optimized', 'sources.json'));
+    assert.deepEqual(Object.keys(hashes), [SQUARE_PATH]);
+
+    await createOptimizer(encoder).optimizeImage(SQUARE_PATH, [32, 64]);
+    assert.equal(encoded.length, 0);
+  });
+
+  test('re-encodes variants when the source content changes', async () => {
+    encoded = [];
+    const sourcePath = join(workDir, 'images', 'champion', 'square', 'Aatrox.png');
+    await fs.appendFile(sourcePath, Buffer.from([0]));
+    const imageMap = { champions: { Aatrox: { square: SQUARE_PATH } } };
+    await createOptimizer(encoder).optimizeImageMap(imageMap);
+
+    assert.equal(encoded.length, 4);
+    encoded = [];
+    await createOptimizer(encoder).optimizeImageMap(imageMap);
+    assert.equal(encoded.length, 0);
+  });
+
+  test('encodes real AVIF/WebP variants with the default encoder and links them via srcset', async () => {
+    // テスト用エンコーダーの出力を再利用しないよう別ディレクトリで実行
+    const siteDir = join(workDir, 'encoded');
+    await fs.copy(join(workDir, 'images', 'champion'), join(siteDir, 'images', 'champion'));
+    const outputDir = relative(process.cwd(), siteDir);
+    const imageMap = { champions: { Aatrox: { square: SQUARE_PATH } } };
+    await new ImageOptimizer({ outputDir, imageVariantWidths: { square: [32, 64] } }).optimizeImageMap(imageMap);
+
+    assert.equal(imageMap.optimized[SQUARE_PATH].variants.length, 4);
+    for (const variant of imageMap.optimized[SQUARE_PATH].variants) {
+      const info = readImageInfo(await fs.readFile(join(siteDir, variant.src)));
+      assert.deepEqual(info, { format: variant.format, width: variant.width, height: variant.width }, variant.src);
+    }
+
+    const image = String(new HtmlGenerator({ outputDir }, imageMap).generateChampionImage('Aatrox', 32));
+    assert.match(image, /^<picture><source type="image\/avif" srcset="\.\.\/images\/optimized\/champion\/square\/Aatrox-32\.avif 32w, \.\.\/images\/optimized\/champion\/square\/Aatrox-64\.avif 64w" sizes="32px">/);
+    assert.match(image, /<source type="image\/webp" srcset="[^"]*Aatrox-32\.webp 32w, [^"]*Aatrox-64\.webp 64w" sizes="32px"><img src="\.\.\/images\/champion\/square\/Aatrox\.png"/);
+  });
+
+  test('records dimensions only without an encoder and skips unreadable files', async () => {
+    const optimizer = createOptimizer(null);
+
+    assert.deepEqual(await optimizer.optimizeImage(SQUARE_PATH, [32]), { format: 'png', width: 128, height: 128, variants: [] });
+    assert.equal(await optimizer.optimizeImage('/images/champion/square/Missing.png', [32]), null);
+    assert.equal(optimizer.stats.errors, 1);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 永続マッチストアのテスト（保存済み試合の再取得回避・ローリングウィンドウ・シャード削除）
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { MatchStore } from '../src/match-store.js';
+import { ApiClient } from '../src/api-client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-07-15T12:00:00Z');
+
+function createMatch(matchId, gameCreation) {
+  return {
+    metadata: { matchId },
+    info: { gameCreation, gameDuration: 1800, gameMode: 'CLASSIC', queueId: 420, participants: Array(10).fill({ championId: 266 }) }
+  };
+}
+
+describe('MatchStore', () => {
+  let workDir;
+  let store;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-matches-'));
+    // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+    store = new MatchStore({ cacheDir: relative(process.cwd(), workDir), matchWindowDays: 7 });
+    await store.load();
+  });
+
+  afterEach(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('skips stored matches when collecting', async () => {
+    await store.addMatches([createMatch('JP1_1', NOW - DAY_MS)]);
+    const reloaded = new MatchStore(store.config);
+    await reloaded.load();
+
+    const client = new ApiClient({ targetRegion: 'jp1', accountRegion: 'asia' });
+    const requested = [];
+    client.makeRequest = async url => {
+      requested.push(url.split('/').pop());
+      if (url.includes('/ids')) return ['JP1_1', 'JP1_2'];
+      return createMatch(url.split('/').pop(), NOW);
+    };
+
+    const matches = await client.collectRankedMatches([{ puuid: 'p1' }], reloaded);
+
+    assert.deepEqual(matches.map(match => match.metadata.matchId), ['JP1_2']);
+    assert.deepEqual(requested.filter(id => id.startsWith('JP1_')), ['JP1_2']);
+  });
+
+  test('returns only matches inside the window, newest first', async () => {
+    await store.addMatches([
+      createMatch('JP1_old', NOW - 8 * DAY_MS),
+      createMatch('JP1_recent', NOW - DAY_MS),
+      createMatch('JP1_latest', NOW - 60 * 1000)
+    ]);
+
+    assert.deepEqual(store.getWindowMatches(NOW).map(match => match.metadata.matchId), ['JP1_latest', 'JP1_recent']);
+  });
+
+  test('prunes only shards older than the window', async () => {
+    await store.addMatches([
+      createMatch('JP1_old', NOW - 9 * DAY_MS),
+      createMatch('JP1_edge', NOW - 7 * DAY_MS),
+      createMatch('JP1_recent', NOW - DAY_MS)
+    ]);
+    await fs.outputFile(join(store.storeDir, 'notes.txt'), 'keep');
+
+    const removed = await store.prune(NOW);
+
+    assert.equal(removed, 1);
+    assert.deepEqual((await fs.readdir(store.storeDir)).sort(), ['2026-07-08.jsonl', '2026-07-14.jsonl', 'notes.txt']);
+    assert.equal(store.has('JP1_old'), false);
+    assert.equal(store.has('JP1_edge'), true);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * フィクスチャを使ったパイプライン全体のテスト（fetchAllData → HtmlGenerator）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { ApiClient } from '../src/api-client.js';
+import { HtmlGenerator } from '../src/html-generator.js';
+import { FixtureFetch } from '../src/fixture-fetch.js';
+
+const FIXTURE_DIR = join(process.cwd(), 'tests', 'fixtures', 'riot');
+
+describe('pipeline with recorded fixtures', () => {
+  let workDir;
+  let fixtureFetch;
+  let gameData;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-pipeline-'));
+    fixtureFetch = new FixtureFetch({
+      fixtureDir: FIXTURE_DIR,
+      // 初回のChallenger取得で429を返し、Retry-After後の再試行を検証
+      faults: [{ match: 'challengerleagues', status: 429, retryAfter: 1, limitType: 'application' }]
+    });
+
+    const client = new ApiClient({
+      isProd: true,
+      targetRegion: 'jp1',
+      accountRegion: 'asia',
+      regions: ['jp1'],
+      locales: ['ja', 'en', 'ko'],
+      // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+      cacheDir: relative(process.cwd(), workDir),
+      matchWindowDays: 36500,
+      concurrency: 4,
+      fetch: fixtureFetch.fetch
+    });
+
+    gameData = await client.fetchAllData();
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('collects players and matches from fixtures', () => {
+    assert.equal(gameData.metadata.version, '15.13.1');
+    assert.equal(Object.keys(gameData.champions).length, 10);
+    assert.equal(gameData.highEloPlayers.length, 3);
+    assert.equal(gameData.matchData.length, 8);
+    assert.equal(gameData.rawMatchups.length, 40);
+    assert.equal(gameData.metadata.currentPatch, '15.13');
+  });
+
+  test('retries after a simulated 429', () => {
+    const rateLimited = gameData.errors.filter(error => error.category === 'rate_limit');
+    assert.equal(rateLimited.length, 1);
+    assert.match(rateLimited[0].url, /challengerleagues/);
+
+    const statuses = fixtureFetch.requests
+      .filter(request => request.url.includes('challengerleagues'))
+      .map(request => request.status);
+    assert.deepEqual(statuses, [429, 200]);
+  });
+
+  test('stores collected matches for incremental builds', async () => {
+    const shards = await fs.readdir(join(workDir, 'matches'));
+    assert.ok(shards.length > 0);
+    assert.ok(shards.every(shard => shard.endsWith('.jsonl')));
+  });
+
+  test('generates pages from the collected data', async () => {
+    await fs.ensureDir(join(workDir, 'site'));
+    const generator = new HtmlGenerator({
+      outputDir: relative(process.cwd(), join(workDir, 'site')),
+      locales: ['ja', 'en', 'ko']
+    }, {});
+    const pages = await generator.generateAllPages(gameData);
+
+    assert.ok(pages.length > 0);
+    for (const file of ['index.html', 'manifest.json', 'images/champion/placeholder.svg']) {
+      assert.ok(await fs.pathExists(join(workDir, 'site', file)), `${file} should be generated`);
+    }
+    // sw.js は ServiceWorkerUpdater のみが生成する
+    assert.equal(await fs.pathExists(join(workDir, 'site', 'sw.js')), false);
+    for (const locale of ['ja', 'en', 'ko']) {
+      for (const file of ['index.html', 'a-z.html', 'aatrox.html', 'lane-top.html', 'draft.html', 'draft-data.json']) {
+        assert.ok(await fs.pathExists(join(workDir, 'site', locale, file)), `${locale}/${file} should be generated`);
+      }
+    }
+
+    // 数値championIdがidに解決され、リンク先ページが実在する
+    const html = await fs.readFile(join(workDir, 'site', 'ja', 'lane-top.html'), 'utf8');
+    const links = [...html.matchAll(/<a href="([a-z]+\.html)">/g)].map(([, href]) => href);
+    assert.ok(links.includes('aatrox.html') && links.includes('darius.html'));
+    for (const href of links) {
+      assert.ok(await fs.pathExists(join(workDir, 'site', 'ja', href)), `${href} should exist`);
+    }
+  });
+
+  test('localizes pages and links the language variants', async () => {
+    const en = await fs.readFile(join(workDir, 'site', 'en', 'aatrox.html'), 'utf8');
+    const ko = await fs.readFile(join(workDir, 'site', 'ko', 'lane-top.html'), 'utf8');
+    const root = await fs.readFile(join(workDir, 'site', 'index.html'), 'utf8');
+
+    assert.match(en, /<html lang="en">/);
+    assert.match(en, /<h1>⚡ Aatrox counters<\/h1>/);
+    assert.match(en, /<link rel="alternate" hreflang="ja" href="\.\.\/ja\/aatrox\.html">/);
+    assert.match(en, /<link rel="alternate" hreflang="x-default" href="\.\.\/index\.html">/);
+    assert.match(ko, /<a href="aatrox\.html">아트록스<\/a>/);
+    assert.match(ko, /<a href="\.\.\/en\/lane-top\.html" hreflang="en" lang="en">English<\/a>/);
+    for (const locale of ['ja', 'en', 'ko']) {
+      assert.match(root, new RegExp(`<a href="${locale}/index\\.html"`));
+    }
+  });
+
+  test('language alternates and switcher links only point at generated pages', async () => {
+    for (const locale of ['ja', 'en', 'ko']) {
+      const files = (await fs.readdir(join(workDir, 'site', locale))).filter(file => file.endsWith('.html'));
+      assert.ok(files.some(file => file.startsWith('search-')), `${locale} should have search pages`);
+
+      for (const file of files) {
+        const page = await fs.readFile(join(workDir, 'site', locale, file), 'utf8');
+        const targets = [...page.matchAll(/<(?:link rel="alternate"|a) [^>]*href="(\.\.\/[^"]+)"/g)].map(([, href]) => href);
+        for (const href of targets) {
+          assert.ok(await fs.pathExists(join(workDir, 'site', locale, href)), `${locale}/${file} links to missing ${href}`);
+        }
+      }
+    }
+  });
+
+  test('shows abilities, enemy tips, base stats and lore in each locale', async () => {
+    const page = locale => fs.readFile(join(workDir, 'site', locale, 'aatrox.html'), 'utf8');
+    const [ja, en, ko] = await Promise.all(['ja', 'en', 'ko'].map(page));
+
+    assert.match(en, /Deathbringer Stance/);
+    assert.match(en, /<h3>🗡️ Playing against Aatrox<\/h3>/);
+    assert.match(en, /<td>Stay out of the sweet spot/);
+    assert.match(en, /<td>Health<\/td>\n<td>\d+<\/td>\n<td>\+\d+/);
+    assert.match(en, /<td>Blood Well<\/td>/);
+    assert.match(ko, /<h3>🪄 스킬<\/h3>/);
+    // Data Dragonの装飾タグは除去され、<br>のみ残る
+    assert.doesNotMatch(ja, /<status>|<font|&lt;status&gt;/);
+    assert.match(ja, /<td valign="top" width="30%">/);
+  });
+
+  test('keys statistics by Data Dragon id', () => {
+    const aatrox = gameData.championStats.Aatrox;
+
+    assert.equal(aatrox.overallStats.totalGames, 8);
+    assert.ok(aatrox.lanePerformance.TOP.games > 0);
+    assert.ok(gameData.rawMatchups.every(matchup => gameData.champions[matchup.champion1.id] && gameData.champions[matchup.champion2.id]));
+  });
+});
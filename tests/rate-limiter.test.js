@@ -0,0 +1,103 @@
+/**
+ * レートリミッターのテスト（メソッド区分・ヘッダー同期・429ペナルティ・ホスト別の制限）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { RateLimiter } from '../src/rate-limiter.js';
+import { ApiClient } from '../src/api-client.js';
+import { FixtureFetch } from '../src/fixture-fetch.js';
+
+const FIXTURE_DIR = join(process.cwd(), 'tests', 'fixtures', 'riot');
+const MATCH_URL = 'https://asia.api.riotgames.com/lol/match/v5/matches/JP1_5100000000';
+const LEAGUE_URL = 'https://jp1.api.riotgames.com/lol/league/v4/challengerleagues/by-queue/RANKED_SOLO_5x5';
+
+/**
+ * 待機せずに失敗するリミッター（枠が空いているはずの場面で待機したら検出する）
+ */
+function createLimiter(config = {}) {
+  const limiter = new RateLimiter(config);
+  limiter.sleep = async ms => { throw new Error(`unexpected wait of ${ms}ms`); };
+  return limiter;
+}
+
+describe('RateLimiter', () => {
+  test('keys methods by Riot endpoint regardless of path parameters', () => {
+    const limiter = createLimiter();
+
+    assert.equal(limiter.getMethodKey('/lol/match/v5/matches/JP1_5100000000'), 'match-v5.getMatch');
+    assert.equal(limiter.getMethodKey('/lol/match/v5/matches/by-puuid/abc-def/ids'), 'match-v5.getMatchIdsByPUUID');
+    // 英小文字とハイフンだけのIDも可変部分として扱う
+    assert.equal(limiter.getMethodKey('/lol/summoner/v4/summoners/by-puuid/abc-def'), 'summoner-v4.getByPUUID');
+    assert.equal(limiter.getMethodKey('/lol/summoner/v4/summoners/abc-def'), 'summoner-v4.getBySummonerId');
+    assert.equal(limiter.getMethodKey('/lol/league/v4/masterleagues/by-queue/RANKED_SOLO_5x5'), 'league-v4.getMasterLeague');
+    assert.equal(limiter.getMethodKey('/lol/unknown/v1/thing'), '/lol/unknown/v1/thing');
+  });
+
+  test('syncs limits and counts from response headers', () => {
+    const limiter = createLimiter({ safetyMargin: 0 });
+    limiter.update(MATCH_URL, new Headers({
+      'X-App-Rate-Limit': '3:10,100:120',
+      'X-App-Rate-Limit-Count': '3:10,3:120',
+      'X-Method-Rate-Limit': '2000:10',
+      'X-Method-Rate-Limit-Count': '1:10'
+    }));
+
+    const [appBucket, methodBucket] = limiter.getBucketsForUrl(MATCH_URL);
+    assert.equal(appBucket.key, 'app:asia.api.riotgames.com');
+    assert.deepEqual(appBucket.windows.map(window => [window.limit, window.windowMs, window.timestamps.length]),
+      [[3, 10000, 3], [100, 120000, 3]]);
+    assert.equal(methodBucket.key, 'method:asia.api.riotgames.com:match-v5.getMatch');
+    assert.deepEqual(methodBucket.windows.map(window => [window.limit, window.windowMs, window.timestamps.length]),
+      [[2000, 10000, 1]]);
+
+    // サーバー側で10秒枠を使い切っているため、次の送信は待機が必要
+    const now = Date.now();
+    assert.ok(limiter.getWaitTime(appBucket, now) > 9000);
+    assert.ok(limiter.getWaitTime(methodBucket, now) <= 0);
+  });
+
+  test('blocks only the bucket named by X-Rate-Limit-Type', () => {
+    const limiter = createLimiter();
+    limiter.penalize(MATCH_URL, 5000, 'method');
+
+    const [appBucket, methodBucket] = limiter.getBucketsForUrl(MATCH_URL);
+    const now = Date.now();
+    assert.ok(limiter.getWaitTime(methodBucket, now) > 4000);
+    assert.ok(limiter.getWaitTime(appBucket, now) <= 0);
+
+    // 同じホストの別メソッドは送信できる
+    const [, otherMethodBucket] = limiter.getBucketsForUrl(`${MATCH_URL.replace(/JP1_\d+$/, '')}by-puuid/p/ids`);
+    assert.ok(limiter.getWaitTime(otherMethodBucket, now) <= 0);
+  });
+
+  test('applies Retry-After from a 429 response', async () => {
+    const fixtureFetch = new FixtureFetch({
+      fixtureDir: FIXTURE_DIR,
+      faults: [{ match: 'challengerleagues', status: 429, retryAfter: 3, limitType: 'application' }]
+    });
+    const client = new ApiClient({ targetRegion: 'jp1', accountRegion: 'asia', fetch: fixtureFetch.fetch });
+
+    await assert.rejects(client.executeRequest(LEAGUE_URL, {}), { category: 'rate_limit', retryAfterMs: 3000 });
+
+    const now = Date.now();
+    const [appBucket, methodBucket] = client.rateLimiter.getBucketsForUrl(LEAGUE_URL);
+    const waitTime = client.rateLimiter.getWaitTime(appBucket, now);
+    assert.ok(waitTime > 2000 && waitTime <= 3000);
+    assert.ok(client.rateLimiter.getWaitTime(methodBucket, now) <= 0);
+  });
+
+  test('keeps application limits separate per routing host', async () => {
+    const limiter = createLimiter({ appRateLimit: '1:10', safetyMargin: 0 });
+    await limiter.acquire(LEAGUE_URL);
+
+    const now = Date.now();
+    const [jp1Bucket] = limiter.getBucketsForUrl(LEAGUE_URL);
+    assert.ok(limiter.getWaitTime(jp1Bucket, now) > 9000);
+
+    // jp1 の枠を使い切っても asia への送信は待たない
+    await limiter.acquire(MATCH_URL);
+    assert.equal(limiter.waitedMs, 0);
+  });
+});
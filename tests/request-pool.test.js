@@ -0,0 +1,90 @@
+/**
+ * 並列リクエストプールのテスト（入力順・失敗時のnull・同時実行数の上限・試合IDの重複排除）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestPool } from '../src/request-pool.js';
+import { ApiClient } from '../src/api-client.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 同時実行数を計測する遅延付きワーカー
+ */
+function createWorker(delays) {
+  const worker = async (item, index) => {
+    worker.active++;
+    worker.maxActive = Math.max(worker.maxActive, worker.active);
+    try {
+      await delay(delays[index]);
+      if (item instanceof Error) throw item;
+      return item * 10;
+    } finally {
+      worker.active--;
+    }
+  };
+  worker.active = 0;
+  worker.maxActive = 0;
+  return worker;
+}
+
+describe('RequestPool', () => {
+  test('returns results in input order even when later items finish first', async () => {
+    const pool = new RequestPool({ concurrency: 3 });
+    const worker = createWorker([30, 5, 15, 1, 10]);
+
+    const results = await pool.map([1, 2, 3, 4, 5], worker);
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.deepEqual(pool.getStats(), { completed: 5, failed: 0, active: 0, queued: 0 });
+  });
+
+  test('maps failed items to null and reports them', async () => {
+    const pool = new RequestPool({ concurrency: 2 });
+    const failure = new Error('HTTP 500');
+    const reported = [];
+
+    const results = await pool.map([1, failure, 3], createWorker([5, 1, 1]), (error, item) => reported.push([error.message, item]));
+
+    assert.deepEqual(results, [10, null, 30]);
+    assert.deepEqual(reported, [['HTTP 500', failure]]);
+    assert.equal(pool.getStats().failed, 1);
+  });
+
+  test('never runs more tasks than the concurrency limit', async () => {
+    const pool = new RequestPool({ concurrency: 3 });
+    const worker = createWorker([8, 3, 5, 1, 7, 2, 4, 6, 1, 3]);
+
+    await pool.map([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], worker);
+
+    assert.equal(worker.maxActive, 3);
+    assert.equal(pool.active, 0);
+  });
+
+  test('fetches a match shared by several players only once', async () => {
+    const client = new ApiClient({ targetRegion: 'jp1', accountRegion: 'asia', concurrency: 2 });
+    const idLists = {
+      p1: ['JP1_1', 'JP1_2'],
+      p2: ['JP1_2', 'JP1_3'],
+      p3: ['JP1_3', 'JP1_1', 'JP1_4']
+    };
+    const requested = [];
+    client.makeRequest = async url => {
+      requested.push(url);
+      const ids = url.match(/by-puuid\/(\w+)\/ids/);
+      if (ids) return idLists[ids[1]];
+      await delay(1);
+      return {
+        metadata: { matchId: url.split('/').pop() },
+        info: { queueId: 420, gameMode: 'CLASSIC', gameDuration: 1800, participants: Array(10).fill({}) }
+      };
+    };
+
+    const matches = await client.collectRankedMatches(Object.keys(idLists).map(puuid => ({ puuid })));
+
+    assert.deepEqual(matches.map(match => match.metadata.matchId), ['JP1_1', 'JP1_2', 'JP1_3', 'JP1_4']);
+    const matchRequests = requested.filter(url => !url.includes('by-puuid')).map(url => url.split('/').pop());
+    assert.deepEqual(matchRequests.sort(), ['JP1_1', 'JP1_2', 'JP1_3', 'JP1_4']);
+  });
+});
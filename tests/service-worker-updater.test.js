@@ -0,0 +1,60 @@
+/**
+ * Service Workerのプリキャッシュ対象のテスト
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { tmpdir } from 'os';
+import { ServiceWorkerUpdater } from '../src/service-worker-updater.js';
+
+describe('ServiceWorkerUpdater', () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(join(tmpdir(), 'lol-sw-'));
+    const files = [
+      'index.html',
+      'manifest.json',
+      'images/champion/placeholder.svg',
+      'images/champion/square/Aatrox.png',
+      'images/sprite/15.13.1/champion0.png',
+      'images/optimized/champion/square/Aatrox-32.avif',
+      'images/optimized/champion/square/Aatrox-32.webp',
+      // 旧レイアウト（サイト直下の一覧ページ）の残骸
+      'a-z.html',
+      'ja/index.html',
+      'ja/draft.js',
+      'ja/draft-data.json',
+      'en/index.html'
+    ];
+    for (const file of files) {
+      await fs.outputFile(join(workDir, file), '');
+    }
+  });
+
+  after(async () => {
+    await fs.remove(workDir);
+  });
+
+  test('precaches pages, original images and sprites but not optimized variants', async () => {
+    const updater = new ServiceWorkerUpdater({
+      // 各モジュールは process.cwd() 基準で結合するため相対パスで渡す
+      outputDir: relative(process.cwd(), workDir),
+      locales: ['ja', 'en']
+    });
+
+    assert.deepEqual(await updater.collectFilesToCache(), [
+      'en/index.html',
+      'images/champion/placeholder.svg',
+      'images/champion/square/Aatrox.png',
+      'images/sprite/15.13.1/champion0.png',
+      'index.html',
+      'ja/draft-data.json',
+      'ja/draft.js',
+      'ja/index.html',
+      'manifest.json'
+    ]);
+  });
+});
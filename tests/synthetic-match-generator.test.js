@@ -0,0 +1,77 @@
+/**
+ * 合成試合ジェネレーターのテスト（開発モードのデータ源）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { join } from 'path';
+import { ApiClient } from '../src/api-client.js';
+import { SyntheticMatchGenerator } from '../src/synthetic-match-generator.js';
+
+const CHAMPION_FILE = join(process.cwd(), 'tests', 'fixtures', 'riot', 'ddragon.leagueoflegends.com',
+  'cdn', '15.13.1', 'data', 'ja_JP', 'champion.json');
+const NOW = Date.UTC(2025, 6, 1);
+
+async function loadChampions() {
+  return (await fs.readJson(CHAMPION_FILE)).data;
+}
+
+function generate(champions, config = {}) {
+  return new SyntheticMatchGenerator({ syntheticMatches: 200, ...config })
+    .generateMatches(champions, '15.13.1', ['jp1'], NOW);
+}
+
+describe('SyntheticMatchGenerator', () => {
+  test('is deterministic for a given seed', async () => {
+    const champions = await loadChampions();
+
+    assert.deepEqual(generate(champions), generate(champions));
+    assert.notDeepEqual(generate(champions), generate(champions, { syntheticSeed: 7 }));
+  });
+
+  test('produces ranked matches with one champion per lane and team', async () => {
+    const champions = await loadChampions();
+    const keys = new Set(Object.values(champions).map(champion => Number(champion.key)));
+    const matches = generate(champions);
+
+    assert.equal(matches.length, 200);
+    for (const match of matches) {
+      const { participants } = match.info;
+      assert.equal(participants.length, 10);
+      assert.equal(new Set(participants.map(p => p.championId)).size, 10);
+      assert.ok(participants.every(p => keys.has(p.championId)));
+      assert.equal(participants.filter(p => p.win).length, 5);
+      assert.equal(new Set(participants.map(p => `${p.teamId}_${p.teamPosition}`)).size, 10);
+      assert.ok(['15.13', '15.12'].some(patch => match.info.gameVersion.startsWith(`${patch}.`)));
+    }
+  });
+
+  test('matchup effects are antisymmetric', () => {
+    const generator = new SyntheticMatchGenerator();
+
+    assert.equal(generator.getMatchupEffect('266', '122', 'TOP'), -generator.getMatchupEffect('122', '266', 'TOP'));
+  });
+
+  test('returns no matches when a lane lacks champions', () => {
+    const champions = {
+      Jinx: { id: 'Jinx', key: '222', tags: ['Marksman'] },
+      Caitlyn: { id: 'Caitlyn', key: '51', tags: ['Marksman'] }
+    };
+
+    assert.deepEqual(generate(champions), []);
+  });
+
+  test('feeds the same matchup extraction as collected matches', async () => {
+    const champions = await loadChampions();
+    const gameData = { champions, matchData: generate(champions), metadata: {} };
+
+    new ApiClient({}).analyzeMatches(gameData, ['jp1']);
+
+    assert.equal(gameData.rawMatchups.length, 200 * 5);
+    assert.equal(Object.values(gameData.processedCounters)
+      .reduce((sum, champion) => sum + champion.overallStats.totalGames, 0), 200 * 10);
+    assert.equal(gameData.metadata.currentPatch, '15.13');
+    assert.deepEqual([...gameData.metadata.patches].sort(), ['15.12', '15.13']);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * テンプレート層のテスト（文脈別エスケープ・テンプレートファイル・生成HTMLの無害化）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, joinHtml, sanitizeUrl, TemplateEngine } from '../src/template-engine.js';
+import { HtmlGenerator } from '../src/html-generator.js';
+import { ChampionRegistry } from '../src/champion-registry.js';
+
+const HOSTILE = '"><script>alert(1)</script>';
+
+describe('html tagged template', () => {
+  test('escapes text and attribute contexts differently', () => {
+    const name = `Kai'Sa <b>&`;
+    const output = String(html`<td title="${name}">${name}</td>`);
+
+    assert.equal(output, '<td title="Kai&#39;Sa &lt;b&gt;&amp;">Kai\'Sa &lt;b&gt;&amp;</td>');
+  });
+
+  test('keeps nested fragments and joins arrays without double escaping', () => {
+    const rows = ['<a>', '<b>'].map(value => html`<tr><td>${value}</td></tr>`);
+    const output = String(html`<table>${rows}${joinHtml(rows, '\n')}${html`<tr></tr>`}</table>`);
+
+    assert.equal(output, '<table><tr><td>&lt;a&gt;</td></tr><tr><td>&lt;b&gt;</td></tr><tr><td>&lt;a&gt;</td></tr>\n<tr><td>&lt;b&gt;</td></tr><tr></tr></table>');
+  });
+
+  test('sanitizes URL attributes', () => {
+    assert.equal(String(html`<a href="${'javascript:alert(1)'}">x</a>`), '<a href="#">x</a>');
+    assert.equal(String(html`<a href="${' JaVaScRiPt:alert(1)'}">x</a>`), '<a href="#">x</a>');
+    assert.equal(String(html`<a href="../${'ja'}/${'a"b.html'}">x</a>`), '<a href="../ja/a%22b.html">x</a>');
+    assert.equal(sanitizeUrl('https://example.com/?a=1&b=2'), 'https://example.com/?a=1&b=2');
+    assert.equal(String(html`<a href="${'https://example.com/?a=1&b=2'}">x</a>`), '<a href="https://example.com/?a=1&amp;b=2">x</a>');
+    assert.equal(String(html`<img srcset="${'a.avif 32w, javascript:alert(1) 64w'}">`), '<img srcset="a.avif 32w, # 64w">');
+    assert.equal(String(html`<source${{ srcset: 'b"c.webp 2x' }}>`), '<source srcset="b%22c.webp 2x">');
+  });
+
+  test('renders attribute objects inside tags', () => {
+    const cell = current => String(html`<td${{ bgcolor: current ? '#e3f2fd' : null, title: HOSTILE }}>x</td>`);
+
+    assert.equal(cell(true), '<td bgcolor="#e3f2fd" title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">x</td>');
+    assert.equal(cell(false), '<td title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">x</td>');
+    assert.throws(() => html`<td${'bgcolor="red"'}>x</td>`, /Only attribute objects/);
+    assert.throws(() => html`<td${{ onclick: 'x()' }}>x</td>`, /Unsupported attribute name/);
+  });
+
+  test('rejects unsupported contexts', () => {
+    assert.throws(() => html`<td colspan=${3}>x</td>`, /must be quoted/);
+    assert.throws(() => html`<script>var x = ${1};</script>`, /<script>/);
+    assert.throws(() => html`<!-- ${1} -->`, /not supported/);
+    assert.throws(() => html`<a onclick="${'x()'}">x</a>`, /onclick/);
+    assert.equal(String(html`<script></script><p>${'<'}</p>`), '<script></script><p>&lt;</p>');
+  });
+});
+
+describe('TemplateEngine', () => {
+  const engine = new TemplateEngine();
+
+  test('renders page templates with context-aware escaping', () => {
+    const output = String(engine.render('page', {
+      lang: 'en',
+      description: HOSTILE,
+      title: HOSTILE,
+      headLinks: html`<link rel="manifest" href="../manifest.json">`,
+      languageSwitcher: '',
+      content: html`<p>ok</p>`,
+      footer: null,
+      scripts: []
+    }));
+
+    assert.match(output, /<meta name="description" content="&quot;&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;">/);
+    assert.match(output, /<title>"&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/);
+    assert.match(output, /<link rel="manifest" href="\.\.\/manifest\.json">\n<\/head>/);
+    assert.doesNotMatch(output, /<script>alert/);
+  });
+
+  test('requires every placeholder', () => {
+    assert.throws(() => engine.render('page', { lang: 'ja' }), /Missing template value "description" for page\.html/);
+  });
+});
+
+describe('HtmlGenerator escaping', () => {
+  test('hostile champion names never break markup', () => {
+    const generator = new HtmlGenerator({ outputDir: '.tmp/test-output' }, {});
+    generator.championRegistry = new ChampionRegistry({
+      Evil: { id: 'Evil', key: '999', name: HOSTILE, tags: ['Mage'] }
+    });
+    const champion = {
+      id: 'Evil',
+      name: HOSTILE,
+      overallStats: { winRate: 0.5 },
+      counterRelationships: { strongCounters: [], counters: [], counteredBy: [] },
+      lanePerformance: { MIDDLE: { games: 10, wins: 5, winRate: 0.5, playRate: 1 } }
+    };
+
+    const detail = generator.generateChampionDetailHtml(champion, { metadata: { version: HOSTILE } }, { Evil: champion });
+    const lane = generator.generateLanePageHtml([champion], 'MIDDLE', { metadata: {} });
+
+    for (const page of [detail, lane]) {
+      assert.doesNotMatch(page, /<script>alert/);
+      assert.equal((page.match(/<script>/g) || []).length, 1); // Service Worker登録のみ
+    }
+    assert.match(detail, /<title>"&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt; カウンター詳細 - FastestLOL<\/title>/);
+    assert.match(lane, /<a href="evil\.html">"&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/a>/);
+  });
+});